@@ -0,0 +1,124 @@
+import sourceRegistry from '../modules/sources/sourceRegistry.js';
+import articlesQuery from '../modules/articles/articlesQuery.js';
+import topicsQuery from '../modules/topics/topicsQuery.js';
+import {
+    serializeSource,
+    serializeArticleSummary,
+    serializeArticle,
+    serializeTopicSummary,
+    serializeTopic
+} from './serializers.js';
+
+// Default and largest page size of list endpoints
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+
+/**
+ * Create an error that the server turns into an HTTP error response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status
+ */
+export function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Parse a positive integer parameter
+ * @param {string|null} value - Raw value
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|undefined} Parsed value, undefined when missing
+ */
+function parseId(value, name) {
+    if (value === null || value === undefined || value === '') return undefined;
+    // Larger values lose precision as numbers and overflow bigint ids and offsets
+    if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > Number.MAX_SAFE_INTEGER) {
+        throw httpError(400, `${name} must be a positive integer`);
+    }
+    return Number(value);
+}
+
+/**
+ * Parse a YYYY-MM-DD parameter
+ * @param {string|null} value - Raw value
+ * @param {string} name - Parameter name for error messages
+ * @returns {string|undefined} Date, undefined when missing
+ */
+function parseDate(value, name) {
+    if (!value) return undefined;
+    // Round-trip through Date, which rolls impossible days like 2024-02-31 over into the next month
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))
+        || new Date(value).toISOString().slice(0, 10) !== value) {
+        throw httpError(400, `${name} must be a date in YYYY-MM-DD format`);
+    }
+    return value;
+}
+
+// GET /sources
+async function listSources() {
+    const sources = await sourceRegistry.listSources();
+    return { data: sources.map(serializeSource) };
+}
+
+// GET /articles?source=&topic=&tag=&author=&entity=&from=&to=&page=&per_page=
+async function listArticles({ query }) {
+    const filters = {
+        sourceId: parseId(query.get('source'), 'source'),
+        topicId: parseId(query.get('topic'), 'topic'),
+        tag: query.get('tag') || undefined,
+        author: query.get('author') || undefined,
+        entity: query.get('entity') || undefined,
+        from: parseDate(query.get('from'), 'from'),
+        to: parseDate(query.get('to'), 'to')
+    };
+    const page = parseId(query.get('page'), 'page') ?? 1;
+    const perPage = Math.min(parseId(query.get('per_page'), 'per_page') ?? DEFAULT_PER_PAGE, MAX_PER_PAGE);
+
+    const [articles, total] = await Promise.all([
+        articlesQuery.listArticles({ ...filters, limit: perPage, offset: (page - 1) * perPage }),
+        articlesQuery.countArticles(filters)
+    ]);
+
+    return {
+        data: articles.map(serializeArticleSummary),
+        meta: { page, per_page: perPage, total, total_pages: Math.ceil(total / perPage) }
+    };
+}
+
+// GET /articles/:id
+async function getArticle({ params }) {
+    const article = await articlesQuery.getArticle(parseId(params.id, 'id'));
+    if (!article) throw httpError(404, `Article ${params.id} not found`);
+    return { data: serializeArticle(article) };
+}
+
+// GET /topics?min_sources=&page=&per_page=
+async function listTopics({ query }) {
+    const minSources = parseId(query.get('min_sources'), 'min_sources') ?? 1;
+    const page = parseId(query.get('page'), 'page') ?? 1;
+    const perPage = Math.min(parseId(query.get('per_page'), 'per_page') ?? DEFAULT_PER_PAGE, MAX_PER_PAGE);
+
+    const topics = await topicsQuery.listTopics({ minSources, limit: perPage, offset: (page - 1) * perPage });
+    return {
+        data: topics.map(serializeTopicSummary),
+        meta: { page, per_page: perPage }
+    };
+}
+
+// GET /topics/:id
+async function getTopic({ params }) {
+    const topic = await topicsQuery.getTopic(parseId(params.id, 'id'));
+    if (!topic) throw httpError(404, `Topic ${params.id} not found`);
+    return { data: serializeTopic(topic) };
+}
+
+// Route table: method, path pattern with named groups, handler
+export const routes = [
+    { method: 'GET', pattern: /^\/sources$/, handler: listSources },
+    { method: 'GET', pattern: /^\/articles$/, handler: listArticles },
+    { method: 'GET', pattern: /^\/articles\/(?<id>[^/]+)$/, handler: getArticle },
+    { method: 'GET', pattern: /^\/topics$/, handler: listTopics },
+    { method: 'GET', pattern: /^\/topics\/(?<id>[^/]+)$/, handler: getTopic }
+];
@@ -0,0 +1,119 @@
+import { formatDate } from '../utils/dates.js';
+
+// Response shapes of the read API; fields are only ever added, never renamed or removed
+
+/**
+ * Format a timestamp column as ISO 8601
+ * @param {Date|null} value - Timestamp parsed by pg
+ * @returns {string|null} ISO timestamp
+ */
+export function formatTimestamp(value) {
+    return value ? value.toISOString() : null;
+}
+
+/**
+ * Convert a bigint id (returned as string by pg) to a number
+ * @param {string|number|null} value - Id value
+ * @returns {number|null} Numeric id
+ */
+const toId = value => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Serialize a source row
+ * @param {Object} row - sources row
+ * @returns {Object} Source
+ */
+export function serializeSource(row) {
+    return {
+        id: toId(row.id),
+        url: row.url,
+        name: row.channel_name,
+        enabled: row.enabled,
+        content_policy: row.content_policy,
+        poll_interval_minutes: row.poll_interval_minutes,
+        last_polled_at: formatTimestamp(row.last_polled_at),
+        notes: row.notes
+    };
+}
+
+/**
+ * Serialize an article list row (no content)
+ * @param {Object} row - Row from articlesQuery.listArticles or topicsQuery.getTopic
+ * @returns {Object} Article summary
+ */
+export function serializeArticleSummary(row) {
+    return {
+        id: toId(row.id),
+        title: row.title,
+        headline: row.headline ?? null,
+        url: row.url,
+        date: formatDate(row.date_added),
+        source: { id: toId(row.source_id), name: row.channel_name },
+        topic_id: toId(row.topic_id),
+        description: row.description ?? null,
+        summary: row.summary ?? null,
+        lead_image_url: row.lead_image_url ?? null,
+        authors: row.authors ?? [],
+        tags: row.tags ?? []
+    };
+}
+
+/**
+ * Serialize a full article
+ * @param {Object} row - Row from articlesQuery.getArticle
+ * @returns {Object} Article with markdown content
+ */
+export function serializeArticle(row) {
+    return {
+        ...serializeArticleSummary(row),
+        source: { id: toId(row.source_id), name: row.channel_name, url: row.source_url },
+        topic: row.topic_id ? { id: toId(row.topic_id), name: row.topic_name } : null,
+        guid: row.guid,
+        content: row.content,
+        content_origin: row.content_origin,
+        content_format: row.content_format,
+        content_quality: row.content_quality,
+        images: row.content_images ?? [],
+        links: row.content_links ?? [],
+        entities: (row.entities ?? []).map(entity => ({ ...entity, id: toId(entity.id) })),
+        summarized_at: formatTimestamp(row.summarized_at)
+    };
+}
+
+/**
+ * Serialize a topic list row
+ * @param {Object} row - Row from topicsQuery.listTopics
+ * @returns {Object} Topic summary
+ */
+export function serializeTopicSummary(row) {
+    return {
+        id: toId(row.id),
+        name: row.topic_name,
+        description: row.topic_description,
+        article_count: Number(row.current_article_count),
+        source_count: Number(row.source_count),
+        last_updated: formatDate(row.last_updated),
+        last_article_at: formatTimestamp(row.last_article_at)
+    };
+}
+
+/**
+ * Serialize a topic with its articles and comparison
+ * @param {{topic: Object, articles: Array<Object>, comparison: Object|null}} data - From topicsQuery.getTopic
+ * @returns {Object} Topic
+ */
+export function serializeTopic({ topic, articles, comparison }) {
+    return {
+        id: toId(topic.id),
+        name: topic.topic_name,
+        description: topic.topic_description,
+        article_count: Number(topic.current_article_count),
+        source_count: Number(topic.source_count),
+        last_updated: formatDate(topic.last_updated),
+        last_article_at: formatTimestamp(topic.last_article_at),
+        articles: articles.map(serializeArticleSummary),
+        comparison: comparison
+            ? { ...comparison.report, model: comparison.model, generated_at: formatTimestamp(comparison.generated_at) }
+            : null
+    };
+}
@@ -0,0 +1,86 @@
+import http from 'node:http';
+import { createLogger } from '../utils/logger.js';
+import { routes } from './routes.js';
+import { serveStatic } from './static.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('api');
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Route a request to its handler
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+
+    try {
+        const matches = routes.filter(route => route.pattern.test(path));
+        if (!matches.length) {
+            // Anything that is not an API route may be a frontend file
+            const isRead = req.method === 'GET' || req.method === 'HEAD';
+            if (isRead && await serveStatic(res, url.pathname, req.method === 'HEAD')) return;
+            sendJson(res, 404, { error: { status: 404, message: `Not found: ${path}` } });
+            return;
+        }
+
+        const route = matches.find(candidate => candidate.method === req.method);
+        if (!route) {
+            res.setHeader('Allow', [...new Set(matches.map(candidate => candidate.method))].join(', '));
+            sendJson(res, 405, { error: { status: 405, message: `Method ${req.method} not allowed` } });
+            return;
+        }
+
+        const params = path.match(route.pattern).groups || {};
+        const body = await route.handler({ params, query: url.searchParams });
+        sendJson(res, 200, body);
+    } catch (error) {
+        const status = error.status || 500;
+        if (status >= 500) {
+            logger.error(`Request failed: ${req.method} ${req.url}`, error);
+        }
+        const message = status >= 500 ? 'Internal server error' : error.message;
+        sendJson(res, status, { error: { status, message } });
+    }
+}
+
+/**
+ * Start the HTTP read API and web frontend
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (defaults to API_PORT or 3000)
+ * @param {string} [options.host] - Interface to bind (defaults to API_HOST or 0.0.0.0)
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startApiServer({ port = parseInt(process.env.API_PORT || '3000'), host = process.env.API_HOST || '0.0.0.0' } = {}) {
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            logger.info(`API listening on http://${host}:${port}`);
+            resolve(server);
+        });
+    });
+}
+
+export { startApiServer };
@@ -0,0 +1,58 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Web frontend files served next to the API
+const FRONTEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../frontend');
+
+// Content types of the files in the frontend
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Serve a frontend file
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {string} urlPath - Request path
+ * @param {boolean} [headOnly] - Skip the body (HEAD requests)
+ * @returns {Promise<boolean>} True when a file was sent, false when the path names no frontend file
+ */
+export async function serveStatic(res, urlPath, headOnly = false) {
+    let relativePath = 'index.html';
+    if (urlPath !== '/') {
+        // A malformed escape such as %E0%A4%A names no file
+        try {
+            relativePath = decodeURIComponent(urlPath).replace(/^\/+/, '');
+        } catch {
+            return false;
+        }
+    }
+    const filePath = path.resolve(FRONTEND_DIR, relativePath);
+
+    // Never serve anything outside the frontend directory
+    if (!filePath.startsWith(FRONTEND_DIR + path.sep)) return false;
+
+    const contentType = CONTENT_TYPES[path.extname(filePath)];
+    if (!contentType) return false;
+
+    let content;
+    try {
+        content = await readFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') return false;
+        throw error;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Length': content.length,
+        'Cache-Control': 'no-cache'
+    });
+    res.end(headOnly ? undefined : content);
+    return true;
+}
@@ -0,0 +1,105 @@
+import articlesQuery from '../modules/articles/articlesQuery.js';
+import articlesSearch from '../modules/articles/articlesSearch.js';
+import semanticSearch from '../modules/articles/articlesSimilar.js';
+import { pool } from '../utils/dbCon.js';
+import { formatDate } from '../utils/dates.js';
+
+/**
+ * Mark or unmark an article as bookmarked, which exempts it from retention
+ * @param {string} articleId - Article id from the command line
+ * @param {boolean} bookmarked - New state
+ */
+async function setBookmarked(articleId, bookmarked) {
+    if (!/^\d+$/.test(articleId || '')) throw new Error('Missing article id');
+    const result = await pool.query('UPDATE articles SET bookmarked = $2 WHERE id = $1', [articleId, bookmarked]);
+    if (!result.rowCount) throw new Error(`Article ${articleId} not found`);
+}
+
+// Handlers for `articles <action>`
+export const articlesCommands = {
+    usage: [
+        'articles list [--source <id>] [--author <name>] [--tag <tag>] [--entity <name>] [--limit <n>]',
+        'articles search <query> [--source <id>] [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>] [--limit <n>]',
+        'articles similar <article id | text> [--source <id>] [--limit <n>]',
+        'articles bookmark <id>',
+        'articles unbookmark <id>'
+    ],
+
+    async list(args, options) {
+        const articles = await articlesQuery.listArticles({
+            sourceId: options.source,
+            author: options.author,
+            tag: options.tag,
+            entity: options.entity,
+            limit: options.limit
+        });
+        if (!articles.length) {
+            console.log('No matching articles');
+            return;
+        }
+        console.table(articles.map(article => ({
+            id: Number(article.id),
+            date: formatDate(article.date_added),
+            source: article.channel_name,
+            title: article.title,
+            authors: article.authors.join(', '),
+            tags: article.tags.join(', ')
+        })));
+    },
+
+    async search(args, options) {
+        const query = args.join(' ');
+        if (!query.trim()) {
+            throw new Error('Usage: articles search <query>');
+        }
+        const { total, results } = await articlesSearch.search(query, {
+            sourceId: options.source,
+            from: options.from,
+            to: options.to,
+            limit: options.limit,
+            highlight: { start: '[', stop: ']' }
+        });
+        if (!results.length) {
+            console.log('No matching articles');
+            return;
+        }
+        for (const result of results) {
+            console.log(`#${Number(result.id)}  ${formatDate(result.date_added)}  ${result.channel_name}  (rank ${result.rank.toFixed(3)})`);
+            console.log(`  ${result.title_highlight}`);
+            console.log(`  ${result.snippet.replace(/\s+/g, ' ')}\n`);
+        }
+        console.log(`${results.length} of ${total} matches`);
+    },
+
+    async similar(args, options) {
+        const query = args.join(' ').trim();
+        if (!query) {
+            throw new Error('Usage: articles similar <article id | text>');
+        }
+        const searchOptions = { sourceId: options.source, limit: options.limit };
+        const matches = /^\d+$/.test(query)
+            ? await semanticSearch.similarToArticle(Number(query), searchOptions)
+            : await semanticSearch.searchText(query, searchOptions);
+        if (!matches.length) {
+            console.log('No similar articles');
+            return;
+        }
+        console.table(matches.map(match => ({
+            id: Number(match.id),
+            similarity: match.similarity.toFixed(3),
+            date: formatDate(match.date_added),
+            source: match.channel_name,
+            title: match.headline || match.title
+        })));
+    },
+
+    async bookmark([articleId]) {
+        await setBookmarked(articleId, true);
+        console.log(`Bookmarked article ${articleId}; retention will keep it`);
+    },
+
+    async unbookmark([articleId]) {
+        await setBookmarked(articleId, false);
+        console.log(`Removed bookmark from article ${articleId}`);
+    }
+};
@@ -0,0 +1,31 @@
+import storyComparer from '../modules/topics/storyCompare.js';
+import { pool } from '../utils/dbCon.js';
+
+// Handlers for `compare <action>`
+export const compareCommands = {
+    usage: [
+        'compare run [--topic <id>] [--force]',
+        'compare show <topic id>'
+    ],
+
+    async run(args, options) {
+        const stats = await storyComparer.processPending({
+            topicId: options.topic,
+            force: options.force
+        });
+        console.log(`Compared ${stats.processed} topics, ${stats.failed} failed`);
+    },
+
+    async show([topicId]) {
+        if (!topicId) throw new Error('Missing topic id');
+        const result = await pool.query(
+            'SELECT report, model, generated_at FROM story_comparisons WHERE topic_id = $1',
+            [topicId]
+        );
+        if (!result.rows.length) {
+            throw new Error(`No comparison stored for topic ${topicId}`);
+        }
+        const { report, model, generated_at: generatedAt } = result.rows[0];
+        console.log(JSON.stringify({ ...report, model, generated_at: generatedAt }, null, 2));
+    }
+};
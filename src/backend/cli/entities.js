@@ -0,0 +1,52 @@
+import entityExtractor, { ENTITY_TYPES } from '../modules/articles/articlesEntities.js';
+import { pool } from '../utils/dbCon.js';
+
+// Handlers for `entities <action>`
+export const entitiesCommands = {
+    usage: [
+        'entities extract [--source <id>] [--limit <n>] [--force] [--outdated]',
+        'entities list [--type person|organization|location] [--limit <n>]'
+    ],
+
+    async extract(args, options) {
+        const stats = await entityExtractor.processPending({
+            sourceId: options.source,
+            limit: options.limit,
+            force: options.force,
+            outdated: options.outdated
+        });
+        console.log(`Extracted entities from ${stats.processed} articles, ${stats.failed} failed`);
+    },
+
+    async list(args, options) {
+        if (options.type && !ENTITY_TYPES[options.type]) {
+            throw new Error(`Invalid entity type: ${options.type} (expected ${Object.keys(ENTITY_TYPES).join(', ')})`);
+        }
+        const result = await pool.query(`
+            SELECT e.id, e.entity_type, e.name,
+                   count(*) AS article_count,
+                   count(DISTINCT a.source_id) AS source_count,
+                   count(*) FILTER (WHERE ae.quoted) AS quoted_count
+            FROM entities e
+            JOIN article_entities ae ON ae.entity_id = e.id
+            JOIN articles a ON a.id = ae.article_id
+            WHERE $1::text IS NULL OR e.entity_type = $1
+            GROUP BY e.id
+            ORDER BY article_count DESC, e.name
+            LIMIT $2`,
+            [options.type ?? null, Number(options.limit) || 20]
+        );
+        if (!result.rows.length) {
+            console.log('No entities yet');
+            return;
+        }
+        console.table(result.rows.map(entity => ({
+            id: Number(entity.id),
+            type: entity.entity_type,
+            name: entity.name,
+            articles: Number(entity.article_count),
+            sources: Number(entity.source_count),
+            quoted_in: Number(entity.quoted_count)
+        })));
+    }
+};
@@ -0,0 +1,24 @@
+import { pool } from '../utils/dbCon.js';
+import { runMigrations, getMigrationStatus } from '../utils/migrations.js';
+
+// Handlers for `migrate <action>`
+export const migrateCommands = {
+    usage: [
+        'migrate run',
+        'migrate status'
+    ],
+
+    async run() {
+        const applied = await runMigrations(pool);
+        console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Database schema is up to date');
+    },
+
+    async status() {
+        const migrations = await getMigrationStatus(pool);
+        console.table(migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: migration.appliedAt ? migration.appliedAt.toISOString() : 'pending'
+        })));
+    }
+};
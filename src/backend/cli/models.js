@@ -0,0 +1,29 @@
+import { checkModels, configuredModels } from '../utils/llm.js';
+
+// Handlers for `models <action>`
+export const modelsCommands = {
+    usage: [
+        'models check [<model>...] [--provider ollama|openai] [--pull]'
+    ],
+
+    async check(args, options) {
+        // Named models are checked on one provider, otherwise every task's model on its own provider
+        const provider = options.provider || process.env.LLM_PROVIDER || 'ollama';
+        const models = args.length ? args.map(model => ({ provider, model })) : configuredModels();
+        if (!models.length) {
+            console.log('No models configured');
+            return;
+        }
+
+        const results = await checkModels(models, options.pull ? { pull: true } : {});
+        console.table(results.map(result => ({
+            provider: result.provider,
+            model: result.model,
+            tasks: models.find(entry => entry.provider === result.provider && entry.model === result.model).tasks?.join(', ') ?? '',
+            status: result.status
+        })));
+        if (results.some(result => result.status === 'missing')) {
+            process.exitCode = 1;
+        }
+    }
+};
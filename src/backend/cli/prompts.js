@@ -0,0 +1,27 @@
+import { listPrompts } from '../utils/prompts.js';
+import promptVersions from '../modules/maintenance/promptVersions.js';
+
+// Handlers for `prompts <action>`
+export const promptsCommands = {
+    usage: [
+        'prompts list',
+        'prompts status'
+    ],
+
+    async list() {
+        console.table(listPrompts().map(prompt => ({
+            name: prompt.name,
+            version: prompt.id,
+            file: prompt.file,
+            description: prompt.description
+        })));
+    },
+
+    async status() {
+        const rows = await promptVersions.countOutdated();
+        console.table(rows.map(({ regenerate, ...row }) => row));
+        for (const row of rows.filter(row => row.outdated && row.regenerate)) {
+            console.log(`Regenerate outdated ${row.output} with: ${row.regenerate}`);
+        }
+    }
+};
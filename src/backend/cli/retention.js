@@ -0,0 +1,47 @@
+import retentionJob from '../modules/maintenance/retention.js';
+import workerRuns from '../modules/maintenance/workerRuns.js';
+
+// Handlers for `retention <action>`
+export const retentionCommands = {
+    usage: [
+        'retention run [--dry-run]',
+        'retention runs [--limit <n>]',
+        'retention archived <article id>'
+    ],
+
+    async run(args, options) {
+        const report = await retentionJob.run({ dryRun: options['dry-run'] });
+        if (report.sources.length) {
+            console.table(report.sources.map(source => ({
+                source_id: source.source_id,
+                source: source.channel_name,
+                retention_days: source.retention_days,
+                expired: source.expired
+            })));
+        }
+        const verb = report.dryRun ? 'Would remove' : (report.mode === 'archive' ? 'Archived' : 'Deleted');
+        console.log(`${verb} ${report.articles} articles, ${report.topics} empty topics, ${report.runs} worker runs and ${report.urls} pruned URLs`);
+    },
+
+    async runs(args, options) {
+        const runs = await workerRuns.listRuns(Number(options.limit) || 20);
+        if (!runs.length) {
+            console.log('No worker runs recorded');
+            return;
+        }
+        console.table(runs.map(run => ({
+            id: Number(run.id),
+            started: run.started_at.toISOString(),
+            seconds: run.finished_at ? Math.round((run.finished_at - run.started_at) / 1000) : '-',
+            status: run.status,
+            error: run.error || ''
+        })));
+    },
+
+    async archived([articleId]) {
+        if (!/^\d+$/.test(articleId || '')) throw new Error('Missing article id');
+        const article = await retentionJob.getArchivedArticle(Number(articleId));
+        if (!article) throw new Error(`Article ${articleId} is not archived`);
+        console.log(JSON.stringify(article, null, 2));
+    }
+};
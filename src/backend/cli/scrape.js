@@ -0,0 +1,59 @@
+import scrapeState, { PROBLEM_STATUSES } from '../modules/articles/scrapeState.js';
+
+// Handlers for `scrape <action>`
+export const scrapeCommands = {
+    usage: [
+        `scrape failed [--status ${PROBLEM_STATUSES.join('|')}] [--source <id>] [--limit <n>]`,
+        `scrape requeue [<article id>...] [--status ${PROBLEM_STATUSES.join('|')}] [--source <id>]`,
+        'scrape quality [--source <id>] [--limit <n>]'
+    ],
+
+    async failed(args, options) {
+        const articles = await scrapeState.listProblems({
+            status: options.status,
+            sourceId: options.source,
+            limit: options.limit
+        });
+        if (!articles.length) {
+            console.log('No failed or waiting articles');
+            return;
+        }
+        console.table(articles.map(article => ({
+            id: Number(article.id),
+            source: article.channel_name,
+            status: article.scrape_status,
+            attempts: article.scrape_attempts,
+            next_attempt: article.scrape_next_attempt_at ? article.scrape_next_attempt_at.toISOString() : '-',
+            error: article.scrape_last_error || '',
+            title: article.title
+        })));
+    },
+
+    async requeue(args, options) {
+        if (args.some(id => !/^\d+$/.test(id))) {
+            throw new Error('Article ids must be numbers');
+        }
+        const requeued = await scrapeState.requeue({
+            ids: args.map(Number),
+            status: options.status,
+            sourceId: options.source
+        });
+        console.log(`Requeued ${requeued} articles; they are scraped on the next worker cycle`);
+    },
+
+    async quality(args, options) {
+        const articles = await scrapeState.listLowQuality({ sourceId: options.source, limit: options.limit });
+        if (!articles.length) {
+            console.log('No articles below the quality threshold');
+            return;
+        }
+        console.table(articles.map(article => ({
+            id: Number(article.id),
+            source: article.channel_name,
+            format: article.content_format,
+            score: article.content_quality,
+            issues: article.content_quality_issues.join('; '),
+            title: article.title
+        })));
+    }
+};
@@ -0,0 +1,106 @@
+import sourceRegistry from '../modules/sources/sourceRegistry.js';
+
+// Columns shown by `sources list`
+const formatSource = source => ({
+    id: Number(source.id),
+    url: source.url,
+    channel: source.channel_name || '-',
+    enabled: source.enabled,
+    interval_min: source.poll_interval_minutes,
+    policy: source.content_policy,
+    retention_days: source.retention_days ?? 'default',
+    converter: source.markdown_converter,
+    prompts: source.prompt_set || 'default',
+    last_polled: source.last_polled_at ? source.last_polled_at.toISOString() : 'never',
+    notes: source.notes || ''
+});
+
+// Fail with a readable message when a source lookup misses
+const requireSource = (source, idOrUrl) => {
+    if (!source) {
+        throw new Error(`Source not found: ${idOrUrl}`);
+    }
+    return source;
+};
+
+// Handlers for `sources <action>`
+export const sourcesCommands = {
+    usage: [
+        'sources add <url> [--interval <minutes>] [--notes <text>] [--policy feed|scrape|both] [--retention <days>] [--converter llm|rules] [--prompts <set>]',
+        'sources list',
+        'sources update <id|url> [--url <feed url>] [--interval <minutes>] [--notes <text>] [--policy feed|scrape|both] [--retention <days|default>] [--converter llm|rules] [--prompts <set|default>]',
+        'sources history <id|url>',
+        'sources enable <id|url>',
+        'sources disable <id|url>',
+        'sources remove <id|url>'
+    ],
+
+    async add([url], options) {
+        if (!url) throw new Error('Missing feed URL');
+        const source = await sourceRegistry.addSource({
+            url,
+            pollIntervalMinutes: options.interval,
+            notes: options.notes,
+            contentPolicy: options.policy,
+            retentionDays: options.retention,
+            markdownConverter: options.converter,
+            promptSet: options.prompts
+        });
+        console.table([formatSource(source)]);
+    },
+
+    async list() {
+        const sources = await sourceRegistry.listSources();
+        if (!sources.length) {
+            console.log('No sources registered');
+            return;
+        }
+        console.table(sources.map(formatSource));
+    },
+
+    async update([idOrUrl], options) {
+        if (!idOrUrl) throw new Error('Missing source id or URL');
+        const source = await sourceRegistry.updateSource(idOrUrl, {
+            url: options.url,
+            pollIntervalMinutes: options.interval,
+            notes: options.notes,
+            contentPolicy: options.policy,
+            retentionDays: options.retention,
+            markdownConverter: options.converter,
+            promptSet: options.prompts
+        });
+        console.table([formatSource(requireSource(source, idOrUrl))]);
+    },
+
+    async history([idOrUrl]) {
+        if (!idOrUrl) throw new Error('Missing source id or URL');
+        const titles = await sourceRegistry.getTitleHistory(idOrUrl);
+        if (!titles.length) {
+            console.log('No titles recorded for this source');
+            return;
+        }
+        console.table(titles.map(row => ({
+            title: row.title,
+            first_seen: row.first_seen_at.toISOString()
+        })));
+    },
+
+    async enable([idOrUrl]) {
+        if (!idOrUrl) throw new Error('Missing source id or URL');
+        const source = await sourceRegistry.setEnabled(idOrUrl, true);
+        console.table([formatSource(requireSource(source, idOrUrl))]);
+    },
+
+    async disable([idOrUrl]) {
+        if (!idOrUrl) throw new Error('Missing source id or URL');
+        const source = await sourceRegistry.setEnabled(idOrUrl, false);
+        console.table([formatSource(requireSource(source, idOrUrl))]);
+    },
+
+    async remove([idOrUrl]) {
+        if (!idOrUrl) throw new Error('Missing source id or URL');
+        const source = await sourceRegistry.removeSource(idOrUrl);
+        requireSource(source, idOrUrl);
+        console.log(`Removed source ${source.id}: ${source.url}`);
+    }
+};
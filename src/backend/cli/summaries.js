@@ -0,0 +1,18 @@
+import articlesSummarizer from '../modules/articles/articlesSummarize.js';
+
+// Handlers for `summaries <action>`
+export const summariesCommands = {
+    usage: [
+        'summaries backfill [--source <id>] [--limit <n>] [--force] [--outdated]'
+    ],
+
+    async backfill(args, options) {
+        const stats = await articlesSummarizer.processPending({
+            sourceId: options.source,
+            limit: options.limit,
+            force: options.force,
+            outdated: options.outdated
+        });
+        console.log(`Summarized ${stats.processed} articles, ${stats.failed} failed`);
+    }
+};
@@ -0,0 +1,66 @@
+import articlesEmbedder from '../modules/articles/articlesEmbed.js';
+import topicClusterer from '../modules/topics/topicsCluster.js';
+import { pool } from '../utils/dbCon.js';
+
+/**
+ * Pin or unpin a topic; articles of pinned topics are exempt from retention
+ * @param {string} topicId - Topic id from the command line
+ * @param {boolean} pinned - New state
+ */
+async function setPinned(topicId, pinned) {
+    if (!/^\d+$/.test(topicId || '')) throw new Error('Missing topic id');
+    const result = await pool.query('UPDATE news_topics SET pinned = $2 WHERE id = $1', [topicId, pinned]);
+    if (!result.rowCount) throw new Error(`Topic ${topicId} not found`);
+}
+
+// Handlers for `topics <action>`
+export const topicsCommands = {
+    usage: [
+        'topics list [--limit <n>]',
+        'topics cluster',
+        'topics pin <id>',
+        'topics unpin <id>'
+    ],
+
+    async list(args, options) {
+        const result = await pool.query(`
+            SELECT t.id, t.topic_name, t.article_count, t.pinned, t.last_updated, t.last_article_at,
+                   (SELECT count(DISTINCT a.source_id) FROM articles a WHERE a.topic_id = t.id) AS source_count
+            FROM news_topics t
+            ORDER BY t.last_article_at DESC NULLS LAST, t.id DESC
+            LIMIT $1`,
+            [Number(options.limit) || 20]
+        );
+        if (!result.rows.length) {
+            console.log('No topics yet');
+            return;
+        }
+        console.table(result.rows.map(topic => ({
+            id: Number(topic.id),
+            name: topic.topic_name,
+            articles: topic.article_count,
+            pinned: topic.pinned,
+            sources: Number(topic.source_count),
+            last_article: topic.last_article_at ? topic.last_article_at.toISOString() : '-'
+        })));
+    },
+
+    async cluster() {
+        const embedded = await articlesEmbedder.processPending({ limit: null });
+        console.log(`Embedded ${embedded.processed} articles, ${embedded.failed} failed`);
+        const assigned = await topicClusterer.assignArticles();
+        console.log(`Assigned ${assigned.assigned} articles, opened ${assigned.created} topics`);
+        const named = await topicClusterer.nameTopics({ limit: null });
+        console.log(`Named ${named} topics`);
+    },
+
+    async pin([topicId]) {
+        await setPinned(topicId, true);
+        console.log(`Pinned topic ${topicId}; retention will keep its articles`);
+    },
+
+    async unpin([topicId]) {
+        await setPinned(topicId, false);
+        console.log(`Unpinned topic ${topicId}`);
+    }
+};
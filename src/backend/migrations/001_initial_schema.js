@@ -0,0 +1,31 @@
+// Sources registry and news topics (safe on databases created before migrations)
+export async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS sources (
+            id bigint primary key generated always as identity,
+            url text not null unique,
+            channel_name text unique,
+            articles_table text unique
+        )`);
+
+    // Channel name and table are filled in on the first poll
+    await client.query('ALTER TABLE sources ALTER COLUMN channel_name DROP NOT NULL');
+    await client.query('ALTER TABLE sources ALTER COLUMN articles_table DROP NOT NULL');
+
+    // Registry columns
+    await client.query(`
+        ALTER TABLE sources
+            ADD COLUMN IF NOT EXISTS enabled boolean not null default true,
+            ADD COLUMN IF NOT EXISTS poll_interval_minutes integer not null default 60,
+            ADD COLUMN IF NOT EXISTS notes text,
+            ADD COLUMN IF NOT EXISTS last_polled_at timestamptz,
+            ADD COLUMN IF NOT EXISTS created_at timestamptz not null default now()`);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS news_topics (
+            id bigint primary key generated always as identity,
+            topic_name text not null,
+            last_updated date,
+            topic_description text
+        )`);
+}
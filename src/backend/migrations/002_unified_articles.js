@@ -0,0 +1,97 @@
+import pkg from 'pg';
+import { createLogger } from '../utils/logger.js';
+const { escapeIdentifier } = pkg;
+
+const logger = createLogger('migrations');
+
+/**
+ * Host of a URL without a leading www., so feed and article hosts compare equal
+ * @param {string} url - URL
+ * @returns {string|null} Host, or null for an invalid URL
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find the source of a legacy table no source points at, by the host its articles and the feed share
+ * @param {import('pg').PoolClient} client - Database client
+ * @param {string} table - Legacy table name
+ * @param {Array<{id: number, url: string}>} sources - Registered sources
+ * @returns {Promise<number|null>} Source id, or null when no single source matches
+ */
+async function findSourceByArticleHost(client, table, sources) {
+    const result = await client.query(`SELECT url FROM ${escapeIdentifier(table)} LIMIT 100`);
+    const hosts = new Set(result.rows.map(row => hostOf(row.url)).filter(Boolean));
+    const matches = sources.filter(source => hosts.has(hostOf(source.url)));
+    return matches.length === 1 ? matches[0].id : null;
+}
+
+// Single articles table keyed by source, replacing the per-source articles_* tables
+export async function up(client) {
+    await client.query(`
+        CREATE TABLE articles (
+            id bigint primary key generated always as identity,
+            source_id bigint not null references sources (id) on delete cascade,
+            title text not null,
+            url text not null unique,
+            content text,
+            summary text,
+            date_added date not null,
+            scrape_check integer,
+            topic_id bigint references news_topics (id) on delete set null
+        )`);
+    await client.query('CREATE INDEX articles_source_date_idx ON articles (source_id, date_added DESC)');
+    await client.query('CREATE INDEX articles_topic_idx ON articles (topic_id)');
+
+    // Copy rows from the legacy per-source tables, including ones orphaned by a title change
+    const tables = await client.query(`
+        SELECT tablename
+        FROM pg_tables
+        WHERE schemaname = current_schema()
+          AND tablename LIKE 'articles\\_%'
+        ORDER BY tablename`);
+    const sources = await client.query('SELECT id, url, articles_table FROM sources ORDER BY id');
+
+    // Tables a source still points at go first, so their rows win over older copies of an article
+    const legacy = [];
+    const orphaned = [];
+    for (const { tablename } of tables.rows) {
+        const source = sources.rows.find(row => row.articles_table === tablename);
+        if (source) legacy.push({ table: tablename, sourceId: source.id });
+        else orphaned.push(tablename);
+    }
+    for (const table of orphaned) {
+        const sourceId = await findSourceByArticleHost(client, table, sources.rows);
+        if (sourceId) {
+            legacy.push({ table, sourceId });
+        } else {
+            logger.warn(`Skipping legacy table ${table}: no single source matches the host of its articles`);
+        }
+    }
+
+    for (const { table, sourceId } of legacy) {
+        const name = escapeIdentifier(table);
+        await client.query(`
+            INSERT INTO articles (source_id, title, url, content, summary, date_added, scrape_check, topic_id)
+            SELECT $1, title, url, content, summary, date_added, scrape_check, topic_id
+            FROM ${name}
+            ON CONFLICT (url) DO NOTHING`,
+            [sourceId]
+        );
+        await client.query(`DROP TABLE ${name}`);
+        logger.info(`Migrated legacy table ${table} to source ${sourceId}`);
+    }
+
+    for (const source of sources.rows) {
+        if (source.articles_table && !legacy.some(entry => entry.table === source.articles_table)) {
+            logger.warn(`Source ${source.id} pointed at missing legacy table ${source.articles_table}`);
+        }
+    }
+
+    await client.query('ALTER TABLE sources DROP COLUMN articles_table');
+}
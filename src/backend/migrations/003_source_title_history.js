@@ -0,0 +1,18 @@
+// Channel titles are display data: allow duplicates and keep a history of changes
+export async function up(client) {
+    await client.query('ALTER TABLE sources DROP CONSTRAINT IF EXISTS sources_channel_name_key');
+
+    await client.query(`
+        CREATE TABLE source_title_history (
+            id bigint primary key generated always as identity,
+            source_id bigint not null references sources (id) on delete cascade,
+            title text not null,
+            first_seen_at timestamptz not null default now()
+        )`);
+    await client.query('CREATE INDEX source_title_history_source_idx ON source_title_history (source_id, first_seen_at)');
+
+    // Seed history with the names already known
+    await client.query(`
+        INSERT INTO source_title_history (source_id, title)
+        SELECT id, channel_name FROM sources WHERE channel_name IS NOT NULL`);
+}
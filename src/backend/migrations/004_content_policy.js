@@ -0,0 +1,15 @@
+// Per-source choice between feed content and scraping, and the origin used per article
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE sources
+            ADD COLUMN content_policy text not null default 'both'
+                check (content_policy in ('feed', 'scrape', 'both'))`);
+
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN feed_content text,
+            ADD COLUMN content_origin text check (content_origin in ('feed', 'scrape'))`);
+
+    // Everything stored so far was scraped
+    await client.query(`UPDATE articles SET content_origin = 'scrape' WHERE content IS NOT NULL`);
+}
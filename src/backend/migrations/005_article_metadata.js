@@ -0,0 +1,39 @@
+// Feed metadata per article plus normalized authors and tags
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN guid text,
+            ADD COLUMN description text,
+            ADD COLUMN lead_image_url text`);
+
+    await client.query(`
+        CREATE TABLE authors (
+            id bigint primary key generated always as identity,
+            name text not null,
+            normalized_name text not null unique
+        )`);
+
+    await client.query(`
+        CREATE TABLE article_authors (
+            article_id bigint not null references articles (id) on delete cascade,
+            author_id bigint not null references authors (id) on delete cascade,
+            position smallint not null default 0,
+            primary key (article_id, author_id)
+        )`);
+    await client.query('CREATE INDEX article_authors_author_idx ON article_authors (author_id)');
+
+    await client.query(`
+        CREATE TABLE tags (
+            id bigint primary key generated always as identity,
+            name text not null,
+            slug text not null unique
+        )`);
+
+    await client.query(`
+        CREATE TABLE article_tags (
+            article_id bigint not null references articles (id) on delete cascade,
+            tag_id bigint not null references tags (id) on delete cascade,
+            primary key (article_id, tag_id)
+        )`);
+    await client.query('CREATE INDEX article_tags_tag_idx ON article_tags (tag_id)');
+}
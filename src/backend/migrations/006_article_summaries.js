@@ -0,0 +1,9 @@
+// Summary bookkeeping so articles are only re-summarized when their content changes
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN headline text,
+            ADD COLUMN summary_content_hash text,
+            ADD COLUMN summary_model text,
+            ADD COLUMN summarized_at timestamptz`);
+}
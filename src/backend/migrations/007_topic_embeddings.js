@@ -0,0 +1,20 @@
+// Article embeddings and the bookkeeping needed for incremental topic clustering
+export async function up(client) {
+    await client.query(`
+        CREATE TABLE article_embeddings (
+            article_id bigint primary key references articles (id) on delete cascade,
+            model text not null,
+            embedding real[] not null,
+            input_hash text not null,
+            created_at timestamptz not null default now()
+        )`);
+
+    await client.query(`
+        ALTER TABLE news_topics
+            ADD COLUMN centroid real[],
+            ADD COLUMN article_count integer not null default 0,
+            ADD COLUMN needs_naming boolean not null default true,
+            ADD COLUMN created_at timestamptz not null default now(),
+            ADD COLUMN last_article_at timestamptz`);
+    await client.query('CREATE INDEX news_topics_last_article_idx ON news_topics (last_article_at DESC)');
+}
@@ -0,0 +1,13 @@
+// Stored cross-source comparison reports, one per topic
+export async function up(client) {
+    await client.query(`
+        CREATE TABLE story_comparisons (
+            id bigint primary key generated always as identity,
+            topic_id bigint not null unique references news_topics (id) on delete cascade,
+            report jsonb not null,
+            article_ids bigint[] not null,
+            source_count integer not null,
+            model text not null,
+            generated_at timestamptz not null default now()
+        )`);
+}
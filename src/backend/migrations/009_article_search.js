@@ -0,0 +1,11 @@
+// Full-text search vector over title, headline, summary and content, maintained by Postgres on every write
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+                setweight(to_tsvector('english'::regconfig, coalesce(title, '') || ' ' || coalesce(headline, '')), 'A') ||
+                setweight(to_tsvector('english'::regconfig, coalesce(summary, '') || ' ' || coalesce(description, '')), 'B') ||
+                setweight(to_tsvector('english'::regconfig, coalesce(content, feed_content, '')), 'C')
+            ) STORED`);
+    await client.query('CREATE INDEX articles_search_vector_idx ON articles USING gin (search_vector)');
+}
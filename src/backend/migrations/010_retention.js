@@ -0,0 +1,37 @@
+// Retention: per-source overrides, exemptions, a compressed archive for pruned articles and worker run history
+export async function up(client) {
+    // NULL uses RETENTION_ARTICLES_DAYS, 0 keeps articles forever
+    await client.query(`
+        ALTER TABLE sources
+            ADD COLUMN retention_days integer CHECK (retention_days >= 0)`);
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN bookmarked boolean not null default false`);
+    await client.query(`
+        ALTER TABLE news_topics
+            ADD COLUMN pinned boolean not null default false`);
+
+    // One row per pruned article; payload is the gzipped JSON of the article, its authors and tags
+    await client.query(`
+        CREATE TABLE articles_archive (
+            article_id bigint primary key,
+            source_id bigint,
+            url text not null,
+            title text,
+            date_added date,
+            payload bytea not null,
+            archived_at timestamptz not null default now()
+        )`);
+    await client.query('CREATE INDEX articles_archive_source_idx ON articles_archive (source_id, date_added)');
+
+    await client.query(`
+        CREATE TABLE worker_runs (
+            id bigint primary key generated always as identity,
+            started_at timestamptz not null default now(),
+            finished_at timestamptz,
+            status text not null default 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+            stats jsonb not null default '{}',
+            error text
+        )`);
+    await client.query('CREATE INDEX worker_runs_started_idx ON worker_runs (started_at)');
+}
@@ -0,0 +1,19 @@
+// Per-article scrape state: scrape_check becomes the attempt counter, with status, last error and backoff
+export async function up(client) {
+    await client.query('ALTER TABLE articles RENAME COLUMN scrape_check TO scrape_attempts');
+    await client.query('UPDATE articles SET scrape_attempts = 0 WHERE scrape_attempts IS NULL');
+    await client.query(`
+        ALTER TABLE articles
+            ALTER COLUMN scrape_attempts SET DEFAULT 0,
+            ALTER COLUMN scrape_attempts SET NOT NULL,
+            ADD COLUMN scrape_status text not null default 'pending'
+                check (scrape_status in ('pending', 'retry', 'done', 'failed', 'gone', 'unsupported')),
+            ADD COLUMN scrape_last_error text,
+            ADD COLUMN scrape_last_attempt_at timestamptz,
+            ADD COLUMN scrape_next_attempt_at timestamptz`);
+
+    await client.query(`UPDATE articles SET scrape_status = 'done' WHERE content IS NOT NULL`);
+    await client.query(`
+        CREATE INDEX articles_scrape_queue_idx ON articles (scrape_next_attempt_at)
+        WHERE scrape_status IN ('pending', 'retry')`);
+}
@@ -0,0 +1,7 @@
+// Inline images and links found in the cleaned article content
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN content_images jsonb not null default '[]',
+            ADD COLUMN content_links jsonb not null default '[]'`);
+}
@@ -0,0 +1,16 @@
+// Markdown converter per source and the path that produced each article's content
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE sources
+            ADD COLUMN markdown_converter text not null default 'llm'
+                check (markdown_converter in ('llm', 'rules'))`);
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN content_format text check (content_format in ('llm', 'rules', 'html'))`);
+
+    // Failed LLM conversions used to store the HTML itself
+    await client.query(`
+        UPDATE articles
+        SET content_format = CASE WHEN content ~ '^\\s*<[a-zA-Z!]' THEN 'html' ELSE 'llm' END
+        WHERE content IS NOT NULL`);
+}
@@ -0,0 +1,7 @@
+// Quality check of the converted markdown: score between 0 and 1 and the problems found
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN content_quality real,
+            ADD COLUMN content_quality_issues jsonb not null default '[]'`);
+}
@@ -0,0 +1,16 @@
+// Prompt set per source and the prompt template version behind each generated output
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE sources
+            ADD COLUMN prompt_set text`);
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN content_prompt_version text,
+            ADD COLUMN summary_prompt_version text`);
+    await client.query(`
+        ALTER TABLE news_topics
+            ADD COLUMN name_prompt_version text`);
+    await client.query(`
+        ALTER TABLE story_comparisons
+            ADD COLUMN prompt_version text`);
+}
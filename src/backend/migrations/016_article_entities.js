@@ -0,0 +1,28 @@
+// Named people, organizations and locations, normalized across articles, plus extraction bookkeeping
+export async function up(client) {
+    await client.query(`
+        CREATE TABLE entities (
+            id bigint primary key generated always as identity,
+            entity_type text not null check (entity_type in ('person', 'organization', 'location')),
+            name text not null,
+            normalized_name text not null,
+            unique (entity_type, normalized_name)
+        )`);
+
+    await client.query(`
+        CREATE TABLE article_entities (
+            article_id bigint not null references articles (id) on delete cascade,
+            entity_id bigint not null references entities (id) on delete cascade,
+            quoted boolean not null default false,
+            quotes text[] not null default '{}',
+            primary key (article_id, entity_id)
+        )`);
+    await client.query('CREATE INDEX article_entities_entity_idx ON article_entities (entity_id)');
+
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN entities_content_hash text,
+            ADD COLUMN entities_model text,
+            ADD COLUMN entities_prompt_version text,
+            ADD COLUMN entities_extracted_at timestamptz`);
+}
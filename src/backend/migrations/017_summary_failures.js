@@ -0,0 +1,9 @@
+// Failed summary attempts with backoff; failures count only while the content they were made on is unchanged
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN summary_attempts integer not null default 0,
+            ADD COLUMN summary_failed_hash text,
+            ADD COLUMN summary_last_error text,
+            ADD COLUMN summary_next_attempt_at timestamptz`);
+}
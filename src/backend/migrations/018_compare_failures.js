@@ -0,0 +1,9 @@
+// Failed comparison attempts with backoff; failures count only while the topic has the same articles
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE news_topics
+            ADD COLUMN compare_attempts integer not null default 0,
+            ADD COLUMN compare_failed_article_ids bigint[],
+            ADD COLUMN compare_last_error text,
+            ADD COLUMN compare_next_attempt_at timestamptz`);
+}
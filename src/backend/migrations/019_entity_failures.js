@@ -0,0 +1,9 @@
+// Failed entity extractions with backoff; failures count only while the content they were made on is unchanged
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE articles
+            ADD COLUMN entities_attempts integer not null default 0,
+            ADD COLUMN entities_failed_hash text,
+            ADD COLUMN entities_last_error text,
+            ADD COLUMN entities_next_attempt_at timestamptz`);
+}
@@ -0,0 +1,18 @@
+// URLs of articles removed by retention, so a feed that still lists them does not store them again
+export async function up(client) {
+    await client.query(`
+        CREATE TABLE pruned_urls (
+            url text primary key,
+            source_id bigint,
+            pruned_at timestamptz not null default now()
+        )`);
+    // Retention forgets URLs by age
+    await client.query('CREATE INDEX pruned_urls_pruned_at_idx ON pruned_urls (pruned_at)');
+
+    // Articles archived before this migration are pruned too
+    await client.query(`
+        INSERT INTO pruned_urls (url, source_id, pruned_at)
+        SELECT DISTINCT ON (url) url, source_id, archived_at
+        FROM articles_archive
+        ORDER BY url, archived_at DESC`);
+}
@@ -0,0 +1,12 @@
+// Failed topic naming attempts with backoff, and the article count a topic was last named at
+export async function up(client) {
+    await client.query(`
+        ALTER TABLE news_topics
+            ADD COLUMN naming_attempts integer not null default 0,
+            ADD COLUMN naming_last_error text,
+            ADD COLUMN naming_next_attempt_at timestamptz,
+            ADD COLUMN named_article_count integer not null default 0`);
+
+    // Topics named so far were named with the articles they have now
+    await client.query('UPDATE news_topics SET named_article_count = article_count WHERE NOT needs_naming');
+}
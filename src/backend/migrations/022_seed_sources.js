@@ -0,0 +1,12 @@
+// Register the feeds the worker used to poll from a hard-coded list, on databases that have no sources yet
+const DEFAULT_FEEDS = [
+    'https://tnc.news/feed/',
+    'https://www.cbc.ca/cmlink/rss-topstories'
+];
+
+export async function up(client) {
+    const existing = await client.query('SELECT 1 FROM sources LIMIT 1');
+    if (existing.rows.length) return;
+
+    await client.query('INSERT INTO sources (url) SELECT unnest($1::text[])', [DEFAULT_FEEDS]);
+}
@@ -0,0 +1,138 @@
+import { htmlToText } from './feedContent.js';
+
+// Longest teaser kept from a feed description
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * Get the text of an rss-parser value that may be a string or an {_: text} node
+ * @param {string|Object} value - Parsed XML value
+ * @returns {string} Trimmed text
+ */
+function nodeText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value.trim();
+    return String(value._ ?? '').trim();
+}
+
+/**
+ * Split dc:creator / author values into individual names
+ * @param {string|Array} creators - Raw creator value(s)
+ * @returns {Array<string>} Author names in feed order
+ */
+export function parseAuthors(creators) {
+    const values = Array.isArray(creators) ? creators : [creators];
+    const names = values
+        .map(nodeText)
+        .flatMap(value => value.split(/\s*(?:,|;|&|\band\b)\s*/i)) // "A, B and C"
+        .map(name => name.replace(/^by\s+/i, '').trim())
+        .filter(Boolean);
+    return [...new Set(names)];
+}
+
+/**
+ * Normalize an author name for matching across articles
+ * @param {string} name - Author name
+ * @returns {string} Lowercased name with collapsed whitespace
+ */
+export function normalizeAuthor(name) {
+    return name.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn feed categories into tag names
+ * @param {Array<string|Object>} categories - Raw category values
+ * @returns {Array<string>} Unique tag names
+ */
+export function parseTags(categories) {
+    if (!categories) return [];
+    const values = Array.isArray(categories) ? categories : [categories];
+    const tags = new Map();
+    for (const name of values.map(nodeText).filter(Boolean)) {
+        const slug = slugifyTag(name);
+        if (slug && !tags.has(slug)) tags.set(slug, name);
+    }
+    return [...tags.values()];
+}
+
+/**
+ * Build a URL-safe tag slug ("Safe supply" -> "safe-supply")
+ * @param {string} name - Tag name
+ * @returns {string} Tag slug
+ */
+export function slugifyTag(name) {
+    return name
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Remove accents
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Find the lead image of a feed item
+ * @param {Object} item - rss-parser item
+ * @returns {string|null} Image URL
+ */
+export function findLeadImage(item) {
+    // Image enclosure or media tags
+    if (item.enclosure?.url && (!item.enclosure.type || item.enclosure.type.startsWith('image/'))) {
+        return item.enclosure.url;
+    }
+    const media = [item.mediaContent, item.mediaThumbnail].flat().find(entry => entry?.$?.url);
+    if (media) return media.$.url;
+
+    // First <img> of the description or body
+    for (const html of [item.content, item.contentEncoded]) {
+        const match = html?.match(/<img[^>]+src=["']([^"']+)["']/i);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+/**
+ * Build the plain text teaser of a feed item
+ * @param {string} descriptionHtml - Description HTML
+ * @returns {string|null} Teaser text
+ */
+export function parseDescription(descriptionHtml) {
+    const text = htmlToText(descriptionHtml);
+    return text ? text.slice(0, MAX_DESCRIPTION_LENGTH) : null;
+}
+
+/**
+ * Replace the authors and tags linked to an article
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {number} articleId - Article id
+ * @param {{authors: Array<string>, tags: Array<string>}} metadata - Parsed metadata
+ */
+export async function storeArticleMetadata(client, articleId, { authors = [], tags = [] }) {
+    await client.query('DELETE FROM article_authors WHERE article_id = $1', [articleId]);
+    for (const [position, name] of authors.entries()) {
+        const author = await client.query(`
+            INSERT INTO authors (name, normalized_name)
+            VALUES ($1, $2)
+            ON CONFLICT (normalized_name) DO UPDATE SET name = authors.name
+            RETURNING id`,
+            [name, normalizeAuthor(name)]
+        );
+        await client.query(
+            'INSERT INTO article_authors (article_id, author_id, position) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+            [articleId, author.rows[0].id, position]
+        );
+    }
+
+    await client.query('DELETE FROM article_tags WHERE article_id = $1', [articleId]);
+    for (const name of tags) {
+        const tag = await client.query(`
+            INSERT INTO tags (name, slug)
+            VALUES ($1, $2)
+            ON CONFLICT (slug) DO UPDATE SET name = tags.name
+            RETURNING id`,
+            [name, slugifyTag(name)]
+        );
+        await client.query(
+            'INSERT INTO article_tags (article_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [articleId, tag.rows[0].id]
+        );
+    }
+}
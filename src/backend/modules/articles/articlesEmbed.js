@@ -0,0 +1,121 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { embedWithModel, taskModel } from '../../utils/llm.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('articles-embedder');
+
+// Characters of content embedded when an article has no summary yet
+const CONTENT_PREVIEW_LENGTH = 2000;
+
+// Text that gets embedded: title plus summary, or the start of the content
+const EMBED_INPUT_SQL = `a.title || E'\\n\\n' || COALESCE(a.summary, left(a.content, ${CONTENT_PREVIEW_LENGTH}))`;
+
+class ArticlesEmbedder {
+    constructor() {
+        this.model = taskModel('embeddings');
+        this.batchSize = parseInt(process.env.EMBED_BATCH_SIZE || '16');
+        this.maxPerRun = parseInt(process.env.EMBED_MAX_PER_RUN || '200');
+    }
+
+    /**
+     * Get articles without an embedding for their current text and model
+     * @param {number} limit - Maximum number of articles
+     * @returns {Promise<Array<{id: number, title: string, input: string}>>}
+     */
+    async getPendingArticles(limit) {
+        const client = await pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT a.id, a.title, ${EMBED_INPUT_SQL} AS input
+                FROM articles a
+                LEFT JOIN article_embeddings e ON e.article_id = a.id
+                WHERE a.content IS NOT NULL
+                  AND (e.article_id IS NULL
+                       OR e.model <> $1
+                       OR e.input_hash IS DISTINCT FROM md5(${EMBED_INPUT_SQL}))
+                ORDER BY a.date_added, a.id
+                LIMIT $2
+            `, [this.model, limit ?? null]);
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Embed a batch of articles and store the vectors
+     * @param {Array<{id: number, input: string}>} articles - Articles to embed
+     */
+    async embedBatch(articles) {
+        const vectors = await embedWithModel('embeddings', this.model, articles.map(article => article.input));
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            for (const [index, article] of articles.entries()) {
+                await client.query(`
+                    INSERT INTO article_embeddings (article_id, model, embedding, input_hash)
+                    VALUES ($1, $2, $3, md5($4))
+                    ON CONFLICT (article_id) DO UPDATE
+                    SET model = EXCLUDED.model,
+                        embedding = EXCLUDED.embedding,
+                        input_hash = EXCLUDED.input_hash,
+                        created_at = now()`,
+                    [article.id, this.model, vectors[index], article.input]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Embed articles with new or changed text
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of articles (defaults to EMBED_MAX_PER_RUN)
+     * @returns {Promise<{processed: number, failed: number}>} Counts
+     */
+    async processPending({ limit = this.maxPerRun } = {}) {
+        const stats = { processed: 0, failed: 0 };
+        if (!this.model) {
+            logger.info('OLLAMA_EMBED_MODEL not set, skipping embeddings');
+            return stats;
+        }
+
+        try {
+            const articles = await this.getPendingArticles(limit);
+            if (!articles.length) {
+                logger.debug('No articles need embeddings');
+                return stats;
+            }
+
+            logger.info(`Embedding ${articles.length} articles`);
+
+            // Embed in batches so one failure only loses a batch
+            for (let i = 0; i < articles.length; i += this.batchSize) {
+                const batch = articles.slice(i, i + this.batchSize);
+                try {
+                    await this.embedBatch(batch);
+                    stats.processed += batch.length;
+                } catch (error) {
+                    stats.failed += batch.length;
+                    logger.error(`Failed to embed batch starting at article ${batch[0].id}:`, error);
+                }
+            }
+
+            logger.info(`Completed embeddings: ${stats.processed} stored, ${stats.failed} failed`);
+        } catch (error) {
+            logger.error('Error embedding articles:', error);
+        }
+        return stats;
+    }
+}
+
+export default new ArticlesEmbedder();
@@ -0,0 +1,342 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { chatWithModel, parseJsonReply, taskModel } from '../../utils/llm.js';
+import { renderPrompt } from '../../utils/prompts.js';
+import promptVersions from '../maintenance/promptVersions.js';
+import taskRetries from '../maintenance/taskRetries.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('articles-entities');
+
+// Entity types and the reply list each one is read from
+export const ENTITY_TYPES = {
+    person: 'people',
+    organization: 'organizations',
+    location: 'locations'
+};
+
+// Longest entity name and quote kept from a reply
+const MAX_NAME_LENGTH = 200;
+const MAX_QUOTE_LENGTH = 500;
+
+// Titles dropped from the start of person names ("Dr. Jane Doe" -> "jane doe")
+const PERSON_TITLES = /^(?:(?:mr|mrs|ms|mx|dr|prof|hon|rev|sir|dame)\.?\s+)+/;
+
+/**
+ * Fold a string for matching: no accents, lowercase, straight apostrophes, collapsed whitespace
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+function foldText(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Remove accents
+        .toLowerCase()
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize an entity name for matching across articles
+ * @param {string} name - Entity name
+ * @param {string} type - Key of ENTITY_TYPES
+ * @returns {string} Normalized name ("The U.S. Senate" -> "us senate", "Dr. Jane Doe" -> "jane doe")
+ */
+export function normalizeEntityName(name, type) {
+    const folded = foldText(name)
+        .replace(/\.(?=\S)/g, '') // Initialisms: U.S. -> us.
+        .replace(/[^\p{L}\p{N}&'\- ]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return type === 'person' ? folded.replace(PERSON_TITLES, '') : folded.replace(/^the\s+/, '');
+}
+
+/**
+ * Clean one name from a reply list, accepting {name} objects as well as strings
+ * @param {*} value - List entry
+ * @returns {string|null} Name, null when unusable
+ */
+function cleanName(value) {
+    const name = typeof value === 'string' ? value : value?.name;
+    if (typeof name !== 'string') return null;
+    const cleaned = name.replace(/\s+/g, ' ').trim();
+    return cleaned.length >= 2 && cleaned.length <= MAX_NAME_LENGTH && /\p{L}/u.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Validate a model reply against the entity schema and the article text. Names the
+ * article does not contain are dropped, and a person named by surname only is merged
+ * into the full name when the article also gives it.
+ * @param {Object} reply - Parsed reply: {people, organizations, locations, quotes}
+ * @param {string} text - Title and content of the article
+ * @returns {{entities: Array<{type: string, name: string, normalized: string, quoted: boolean, quotes: Array<string>}>, dropped: number}}
+ *   Entities and the number of names left out
+ */
+export function validateEntities(reply, text) {
+    if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+        throw new Error('Entity reply is not an object');
+    }
+    const lists = [...Object.values(ENTITY_TYPES), 'quotes'];
+    if (!lists.some(list => Array.isArray(reply[list]))) {
+        throw new Error(`Entity reply has none of ${lists.join(', ')}`);
+    }
+
+    const haystack = foldText(text);
+    const entities = new Map();
+    let dropped = 0;
+
+    const add = (type, name) => {
+        const normalized = normalizeEntityName(name, type);
+        if (!normalized || !haystack.includes(foldText(name))) {
+            dropped++;
+            return null;
+        }
+        const key = `${type}:${normalized}`;
+        if (!entities.has(key)) {
+            entities.set(key, { type, name, normalized, quoted: false, quotes: [] });
+        }
+        return entities.get(key);
+    };
+
+    for (const [type, list] of Object.entries(ENTITY_TYPES)) {
+        for (const value of Array.isArray(reply[list]) ? reply[list] : []) {
+            const name = cleanName(value);
+            if (name) add(type, name);
+            else dropped++;
+        }
+    }
+
+    // "Poilievre" and "Pierre Poilievre" in one article are the same person
+    const people = [...entities.values()].filter(entity => entity.type === 'person');
+    const fullName = entity => !entity.normalized.includes(' ') && people.find(other =>
+        other !== entity && other.normalized.endsWith(` ${entity.normalized}`));
+    for (const person of people) {
+        if (fullName(person)) entities.delete(`person:${person.normalized}`);
+    }
+
+    for (const entry of Array.isArray(reply.quotes) ? reply.quotes : []) {
+        const speaker = cleanName(entry?.speaker);
+        if (!speaker) {
+            dropped++;
+            continue;
+        }
+        const named = add('person', speaker);
+        if (!named) continue;
+        const person = fullName(named) || named;
+        if (person !== named) entities.delete(`person:${named.normalized}`);
+        person.quoted = true;
+        const quote = typeof entry.quote === 'string' ? entry.quote.replace(/\s+/g, ' ').trim().slice(0, MAX_QUOTE_LENGTH) : '';
+        if (quote && !person.quotes.includes(quote)) {
+            person.quotes.push(quote);
+        }
+    }
+
+    return { entities: [...entities.values()], dropped };
+}
+
+/**
+ * Replace the entities linked to an article
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {number} articleId - Article id
+ * @param {Array<Object>} entities - Entities from validateEntities
+ */
+export async function storeArticleEntities(client, articleId, entities) {
+    await client.query('DELETE FROM article_entities WHERE article_id = $1', [articleId]);
+    for (const entity of entities) {
+        const stored = await client.query(`
+            INSERT INTO entities (entity_type, name, normalized_name)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (entity_type, normalized_name) DO UPDATE SET name = entities.name
+            RETURNING id`,
+            [entity.type, entity.name, entity.normalized]
+        );
+        await client.query(`
+            INSERT INTO article_entities (article_id, entity_id, quoted, quotes)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT DO NOTHING`,
+            [articleId, stored.rows[0].id, entity.quoted, entity.quotes]
+        );
+    }
+}
+
+class ArticlesEntityExtractor {
+    constructor() {
+        this.model = taskModel('entities');
+        this.numCtx = parseInt(process.env.OLLAMA_ENTITY_NUM_CTX || '8192');
+        this.batchSize = parseInt(process.env.ENTITY_BATCH_SIZE || '20');
+    }
+
+    /**
+     * Get articles whose content changed since their entities were last extracted. Articles
+     * whose current content failed are left out until their retry time, and for good once the
+     * attempts run out. Articles never read come first, oldest first.
+     * @param {Object} [options]
+     * @param {number} [options.sourceId] - Only articles of this source
+     * @param {number} [options.limit] - Maximum number of articles
+     * @param {boolean} [options.force] - Include articles that are already up to date or waiting for a retry
+     * @param {boolean} [options.outdated] - Also include articles extracted with another version of the prompt
+     * @returns {Promise<Array>} Articles to extract entities from, with the failed attempts on their current content
+     */
+    async getPendingArticles({ sourceId, limit, force = false, outdated = false } = {}) {
+        const { sourceIds, versions } = await promptVersions.versionsBySource('entities');
+        const client = await pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT a.id, a.title, a.content, a.date_added, s.channel_name, s.prompt_set,
+                       CASE WHEN a.entities_failed_hash = md5(a.content) THEN a.entities_attempts ELSE 0 END AS entities_attempts
+                FROM articles a
+                JOIN sources s ON s.id = a.source_id
+                JOIN unnest($4::bigint[], $5::text[]) AS v(source_id, version) ON v.source_id = a.source_id
+                WHERE a.content IS NOT NULL
+                  AND ($1::boolean
+                       OR a.entities_content_hash IS DISTINCT FROM md5(a.content)
+                       OR ($6::boolean AND a.entities_prompt_version IS DISTINCT FROM v.version))
+                  AND ($1::boolean
+                       OR a.entities_failed_hash IS DISTINCT FROM md5(a.content)
+                       OR a.entities_next_attempt_at <= now())
+                  AND ($2::bigint IS NULL OR a.source_id = $2)
+                ORDER BY a.entities_extracted_at NULLS FIRST, a.date_added, a.id
+                LIMIT $3
+            `, [force, sourceId ?? null, limit ?? null, sourceIds, versions, outdated]);
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Record a failed extraction on the article's current content and schedule the next one
+     * @param {Object} article - Article from getPendingArticles
+     * @param {Error} error - Failure
+     */
+    async markFailed(article, error) {
+        const { attempts, delayMinutes } = taskRetries.nextAttempt(article.entities_attempts);
+        await pool.query(`
+            UPDATE articles
+            SET entities_attempts = $2,
+                entities_failed_hash = md5($3),
+                entities_last_error = $4,
+                entities_next_attempt_at = CASE WHEN $5::integer IS NULL THEN NULL
+                                                ELSE now() + make_interval(mins => $5::integer) END
+            WHERE id = $1`,
+            [article.id, attempts, article.content, error.message, delayMinutes]
+        );
+        if (delayMinutes === null) {
+            logger.warn(`Giving up on entities of ${article.title} after ${attempts} attempts: ${error.message}`);
+        } else {
+            logger.warn(`Entity attempt ${attempts} failed for ${article.title}, retrying in ${delayMinutes} minutes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask the model for the entities of an article and validate them
+     * @param {Object} article - Article with title, markdown content, source and prompt set
+     * @returns {Promise<{entities: Array<Object>, promptVersion: string}>}
+     */
+    async extract(article) {
+        const { messages, version } = renderPrompt('entities', {
+            title: article.title,
+            source: article.channel_name,
+            date: article.date_added,
+            content: article.content
+        }, { set: article.prompt_set });
+        const reply = await chatWithModel('entities', this.model, messages, {
+            num_ctx: this.numCtx,
+            temperature: 0,
+            format: 'json'
+        });
+
+        const { entities, dropped } = validateEntities(parseJsonReply(reply), `${article.title}\n${article.content}`);
+        if (dropped) {
+            logger.debug(`Dropped ${dropped} entities not found in: ${article.title}`);
+        }
+        return { entities, promptVersion: version };
+    }
+
+    /**
+     * Extract the entities of one article and store them
+     * @param {Object} article - Article data
+     * @returns {Promise<boolean>} True when entities were stored
+     */
+    async processArticle(article) {
+        try {
+            logger.debug(`Extracting entities: ${article.title}`);
+            const { entities, promptVersion } = await this.extract(article);
+
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await storeArticleEntities(client, article.id, entities);
+                // Hash the content that was read so later edits trigger a new extraction
+                await client.query(`
+                    UPDATE articles
+                    SET entities_content_hash = md5($1),
+                        entities_model = $2,
+                        entities_prompt_version = $3,
+                        entities_extracted_at = now(),
+                        entities_attempts = 0,
+                        entities_failed_hash = NULL,
+                        entities_last_error = NULL,
+                        entities_next_attempt_at = NULL
+                    WHERE id = $4`,
+                    [article.content, this.model, promptVersion, article.id]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+            logger.debug(`Stored ${entities.length} entities for: ${article.title}`);
+            return true;
+        } catch (error) {
+            logger.error(`Failed to extract entities: ${article.title}: ${error.message}`);
+            await this.markFailed(article, error).catch(markError => {
+                logger.error(`Failed to record entity failure of ${article.title}: ${markError.message}`);
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Extract entities of articles with new or changed content
+     * @param {Object} [options] - Same filters as getPendingArticles; defaults to one batch
+     * @returns {Promise<{processed: number, failed: number}>} Counts
+     */
+    async processPending(options = { limit: this.batchSize }) {
+        const stats = { processed: 0, failed: 0 };
+        if (!this.model) {
+            logger.info('No entity model set (OLLAMA_ENTITY_MODEL), skipping entity extraction');
+            return stats;
+        }
+
+        try {
+            const articles = await this.getPendingArticles(options);
+            if (!articles.length) {
+                logger.debug('No articles need entity extraction');
+                return stats;
+            }
+
+            logger.info(`Extracting entities from ${articles.length} articles`);
+            for (const article of articles) {
+                if (await this.processArticle(article)) {
+                    stats.processed++;
+                } else {
+                    stats.failed++;
+                }
+            }
+
+            logger.info(`Completed entity extraction: ${stats.processed} stored, ${stats.failed} failed`);
+        } catch (error) {
+            logger.error(`Error extracting entities: ${error.message}`);
+        }
+        return stats;
+    }
+}
+
+export default new ArticlesEntityExtractor();
@@ -10,7 +10,7 @@ class ArticlesFetch {
 
     /**
      * Initialize with sources data
-     * @param {Array<{url: string, channel_name: string, articles_table: string}>} sources
+     * @param {Array<{id: number, url: string, channel_name: string}>} sources
      */
     async initialize(sources) {
         try {
@@ -33,19 +33,19 @@ class ArticlesFetch {
         try {
             await client.query('BEGIN');
 
-            // Insert articles into source-specific articles table
+            // Insert articles into the shared articles table
             const articleQuery = `
-                INSERT INTO ${source.articles_table} 
-                (url, title, date_added, scrape_check)
-                VALUES ($1, $2, $3, 0)
+                INSERT INTO articles
+                (source_id, url, title, date_added)
+                VALUES ($1, $2, $3, $4)
                 ON CONFLICT (url) DO UPDATE
                 SET title = EXCLUDED.title,
-                    date_added = EXCLUDED.date_added,
-                    scrape_check = 0
+                    date_added = EXCLUDED.date_added
                 RETURNING id, title`;
 
             for (const article of articles) {
                 await client.query(articleQuery, [
+                    source.id,
                     article.url,
                     article.title,
                     article.date_added
@@ -0,0 +1,150 @@
+import { pool } from '../../utils/dbCon.js';
+import { normalizeAuthor, slugifyTag } from './articleMetadata.js';
+import { normalizeEntityName } from './articlesEntities.js';
+
+// Largest page size accepted by listArticles
+const MAX_LIMIT = 200;
+
+// Author and tag names of an article, in display order
+const AUTHORS_AND_TAGS_SQL = `
+    ARRAY(SELECT au.name FROM article_authors aa
+          JOIN authors au ON au.id = aa.author_id
+          WHERE aa.article_id = a.id ORDER BY aa.position) AS authors,
+    ARRAY(SELECT t.name FROM article_tags at
+          JOIN tags t ON t.id = at.tag_id
+          WHERE at.article_id = a.id ORDER BY t.name) AS tags`;
+
+// People, organizations and locations named in an article, quoted people first
+const ENTITIES_SQL = `
+    COALESCE((SELECT json_agg(json_build_object(
+                  'id', e.id, 'type', e.entity_type, 'name', e.name, 'quoted', ae.quoted, 'quotes', ae.quotes)
+                  ORDER BY ae.quoted DESC, e.entity_type, e.name)
+              FROM article_entities ae
+              JOIN entities e ON e.id = ae.entity_id
+              WHERE ae.article_id = a.id), '[]') AS entities`;
+
+// Read-side queries over stored articles
+class ArticlesQuery {
+    /**
+     * Build the WHERE clause for article filters
+     * @param {Object} filters - See listArticles
+     * @returns {{where: string, values: Array}} SQL clause and its parameters
+     */
+    buildFilters({ sourceId, topicId, author, tag, entity, from, to }) {
+        const conditions = [];
+        const values = [];
+
+        if (sourceId) {
+            values.push(sourceId);
+            conditions.push(`a.source_id = $${values.length}`);
+        }
+        if (topicId) {
+            values.push(topicId);
+            conditions.push(`a.topic_id = $${values.length}`);
+        }
+        if (from) {
+            values.push(from);
+            conditions.push(`a.date_added >= $${values.length}::date`);
+        }
+        if (to) {
+            values.push(to);
+            conditions.push(`a.date_added <= $${values.length}::date`);
+        }
+        if (author) {
+            values.push(normalizeAuthor(author));
+            conditions.push(`EXISTS (
+                SELECT 1 FROM article_authors aa
+                JOIN authors au ON au.id = aa.author_id
+                WHERE aa.article_id = a.id AND au.normalized_name = $${values.length})`);
+        }
+        if (tag) {
+            values.push(slugifyTag(tag));
+            conditions.push(`EXISTS (
+                SELECT 1 FROM article_tags at
+                JOIN tags t ON t.id = at.tag_id
+                WHERE at.article_id = a.id AND t.slug = $${values.length})`);
+        }
+
+        if (entity) {
+            // Person names drop titles and other names a leading "the", so match either form
+            values.push([normalizeEntityName(entity, 'person'), normalizeEntityName(entity, 'organization')]);
+            conditions.push(`EXISTS (
+                SELECT 1 FROM article_entities ae
+                JOIN entities e ON e.id = ae.entity_id
+                WHERE ae.article_id = a.id AND e.normalized_name = ANY($${values.length}))`);
+        }
+
+        return {
+            where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+            values
+        };
+    }
+
+    /**
+     * List articles newest first with optional filters
+     * @param {Object} [filters]
+     * @param {number} [filters.sourceId] - Only articles of this source
+     * @param {number} [filters.topicId] - Only articles of this topic
+     * @param {string} [filters.author] - Only articles by this author (case-insensitive)
+     * @param {string} [filters.tag] - Only articles with this tag (name or slug)
+     * @param {string} [filters.entity] - Only articles naming this person, organization or location
+     * @param {string} [filters.from] - Only articles added on or after this date (YYYY-MM-DD)
+     * @param {string} [filters.to] - Only articles added on or before this date (YYYY-MM-DD)
+     * @param {number} [filters.limit] - Page size
+     * @param {number} [filters.offset] - Rows to skip
+     * @returns {Promise<Array<Object>>} Article rows with source name, authors and tags
+     */
+    async listArticles({ limit = 20, offset = 0, ...filters } = {}) {
+        const { where, values } = this.buildFilters(filters);
+        values.push(Math.min(Math.max(Number(limit) || 20, 1), MAX_LIMIT));
+        values.push(Math.max(Number(offset) || 0, 0));
+
+        const result = await pool.query(`
+            SELECT a.id, a.title, a.headline, a.url, a.date_added, a.description, a.lead_image_url,
+                   a.summary, a.topic_id, a.source_id, s.channel_name,
+                   ${AUTHORS_AND_TAGS_SQL}
+            FROM articles a
+            JOIN sources s ON s.id = a.source_id
+            ${where}
+            ORDER BY a.date_added DESC, a.id DESC
+            LIMIT $${values.length - 1} OFFSET $${values.length}`,
+            values
+        );
+        return result.rows;
+    }
+
+    /**
+     * Count articles matching the listArticles filters
+     * @param {Object} [filters] - Same filters as listArticles
+     * @returns {Promise<number>} Number of matching articles
+     */
+    async countArticles(filters = {}) {
+        const { where, values } = this.buildFilters(filters);
+        const result = await pool.query(`SELECT count(*) AS total FROM articles a ${where}`, values);
+        return Number(result.rows[0].total);
+    }
+
+    /**
+     * Get one article with its content, source, topic, authors, tags and entities
+     * @param {number} articleId - Article id
+     * @returns {Promise<Object|null>} Article row
+     */
+    async getArticle(articleId) {
+        const result = await pool.query(`
+            SELECT a.id, a.title, a.headline, a.url, a.guid, a.date_added, a.description, a.lead_image_url,
+                   a.summary, a.summarized_at, a.content, a.content_origin, a.content_format, a.content_quality,
+                   a.content_images, a.content_links, a.topic_id, a.source_id,
+                   s.channel_name, s.url AS source_url, t.topic_name,
+                   ${AUTHORS_AND_TAGS_SQL},
+                   ${ENTITIES_SQL}
+            FROM articles a
+            JOIN sources s ON s.id = a.source_id
+            LEFT JOIN news_topics t ON t.id = a.topic_id
+            WHERE a.id = $1`,
+            [articleId]
+        );
+        return result.rows[0] || null;
+    }
+}
+
+export default new ArticlesQuery();
@@ -1,8 +1,14 @@
 import { createLogger } from '../../utils/logger.js';
 import { pool } from '../../utils/dbCon.js';
-import { sendToModel } from '../../utils/ollama.js';
-import trueNorth from './scrapers/trueNorth.js';
-import cbc from './scrapers/cbc.js';
+import { chatWithModel, taskModel } from '../../utils/llm.js';
+import { renderPrompt } from '../../utils/prompts.js';
+import SelectorScraper from './scrapers/selectorScraper.js';
+import { loadAllDefinitions, matchesHost } from './scrapers/scraperDefinitions.js';
+import scrapeState, { unsupportedScrapeError } from './scrapeState.js';
+import { extractFromHtml, parseHtml } from './htmlExtract.js';
+import { htmlToMarkdown } from './htmlToMarkdown.js';
+import { checkMarkdown } from './markdownQuality.js';
+import { estimateTokens, splitHtml, stitchMarkdown } from './contentChunks.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -10,94 +16,180 @@ dotenv.config();
 
 const logger = createLogger('articles-scraper');
 
+// Extra model attempts when the first conversion fails the quality check
+const MARKDOWN_LLM_RETRIES = parseInt(process.env.MARKDOWN_LLM_RETRIES || '1');
+
+// Context the reader model gets when OLLAMA_HTML_READER_NUM_CTX is unset (Ollama's default)
+const DEFAULT_READER_CONTEXT = 2048;
+
+// Chunks of one article converted at the same time
+const READER_CONCURRENCY = Math.max(1, parseInt(process.env.OLLAMA_HTML_READER_CONCURRENCY || '1'));
+
+/**
+ * Map over items with at most `limit` calls running at once, keeping the order of results
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
 class ArticlesScraper {
     constructor() {
-        // Map of base URLs to their respective scrapers
-        this.scrapers = new Map([
-            ['tnc.news', trueNorth],
-            ['cbc.ca', cbc]
-        ]);
+        // One scraper per site definition, plus the generic extractor for every other host
+        this.scrapers = loadAllDefinitions().map(definition => new SelectorScraper(definition));
+        this.genericScraper = process.env.SCRAPE_GENERIC_FALLBACK === 'false' ? null : new SelectorScraper(null);
     }
 
     /**
-     * Get all article tables from the database
-     * @returns {Promise<Array<string>>} List of article table names
+     * Get unprocessed articles of enabled sources that are due for a scrape attempt
+     * @returns {Promise<Array>} List of unprocessed articles
      */
-    async getArticleTables() {
+    async getUnprocessedArticles() {
         const client = await pool.connect();
         try {
             const result = await client.query(`
-                SELECT articles_table 
-                FROM sources 
-                ORDER BY channel_name
+                SELECT a.id, a.url, a.title, a.date_added, a.feed_content, a.content_origin, a.scrape_attempts,
+                       s.channel_name, s.content_policy, s.markdown_converter, s.prompt_set
+                FROM articles a
+                JOIN sources s ON s.id = a.source_id
+                WHERE s.enabled
+                  AND a.content IS NULL
+                  AND a.scrape_status IN ('pending', 'retry')
+                  AND (a.scrape_next_attempt_at IS NULL OR a.scrape_next_attempt_at <= now())
+                ORDER BY s.id, a.date_added DESC
             `);
-            return result.rows.map(row => row.articles_table);
+            return result.rows;
         } finally {
             client.release();
         }
     }
 
     /**
-     * Get unprocessed articles from a table
-     * @param {string} tableName - Name of the articles table
-     * @returns {Promise<Array>} List of unprocessed articles
+     * Model options for a conversion attempt; retries run greedy and penalize repetition harder
+     * @param {number} attempt - 0 for the first attempt
+     * @returns {Object} Ollama options
      */
-    async getUnprocessedArticles(tableName) {
-        const client = await pool.connect();
-        try {
-            const result = await client.query(`
-                SELECT id, url, title 
-                FROM ${tableName}
-                WHERE content IS NULL
-                ORDER BY date_added DESC
-            `);
-            return result.rows;
-        } finally {
-            client.release();
+    readerOptions(attempt) {
+        const options = { num_ctx: parseInt(process.env.OLLAMA_HTML_READER_NUM_CTX) };
+        return attempt === 0 ? options : { ...options, temperature: 0, repeat_penalty: 1 + 0.15 * attempt };
+    }
+
+    /**
+     * Token budget for the HTML of one chunk. The context holds the prompt, the chunk
+     * and the markdown written back, so a chunk gets well under half of it.
+     * @returns {number} Tokens per chunk
+     */
+    chunkTokens() {
+        const configured = parseInt(process.env.OLLAMA_HTML_READER_CHUNK_TOKENS);
+        if (configured > 0) return configured;
+        const context = parseInt(process.env.OLLAMA_HTML_READER_NUM_CTX) || DEFAULT_READER_CONTEXT;
+        return Math.floor(context * 0.4);
+    }
+
+    /**
+     * Convert one piece of HTML with the reader model, retrying with other settings
+     * when the output fails the quality check
+     * @param {string} model - Reader model
+     * @param {Object} source - Cleaned content of this piece (html, text, links, images)
+     * @param {Array<Object>} messages - Rendered markdown prompt for this piece
+     * @param {string} label - Describes the piece in log messages
+     * @returns {Promise<string|null>} Markdown, or null when no attempt passed
+     */
+    async convertWithModel(model, source, messages, label) {
+        for (let attempt = 0; attempt <= MARKDOWN_LLM_RETRIES; attempt++) {
+            try {
+                // Streamed, so a long conversion only times out when the model stops producing output
+                const markdownContent = await chatWithModel('markdown', model, messages, { stream: true, ...this.readerOptions(attempt) });
+                if (!markdownContent?.trim()) {
+                    logger.warn(`Model returned no markdown for ${label} (attempt ${attempt + 1})`);
+                    continue;
+                }
+                const quality = checkMarkdown(markdownContent, source);
+                if (quality.passed) {
+                    return markdownContent;
+                }
+                logger.warn(`Model markdown for ${label} failed the quality check (attempt ${attempt + 1}, score ${quality.score}): ${quality.issues.join('; ')}`);
+            } catch (error) {
+                logger.error(`Failed to convert ${label} to markdown with the model:`, error);
+                return null;
+            }
         }
+        return null;
     }
 
     /**
-     * Convert HTML to markdown using Ollama
-     * @param {string} html - HTML content to convert
-     * @returns {Promise<string>} Markdown content
+     * Convert cleaned HTML to markdown with the source's converter and score the result.
+     * HTML larger than the model context is split on block boundaries and the chunks'
+     * markdown is stitched back together. Model output that fails the quality check is
+     * retried with other settings, then replaced by the rule-based converter, which also
+     * covers a missing or failing model.
+     * @param {Object} content - Cleaned content from htmlExtract (html, text, links, images)
+     * @param {Object} [options]
+     * @param {string} [options.converter] - llm or rules
+     * @param {string|null} [options.promptSet] - Prompt set of the source
+     * @param {Object} [options.variables] - Prompt variables besides content (title, source, date)
+     * @returns {Promise<{markdown: string, format: string, promptVersion: string|null, quality: {score: number, passed: boolean, issues: Array<string>}}>}
+     *   Markdown, the converter that produced it, the prompt template used and its quality check
      */
-    async convertToMarkdown(html) {
-        try {
-            const markdownContent = await sendToModel(
-                process.env.OLLAMA_HTML_READER,
-                html,
-                {
-                    num_ctx: parseInt(process.env.OLLAMA_HTML_READER_NUM_CTX)
+    async convertToMarkdown(content, { converter = 'llm', promptSet = null, variables = {} } = {}) {
+        const model = taskModel('markdown');
+        if (converter === 'llm' && model) {
+            const chunks = splitHtml(content.html, this.chunkTokens());
+            if (chunks.length > 1) {
+                logger.info(`HTML is about ${estimateTokens(content.html)} tokens, over the ${this.chunkTokens()} token chunk budget; converting in ${chunks.length} chunks`);
+            }
+
+            const prompts = chunks.map(html => renderPrompt('markdown', { ...variables, content: html }, { set: promptSet }));
+            const parts = await mapWithConcurrency(chunks, READER_CONCURRENCY, (html, index) => this.convertWithModel(
+                model,
+                { ...content, html, text: chunks.length > 1 ? parseHtml(html).structuredText : content.text },
+                prompts[index].messages,
+                chunks.length > 1 ? `chunk ${index + 1}/${chunks.length}` : 'article'
+            ));
+
+            if (parts.every(Boolean)) {
+                const markdown = parts.length > 1 ? stitchMarkdown(parts) : parts[0];
+                const quality = checkMarkdown(markdown, content);
+                if (quality.passed) {
+                    return { markdown, format: 'llm', promptVersion: prompts[0].version, quality };
                 }
-            );
-            return markdownContent;
-        } catch (error) {
-            logger.error('Failed to convert HTML to markdown:', error);
-            return html; // Return original HTML on error
+                logger.warn(`Stitched markdown failed the quality check (score ${quality.score}): ${quality.issues.join('; ')}`);
+            }
+            logger.warn('Using the rule-based converter instead of the model');
         }
+        const markdown = htmlToMarkdown(content.html);
+        return { markdown, format: 'rules', promptVersion: null, quality: checkMarkdown(markdown, content) };
     }
 
     /**
      * Get the appropriate scraper for a URL
      * @param {string} url - The article URL to scrape
-     * @returns {Object|null} The scraper object or null if no matching scraper
+     * @returns {Object|null} The site scraper, the generic scraper for unknown hosts, or null
      */
     getScraperForUrl(url) {
         try {
-            const urlObj = new URL(url);
-            const hostname = urlObj.hostname.toLowerCase();
-            
-            // Try to find a matching scraper
-            for (const [baseUrl, scraper] of this.scrapers) {
-                if (hostname.includes(baseUrl)) {
-                    logger.debug(`Found scraper for ${hostname}`);
-                    return scraper;
-                }
+            const hostname = new URL(url).hostname.toLowerCase();
+
+            const scraper = this.scrapers.find(candidate => matchesHost(candidate.definition, hostname));
+            if (scraper) {
+                logger.debug(`Found ${scraper.name} scraper for ${hostname}`);
+                return scraper;
             }
 
-            logger.info(`No scraper found for hostname: ${hostname}`);
-            return null;
+            logger.debug(`No site definition for ${hostname}, using ${this.genericScraper ? 'the generic extractor' : 'no scraper'}`);
+            return this.genericScraper;
         } catch (error) {
             logger.error(`Invalid or malformed URL: ${url}`, error);
             return null;
@@ -105,50 +197,106 @@ class ArticlesScraper {
     }
 
     /**
-     * Process a single article
-     * @param {Object} article - Article data
-     * @param {string} tableName - Articles table name
+     * Clean a feed body the same way scraped pages are cleaned
+     * @param {Object} article - Article data with url and feed_content
+     * @returns {{html: string, text: string, images: Array<Object>, links: Array<Object>, origin: string}}
      */
-    async processArticle(article, tableName) {
+    extractFeedContent(article) {
+        return { ...extractFromHtml(article.feed_content, { baseUrl: article.url }), origin: 'feed' };
+    }
+
+    /**
+     * Get cleaned article HTML from the feed body or by scraping, falling back to the feed body
+     * when the scrape fails or finds no text and the content policy allows it
+     * @param {Object} article - Article data with feed_content, content_origin and content_policy
+     * @returns {Promise<{html: string, text: string, images: Array<Object>, links: Array<Object>, origin: string}|null>}
+     *   Cleaned content and where it came from, null when nothing can provide it
+     */
+    async getArticleHtml(article) {
+        // Feed already carries the full article, skip scraping
+        if (article.content_origin === 'feed' && article.feed_content) {
+            logger.debug(`Using feed content for: ${article.title}`);
+            return this.extractFeedContent(article);
+        }
+
+        // The feed body stands in when scraping is impossible, fails or finds no text, unless the source only allows scraping
+        const feedFallback = Boolean(article.feed_content) && article.content_policy !== 'scrape';
+
         const scraper = this.getScraperForUrl(article.url);
-        if (!scraper) {
-            logger.debug(`No scraper available for: ${article.title}`);
-            return;
+        if (scraper) {
+            try {
+                const content = await scraper.scrape(article.url, article);
+                if (content.text || !feedFallback) {
+                    return { ...content, origin: 'scrape' };
+                }
+                logger.debug(`Scraped page has no text, using feed content for: ${article.title}`);
+            } catch (error) {
+                if (!feedFallback) throw error;
+                logger.warn(`Scrape failed for ${article.title}, using feed content: ${error.message}`);
+            }
+            return this.extractFeedContent(article);
+        }
+
+        if (feedFallback) {
+            logger.debug(`No scraper available, using feed content for: ${article.title}`);
+            return this.extractFeedContent(article);
         }
 
+        logger.debug(`No scraper available for: ${article.title}`);
+        return null;
+    }
+
+    /**
+     * Process a single article and record the outcome in its scrape state
+     * @param {Object} article - Article data
+     */
+    async processArticle(article) {
         try {
             logger.debug(`Processing article: ${article.title}`);
             
-            // Scrape the article
-            const htmlContent = await scraper.scrape(article.url, article);
-            
-            logger.debug(`Got HTML content for ${article.title}, length: ${htmlContent?.length || 0}`);
-            
-            if (!htmlContent) {
-                logger.warn(`No HTML content returned for article: ${article.title}`);
-                return;
+            // Get HTML from the feed or the article page
+            const articleHtml = await this.getArticleHtml(article);
+            if (!articleHtml) {
+                throw unsupportedScrapeError('No scraper for this site and no usable feed content');
+            }
+            if (!articleHtml.text) {
+                throw new Error('No text left after removing boilerplate');
             }
+            logger.debug(`Got HTML content for ${article.title}, length: ${articleHtml.html.length}`);
 
             // Convert HTML to Markdown
-            const markdownContent = await this.convertToMarkdown(htmlContent);
+            const { markdown: markdownContent, format, promptVersion, quality } = await this.convertToMarkdown(articleHtml, {
+                converter: article.markdown_converter,
+                promptSet: article.prompt_set,
+                variables: { title: article.title, source: article.channel_name, date: article.date_added }
+            });
             
             if (!markdownContent) {
-                logger.warn(`No markdown content generated for article: ${article.title}`);
-                return;
+                throw new Error('No markdown content generated');
             }
 
-            logger.debug(`Generated markdown content for ${article.title}, length: ${markdownContent.length}`);
+            logger.debug(`Generated markdown content for ${article.title} (${format}, quality ${quality.score}), length: ${markdownContent.length}`);
             
             // Update the article with markdown content
             const client = await pool.connect();
             try {
                 await client.query('BEGIN');
                 await client.query(`
-                    UPDATE ${tableName}
-                    SET content = $1
-                    WHERE id = $2`,
-                    [markdownContent, article.id]
+                    UPDATE articles
+                    SET content = $1,
+                        content_origin = $2,
+                        content_images = $4,
+                        content_links = $5,
+                        content_format = $6,
+                        content_quality = $7,
+                        content_quality_issues = $8,
+                        content_prompt_version = $9
+                    WHERE id = $3`,
+                    [markdownContent, articleHtml.origin, article.id,
+                        JSON.stringify(articleHtml.images), JSON.stringify(articleHtml.links), format,
+                        quality.score, JSON.stringify(quality.issues), promptVersion]
                 );
+                await scrapeState.markDone(client, article.id);
                 await client.query('COMMIT');
                 logger.debug(`Updated article content: ${article.title}`);
             } catch (error) {
@@ -159,54 +307,35 @@ class ArticlesScraper {
             }
         } catch (error) {
             logger.error(`Failed to process article: ${article.title}`, error);
+            await scrapeState.markFailed(article, error).catch(stateError => {
+                logger.error(`Failed to record scrape state for article ${article.id}:`, stateError);
+            });
         }
     }
 
     /**
-     * Process all unprocessed articles in a table
-     * @param {string} tableName - Name of the articles table
+     * Process all unprocessed articles
      */
-    async processTable(tableName) {
+    async processAllArticles() {
         try {
-            logger.debug(`Processing articles from table: ${tableName}`);
-            const articles = await this.getUnprocessedArticles(tableName);
-            
+            logger.info('Starting article processing');
+
+            const articles = await this.getUnprocessedArticles();
             if (articles.length === 0) {
-                logger.debug(`No unprocessed articles in ${tableName}`);
+                logger.debug('No unprocessed articles');
                 return;
             }
 
-            logger.info(`Found ${articles.length} unprocessed articles in ${tableName}`);
-            
+            logger.info(`Found ${articles.length} unprocessed articles`);
+
             // Process one article at a time
             for (const article of articles) {
-                await this.processArticle(article, tableName);
-            }
-
-            logger.debug(`Completed processing articles from ${tableName}`);
-        } catch (error) {
-            logger.error(`Error processing table ${tableName}:`, error);
-        }
-    }
-
-    /**
-     * Process all article tables
-     */
-    async processAllTables() {
-        try {
-            logger.info('Starting article processing');
-            
-            const tables = await this.getArticleTables();
-            logger.debug(`Found ${tables.length} article tables`);
-            
-            // Process one table at a time
-            for (const table of tables) {
-                await this.processTable(table);
+                await this.processArticle(article);
             }
 
             logger.info('Completed article processing');
         } catch (error) {
-            logger.error('Error processing tables:', error);
+            logger.error('Error processing articles:', error);
         }
     }
 }
@@ -0,0 +1,72 @@
+import { pool } from '../../utils/dbCon.js';
+import articlesQuery from './articlesQuery.js';
+
+// Largest number of results returned by one search
+const MAX_LIMIT = 100;
+
+// Text search configuration, must match the search_vector column
+const SEARCH_CONFIG = 'english';
+
+// Markers around matched words in snippets unless the caller picks its own
+const DEFAULT_HIGHLIGHT = { start: '<mark>', stop: '</mark>' };
+
+// Full-text search over stored articles
+class ArticlesSearch {
+    /**
+     * Search articles by title, headline, summary and content.
+     * Queries use web search syntax: "quoted phrases", `or`, and `-excluded` words.
+     * @param {string} query - Search query
+     * @param {Object} [options]
+     * @param {number} [options.sourceId] - Only articles of this source
+     * @param {string} [options.from] - Only articles added on or after this date (YYYY-MM-DD)
+     * @param {string} [options.to] - Only articles added on or before this date (YYYY-MM-DD)
+     * @param {string} [options.author] - Only articles by this author
+     * @param {string} [options.tag] - Only articles with this tag
+     * @param {number} [options.limit] - Page size
+     * @param {number} [options.offset] - Rows to skip
+     * @param {{start: string, stop: string}} [options.highlight] - Markers around matched words
+     * @returns {Promise<{total: number, results: Array<Object>}>} Best matches first, with rank and snippets
+     */
+    async search(query, { limit = 20, offset = 0, highlight = DEFAULT_HIGHLIGHT, ...filters } = {}) {
+        if (!query || !query.trim()) {
+            throw new Error('Search query must not be empty');
+        }
+
+        const { where, values } = articlesQuery.buildFilters(filters);
+        values.push(query.trim());
+        const queryParam = `$${values.length}`;
+        values.push(`StartSel="${highlight.start}", StopSel="${highlight.stop}", MaxFragments=2, MinWords=8, MaxWords=25, FragmentDelimiter=" … "`);
+        const headlineOptions = `$${values.length}`;
+        values.push(Math.min(Math.max(Number(limit) || 20, 1), MAX_LIMIT));
+        values.push(Math.max(Number(offset) || 0, 0));
+
+        // Rank and page first so snippets are only built for the returned rows
+        const result = await pool.query(`
+            WITH q AS (SELECT websearch_to_tsquery('${SEARCH_CONFIG}', ${queryParam}) AS query),
+            matches AS (
+                SELECT a.id, ts_rank_cd(a.search_vector, q.query, 32) AS rank, count(*) OVER () AS total
+                FROM articles a, q
+                ${where ? `${where} AND` : 'WHERE'} a.search_vector @@ q.query
+                ORDER BY rank DESC, a.date_added DESC, a.id DESC
+                LIMIT $${values.length - 1} OFFSET $${values.length}
+            )
+            SELECT a.id, a.title, a.headline, a.url, a.date_added, a.source_id, s.channel_name,
+                   a.topic_id, m.rank, m.total,
+                   ts_headline('${SEARCH_CONFIG}', coalesce(a.headline, a.title), q.query, ${headlineOptions}) AS title_highlight,
+                   ts_headline('${SEARCH_CONFIG}', coalesce(a.content, a.summary, a.description, ''), q.query, ${headlineOptions}) AS snippet
+            FROM matches m
+            JOIN articles a ON a.id = m.id
+            JOIN sources s ON s.id = a.source_id
+            CROSS JOIN q
+            ORDER BY m.rank DESC, a.date_added DESC, a.id DESC`,
+            values
+        );
+
+        return {
+            total: result.rows.length ? Number(result.rows[0].total) : 0,
+            results: result.rows.map(({ total, ...row }) => ({ ...row, rank: Number(row.rank) }))
+        };
+    }
+}
+
+export default new ArticlesSearch();
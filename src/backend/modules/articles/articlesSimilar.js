@@ -0,0 +1,206 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { embedWithModel, taskModel } from '../../utils/llm.js';
+import { cosineSimilarity } from '../../utils/vectors.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('articles-similar');
+
+// Largest number of results returned by one search
+const MAX_LIMIT = 100;
+
+// Embeddings read per query when ranking in the app
+const SCAN_BATCH_SIZE = 1000;
+
+// Article columns returned with every match
+const RESULT_COLUMNS = `a.id, a.title, a.headline, a.url, a.date_added, a.summary,
+                        a.source_id, s.channel_name, a.topic_id`;
+
+// Semantic nearest-neighbour search over stored article embeddings
+class SemanticSearch {
+    constructor() {
+        this.model = taskModel('embeddings');
+        // auto uses pgvector when the extension is installed, app always ranks in Node
+        this.mode = process.env.SEMANTIC_SEARCH_MODE || 'auto';
+        this.pgvectorAvailable = null;
+    }
+
+    /**
+     * Check once whether the pgvector extension is installed
+     * @returns {Promise<boolean>} True when ranking can run in Postgres
+     */
+    async usePgvector() {
+        if (this.mode === 'app') return false;
+        if (this.pgvectorAvailable === null) {
+            const result = await pool.query(`SELECT 1 FROM pg_extension WHERE extname = 'vector'`);
+            this.pgvectorAvailable = result.rows.length > 0;
+            logger.debug(`pgvector ${this.pgvectorAvailable ? 'found' : 'not installed'}, ranking in ${this.pgvectorAvailable ? 'Postgres' : 'the app'}`);
+        }
+        if (this.mode === 'pgvector' && !this.pgvectorAvailable) {
+            throw new Error('SEMANTIC_SEARCH_MODE is pgvector but the vector extension is not installed');
+        }
+        return this.pgvectorAvailable;
+    }
+
+    /**
+     * Build the WHERE conditions shared by both ranking paths
+     * @param {Array<number>} vector - Query vector
+     * @param {Object} filters
+     * @param {number} [filters.sourceId] - Only articles of this source
+     * @param {number} [filters.excludeId] - Leave out this article
+     * @param {Array} values - Query parameters, extended in place
+     * @returns {string} SQL conditions
+     */
+    buildConditions(vector, { sourceId, excludeId }, values) {
+        values.push(this.model, vector.length);
+        const conditions = [`e.model = $${values.length - 1}`, `cardinality(e.embedding) = $${values.length}`];
+        if (sourceId) {
+            values.push(sourceId);
+            conditions.push(`a.source_id = $${values.length}`);
+        }
+        if (excludeId) {
+            values.push(excludeId);
+            conditions.push(`a.id <> $${values.length}`);
+        }
+        return conditions.join(' AND ');
+    }
+
+    /**
+     * Rank articles by distance in Postgres with pgvector
+     * @param {Array<number>} vector - Query vector
+     * @param {Object} options - See rankByVector
+     * @returns {Promise<Array<Object>>} Matches with similarity
+     */
+    async rankWithPgvector(vector, { limit, minSimilarity, ...filters }) {
+        const values = [vector];
+        const conditions = this.buildConditions(vector, filters, values);
+        values.push(limit);
+
+        const result = await pool.query(`
+            SELECT * FROM (
+                SELECT ${RESULT_COLUMNS}, 1 - (e.embedding::vector <=> $1::real[]::vector) AS similarity
+                FROM article_embeddings e
+                JOIN articles a ON a.id = e.article_id
+                JOIN sources s ON s.id = a.source_id
+                WHERE ${conditions}
+                ORDER BY e.embedding::vector <=> $1::real[]::vector
+                LIMIT $${values.length}
+            ) ranked
+            WHERE similarity >= ${Number(minSimilarity)}`,
+            values
+        );
+        return result.rows.map(row => ({ ...row, similarity: Number(row.similarity) }));
+    }
+
+    /**
+     * Rank articles by cosine similarity in the app, scanning embeddings in batches
+     * @param {Array<number>} vector - Query vector
+     * @param {Object} options - See rankByVector
+     * @returns {Promise<Array<Object>>} Matches with similarity
+     */
+    async rankInApp(vector, { limit, minSimilarity, ...filters }) {
+        let best = [];
+        let lastId = 0;
+
+        for (;;) {
+            const values = [];
+            const conditions = this.buildConditions(vector, filters, values);
+            values.push(lastId, SCAN_BATCH_SIZE);
+            const batch = await pool.query(`
+                SELECT e.article_id, e.embedding
+                FROM article_embeddings e
+                JOIN articles a ON a.id = e.article_id
+                WHERE ${conditions} AND e.article_id > $${values.length - 1}
+                ORDER BY e.article_id
+                LIMIT $${values.length}`,
+                values
+            );
+            if (!batch.rows.length) break;
+
+            for (const row of batch.rows) {
+                const similarity = cosineSimilarity(vector, row.embedding);
+                if (similarity >= minSimilarity) best.push({ id: row.article_id, similarity });
+            }
+            // Keep only the best candidates between batches
+            best.sort((a, b) => b.similarity - a.similarity);
+            best = best.slice(0, limit);
+            lastId = batch.rows[batch.rows.length - 1].article_id;
+        }
+
+        if (!best.length) return [];
+        const details = await pool.query(`
+            SELECT ${RESULT_COLUMNS}
+            FROM articles a
+            JOIN sources s ON s.id = a.source_id
+            WHERE a.id = ANY($1)`,
+            [best.map(match => match.id)]
+        );
+        const byId = new Map(details.rows.map(row => [String(row.id), row]));
+        return best
+            .filter(match => byId.has(String(match.id)))
+            .map(match => ({ ...byId.get(String(match.id)), similarity: match.similarity }));
+    }
+
+    /**
+     * Find the articles nearest to a vector
+     * @param {Array<number>} vector - Query vector from the embedding model
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of matches
+     * @param {number} [options.minSimilarity] - Drop matches below this cosine similarity
+     * @param {number} [options.sourceId] - Only articles of this source
+     * @param {number} [options.excludeId] - Leave out this article
+     * @returns {Promise<Array<Object>>} Article rows with similarity, most similar first
+     */
+    async rankByVector(vector, { limit = 10, minSimilarity = 0, ...filters } = {}) {
+        const options = {
+            limit: Math.min(Math.max(Number(limit) || 10, 1), MAX_LIMIT),
+            minSimilarity: Number(minSimilarity) || 0,
+            ...filters
+        };
+        return await this.usePgvector()
+            ? this.rankWithPgvector(vector, options)
+            : this.rankInApp(vector, options);
+    }
+
+    /**
+     * Find articles about the same thing as a piece of text
+     * @param {string} text - Free text query
+     * @param {Object} [options] - See rankByVector
+     * @returns {Promise<Array<Object>>} Article rows with similarity, most similar first
+     */
+    async searchText(text, options = {}) {
+        if (!this.model) {
+            throw new Error('OLLAMA_EMBED_MODEL must be set for semantic search');
+        }
+        if (!text || !text.trim()) {
+            throw new Error('Search text must not be empty');
+        }
+        const [vector] = await embedWithModel('embeddings', this.model, text.trim());
+        return this.rankByVector(vector, options);
+    }
+
+    /**
+     * Find articles like a stored article, across all sources
+     * @param {number} articleId - Article id
+     * @param {Object} [options] - See rankByVector
+     * @returns {Promise<Array<Object>>} Article rows with similarity, most similar first
+     */
+    async similarToArticle(articleId, options = {}) {
+        if (!this.model) {
+            throw new Error('OLLAMA_EMBED_MODEL must be set for semantic search');
+        }
+        const result = await pool.query(
+            'SELECT embedding FROM article_embeddings WHERE article_id = $1 AND model = $2',
+            [articleId, this.model]
+        );
+        if (!result.rows.length) {
+            throw new Error(`Article ${articleId} has no ${this.model} embedding yet`);
+        }
+        return this.rankByVector(result.rows[0].embedding, { ...options, excludeId: articleId });
+    }
+}
+
+export default new SemanticSearch();
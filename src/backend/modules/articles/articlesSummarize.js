@@ -0,0 +1,195 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { chatWithModel, parseJsonReply, taskModel } from '../../utils/llm.js';
+import { renderPrompt } from '../../utils/prompts.js';
+import promptVersions from '../maintenance/promptVersions.js';
+import taskRetries from '../maintenance/taskRetries.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('articles-summarizer');
+
+// Longest stored summary and headline
+const MAX_SUMMARY_LENGTH = 1500;
+const MAX_HEADLINE_LENGTH = 200;
+
+class ArticlesSummarizer {
+    constructor() {
+        this.model = taskModel('summary');
+        this.numCtx = parseInt(process.env.OLLAMA_SUMMARY_NUM_CTX || '8192');
+        this.batchSize = parseInt(process.env.SUMMARY_BATCH_SIZE || '20');
+    }
+
+    /**
+     * Get articles whose content changed since they were last summarized. Articles whose
+     * current content failed are left out until their retry time, and for good once the
+     * attempts run out. Never summarized articles come first, oldest first, so a busy
+     * feed cannot keep older articles waiting.
+     * @param {Object} [options]
+     * @param {number} [options.sourceId] - Only articles of this source
+     * @param {number} [options.limit] - Maximum number of articles
+     * @param {boolean} [options.force] - Include articles that are already up to date or waiting for a retry
+     * @param {boolean} [options.outdated] - Also include summaries made with another version of the prompt
+     * @returns {Promise<Array>} Articles to summarize, with the failed attempts on their current content
+     */
+    async getPendingArticles({ sourceId, limit, force = false, outdated = false } = {}) {
+        const { sourceIds, versions } = await promptVersions.versionsBySource('summary');
+        const client = await pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT a.id, a.title, a.content, a.date_added, s.channel_name, s.prompt_set,
+                       CASE WHEN a.summary_failed_hash = md5(a.content) THEN a.summary_attempts ELSE 0 END AS summary_attempts
+                FROM articles a
+                JOIN sources s ON s.id = a.source_id
+                JOIN unnest($4::bigint[], $5::text[]) AS v(source_id, version) ON v.source_id = a.source_id
+                WHERE a.content IS NOT NULL
+                  AND ($1::boolean
+                       OR a.summary_content_hash IS DISTINCT FROM md5(a.content)
+                       OR ($6::boolean AND a.summary_prompt_version IS DISTINCT FROM v.version))
+                  AND ($1::boolean
+                       OR a.summary_failed_hash IS DISTINCT FROM md5(a.content)
+                       OR a.summary_next_attempt_at <= now())
+                  AND ($2::bigint IS NULL OR a.source_id = $2)
+                ORDER BY a.summarized_at NULLS FIRST, a.date_added, a.id
+                LIMIT $3
+            `, [force, sourceId ?? null, limit ?? null, sourceIds, versions, outdated]);
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Record a failed attempt on the article's current content and schedule the next one
+     * @param {Object} article - Article from getPendingArticles
+     * @param {Error} error - Failure
+     */
+    async markFailed(article, error) {
+        const { attempts, delayMinutes } = taskRetries.nextAttempt(article.summary_attempts);
+        await pool.query(`
+            UPDATE articles
+            SET summary_attempts = $2,
+                summary_failed_hash = md5($3),
+                summary_last_error = $4,
+                summary_next_attempt_at = CASE WHEN $5::integer IS NULL THEN NULL
+                                               ELSE now() + make_interval(mins => $5::integer) END
+            WHERE id = $1`,
+            [article.id, attempts, article.content, error.message, delayMinutes]
+        );
+        if (delayMinutes === null) {
+            logger.warn(`Giving up on summarizing ${article.title} after ${attempts} attempts: ${error.message}`);
+        } else {
+            logger.warn(`Summary attempt ${attempts} failed for ${article.title}, retrying in ${delayMinutes} minutes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask the model for a summary and headline
+     * @param {Object} article - Article with title, markdown content, source and prompt set
+     * @returns {Promise<{headline: string, summary: string, promptVersion: string}>}
+     */
+    async summarize(article) {
+        const { messages, version } = renderPrompt('summary', {
+            title: article.title,
+            source: article.channel_name,
+            date: article.date_added,
+            content: article.content
+        }, { set: article.prompt_set });
+        const reply = await chatWithModel('summary', this.model, messages, {
+            num_ctx: this.numCtx,
+            temperature: 0.2,
+            format: 'json'
+        });
+
+        const parsed = parseJsonReply(reply);
+        const headline = typeof parsed.headline === 'string' ? parsed.headline.trim() : '';
+        const summary = typeof parsed.summary === 'string' ? parsed.summary.trim() : '';
+        if (!summary) {
+            throw new Error('Summary missing from model reply');
+        }
+
+        return {
+            headline: (headline || article.title).slice(0, MAX_HEADLINE_LENGTH),
+            summary: summary.slice(0, MAX_SUMMARY_LENGTH),
+            promptVersion: version
+        };
+    }
+
+    /**
+     * Summarize one article and store the result
+     * @param {Object} article - Article data
+     * @returns {Promise<boolean>} True when a summary was stored
+     */
+    async processArticle(article) {
+        try {
+            logger.debug(`Summarizing article: ${article.title}`);
+            const { headline, summary, promptVersion } = await this.summarize(article);
+
+            // Hash the content that was summarized so later edits trigger a new summary
+            await pool.query(`
+                UPDATE articles
+                SET summary = $1,
+                    headline = $2,
+                    summary_content_hash = md5($3),
+                    summary_model = $4,
+                    summary_prompt_version = $5,
+                    summarized_at = now(),
+                    summary_attempts = 0,
+                    summary_failed_hash = NULL,
+                    summary_last_error = NULL,
+                    summary_next_attempt_at = NULL
+                WHERE id = $6`,
+                [summary, headline, article.content, this.model, promptVersion, article.id]
+            );
+            logger.debug(`Stored summary for: ${article.title}`);
+            return true;
+        } catch (error) {
+            logger.error(`Failed to summarize article: ${article.title}: ${error.message}`);
+            await this.markFailed(article, error).catch(markError => {
+                logger.error(`Failed to record summary failure of ${article.title}: ${markError.message}`);
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Summarize articles with new or changed content
+     * @param {Object} [options] - Same filters as getPendingArticles; defaults to one batch
+     * @returns {Promise<{processed: number, failed: number}>} Counts
+     */
+    async processPending(options = { limit: this.batchSize }) {
+        const stats = { processed: 0, failed: 0 };
+        if (!this.model) {
+            logger.info('OLLAMA_SUMMARY_MODEL not set, skipping summaries');
+            return stats;
+        }
+
+        try {
+            const articles = await this.getPendingArticles(options);
+            if (!articles.length) {
+                logger.debug('No articles need summaries');
+                return stats;
+            }
+
+            logger.info(`Summarizing ${articles.length} articles`);
+
+            // Summarize one article at a time
+            for (const article of articles) {
+                if (await this.processArticle(article)) {
+                    stats.processed++;
+                } else {
+                    stats.failed++;
+                }
+            }
+
+            logger.info(`Completed summaries: ${stats.processed} stored, ${stats.failed} failed`);
+        } catch (error) {
+            logger.error('Error summarizing articles:', error);
+        }
+        return stats;
+    }
+}
+
+export default new ArticlesSummarizer();
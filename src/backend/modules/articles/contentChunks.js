@@ -0,0 +1,123 @@
+import { NodeType } from 'node-html-parser';
+import { parseHtml } from './htmlExtract.js';
+
+// Characters per token assumed for HTML; markup tokenizes worse than prose, so this errs on the small side
+const CHARS_PER_TOKEN = 3;
+
+/**
+ * Rough token count of a text for the reader model
+ * @param {string} text - HTML or text
+ * @returns {number} Estimated tokens
+ */
+export const estimateTokens = text => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Split a long text on sentence ends, and inside a sentence only when it is still too long
+ * @param {string} text - Raw text of a text node
+ * @param {number} maxTokens - Token budget per piece
+ * @returns {Array<string>} Pieces that fit the budget
+ */
+function splitText(text, maxTokens) {
+    const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+    return text.split(/(?<=[.!?]\s+)(?=\S)/).flatMap(sentence => {
+        const pieces = [];
+        for (let start = 0; start < sentence.length; start += maxChars) {
+            pieces.push(sentence.slice(start, start + maxChars));
+        }
+        return pieces;
+    });
+}
+
+/**
+ * Pack pieces in order into groups that stay within the budget
+ * @param {Array<string>} pieces - HTML pieces, each within the budget
+ * @param {number} maxTokens - Token budget per group
+ * @param {string} separator - Joins pieces of a group
+ * @returns {Array<string>} Groups
+ */
+function pack(pieces, maxTokens, separator) {
+    const groups = [];
+    let current = [];
+    let tokens = 0;
+    for (const piece of pieces) {
+        const pieceTokens = estimateTokens(piece);
+        if (current.length && tokens + pieceTokens > maxTokens) {
+            groups.push(current.join(separator));
+            current = [];
+            tokens = 0;
+        }
+        current.push(piece);
+        tokens += pieceTokens;
+    }
+    if (current.length) groups.push(current.join(separator));
+    return groups;
+}
+
+/**
+ * Split a node into HTML pieces within the budget. Elements that are too large are split
+ * between their children and every part is wrapped in a copy of the element, so a long
+ * list stays a list and a long paragraph stays a paragraph. An element that cannot be
+ * split (no children, or tags larger than the budget) is returned whole, over budget.
+ * @param {Node} node - DOM node
+ * @param {number} maxTokens - Token budget per piece
+ * @returns {Array<string>} HTML pieces
+ */
+function splitNode(node, maxTokens) {
+    const html = node.toString();
+    if (estimateTokens(html) <= maxTokens) return [html];
+
+    if (node.nodeType === NodeType.TEXT_NODE) {
+        return splitText(html, maxTokens);
+    }
+
+    const open = `<${node.rawTagName}${node.rawAttrs ? ` ${node.rawAttrs}` : ''}>`;
+    const close = `</${node.rawTagName}>`;
+    const inner = maxTokens - estimateTokens(open + close);
+    // Nothing to split between, or the tags alone fill the budget: keep the element whole in its own piece
+    if (!node.childNodes.length || inner <= 0) return [html];
+    const pieces = node.childNodes.flatMap(child => splitNode(child, inner));
+    return pack(pieces, inner, '').map(group => `${open}${group}${close}`);
+}
+
+/**
+ * Split cleaned HTML into chunks on block boundaries. Top-level blocks are kept whole
+ * and packed together; only a block larger than the budget is split inside.
+ * @param {string} html - Cleaned article HTML
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {Array<string>} Chunks in document order; a single chunk when the HTML fits
+ */
+export function splitHtml(html, maxTokens) {
+    if (estimateTokens(html) <= maxTokens) return [html];
+
+    const root = parseHtml(html);
+    const blocks = root.childNodes
+        .filter(node => node.nodeType === NodeType.ELEMENT_NODE || node.text.trim())
+        .flatMap(node => splitNode(node, maxTokens));
+    return pack(blocks, maxTokens, '\n');
+}
+
+/**
+ * Reduce a markdown paragraph to its words, for comparing paragraphs at chunk edges
+ * @param {string} paragraph - Markdown paragraph
+ * @returns {string} Lowercase words
+ */
+const paragraphKey = paragraph => paragraph.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Join the markdown of consecutive chunks. Chunks do not overlap, so a paragraph at the
+ * start of a chunk that equals the end of the previous one is a model repeat and is dropped.
+ * @param {Array<string>} parts - Markdown per chunk, in order
+ * @returns {string} Markdown of the whole article
+ */
+export function stitchMarkdown(parts) {
+    const paragraphs = [];
+    for (const part of parts) {
+        const incoming = part.trim().split(/\n{2,}/).filter(paragraph => paragraph.trim());
+        const last = paragraphs.length ? paragraphKey(paragraphs[paragraphs.length - 1]) : null;
+        while (incoming.length && last && paragraphKey(incoming[0]) === last) {
+            incoming.shift();
+        }
+        paragraphs.push(...incoming);
+    }
+    return paragraphs.join('\n\n');
+}
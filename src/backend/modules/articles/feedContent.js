@@ -0,0 +1,83 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Per-source content policies
+export const CONTENT_POLICIES = ['feed', 'scrape', 'both'];
+
+// Minimum words before a feed body counts as the full article
+const MIN_WORDS = parseInt(process.env.FEED_CONTENT_MIN_WORDS || '150');
+
+// Endings that mark a feed body as a teaser
+const TEASER_MARKERS = [
+    /\[(…|\.\.\.)\]\s*$/,
+    /(…|\.\.\.)\s*$/,
+    /(read more|continue reading|read the full|keep reading)[^.]{0,80}$/i
+];
+
+// WordPress footer added to full posts as well as teasers
+const FEED_FOOTER = /the post .{0,200} appeared first on .{0,100}$/i;
+
+/**
+ * Convert HTML to plain text for measuring
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+    if (!html) return '';
+    return html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ') // Drop scripts and styles
+        .replace(/<[^>]+>/g, ' ') // Drop tags
+        .replace(/&nbsp;|&#160;/g, ' ')
+        .replace(/&#8217;|&#8216;/g, "'")
+        .replace(/&#8220;|&#8221;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Decide whether a feed body is the full article or just a teaser
+ * @param {string} feedHtml - content:encoded HTML from the feed
+ * @param {string} [teaserHtml] - description HTML from the feed
+ * @returns {boolean} True when the feed body looks complete
+ */
+export function isCompleteArticle(feedHtml, teaserHtml) {
+    const text = htmlToText(feedHtml);
+    if (!text) return false;
+
+    // Same text as the teaser means the feed carries no extra body
+    if (teaserHtml && text === htmlToText(teaserHtml)) return false;
+
+    const body = text.replace(FEED_FOOTER, '').trim();
+    if (TEASER_MARKERS.some(marker => marker.test(body))) return false;
+
+    return body.split(' ').length >= MIN_WORDS;
+}
+
+/**
+ * Pick where an article's content should come from
+ * @param {string} policy - Source content policy (feed, scrape or both)
+ * @param {{contentEncoded?: string, content?: string}} article - Parsed feed item
+ * @returns {'feed'|'scrape'} Content origin
+ */
+export function chooseContentOrigin(policy, article) {
+    switch (policy) {
+        case 'feed':
+            return article.contentEncoded || article.content ? 'feed' : 'scrape';
+        case 'scrape':
+            return 'scrape';
+        default:
+            return isCompleteArticle(article.contentEncoded, article.content) ? 'feed' : 'scrape';
+    }
+}
+
+/**
+ * Get the feed HTML used as article content
+ * @param {{contentEncoded?: string, content?: string}} article - Parsed feed item
+ * @returns {string|null} Feed body, falling back to the description
+ */
+export function getFeedBody(article) {
+    return article.contentEncoded || article.content || null;
+}
@@ -0,0 +1,159 @@
+import { parse } from 'node-html-parser';
+
+// Elements that never hold article text
+export const NOISE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'form', 'button', 'input', 'select', 'svg', 'canvas',
+    'nav', 'header', 'footer', 'aside', 'link', 'meta',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[aria-hidden="true"]', '[hidden]'
+];
+
+// Class or id fragments of boilerplate blocks (share widgets, related articles, ads, ...)
+const BOILERPLATE_PATTERN = /(^|[-_\s])(share|sharing|sharethis|social|related|recommend|newsletter|subscribe|comment|advert|ad|ads|promo|sponsor|sidebar|breadcrumb|popup|modal|cookie)s?([-_\s]|$)/i;
+
+// Attributes kept per element in the cleaned tree; everything else (classes, styles, handlers) goes
+const KEPT_ATTRIBUTES = {
+    A: ['href', 'title'],
+    IMG: ['src', 'alt', 'title'],
+    TD: ['colspan', 'rowspan'],
+    TH: ['colspan', 'rowspan']
+};
+
+// Elements kept even without text
+const EMPTY_ALLOWED = new Set(['IMG', 'BR', 'HR', 'TD', 'TH']);
+
+/**
+ * Parse HTML into a DOM; comments are dropped while parsing and <pre> keeps its child elements
+ * @param {string} html - HTML document or fragment
+ * @returns {HTMLElement} Root element
+ */
+export function parseHtml(html) {
+    return parse(html || '', {
+        comment: false,
+        blockTextElements: { script: true, noscript: true, style: true }
+    });
+}
+
+/**
+ * Remove elements matching selectors
+ * @param {HTMLElement} root - Parsed document or element
+ * @param {Array<string>} selectors - CSS selectors
+ */
+export function removeAll(root, selectors) {
+    for (const selector of selectors) {
+        for (const node of root.querySelectorAll(selector)) {
+            node.remove();
+        }
+    }
+}
+
+/**
+ * Remove scripts, styles, navigation, share widgets, related-article blocks and ads
+ * @param {HTMLElement} root - Parsed document or element, changed in place
+ * @param {Array<string>} [extraSelectors] - Site-specific selectors to remove as well
+ */
+export function removeBoilerplate(root, extraSelectors = []) {
+    removeAll(root, [...NOISE_SELECTORS, ...extraSelectors]);
+
+    // Never drop the article itself or a block that contains it
+    for (const element of root.querySelectorAll('[class], [id]')) {
+        const label = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`;
+        if (BOILERPLATE_PATTERN.test(label) && element.tagName !== 'ARTICLE' && !element.querySelector('article')) {
+            element.remove();
+        }
+    }
+}
+
+/**
+ * Resolve a URL against the page, keeping only http(s) targets
+ * @param {string} value - href or src attribute
+ * @param {string} [baseUrl] - Page URL
+ * @returns {string|null} Absolute URL
+ */
+function resolveUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+        const url = new URL(value.trim(), baseUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Collapse whitespace of extracted text
+ * @param {string} text - Raw text
+ * @returns {string} Text with single spaces
+ */
+const squash = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Clean an element into a plain content tree and collect its inline images and links.
+ * The element is changed in place.
+ * @param {HTMLElement} element - Element holding the article
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Page URL for resolving relative links and images
+ * @param {Array<string>} [options.strip] - Extra selectors to remove
+ * @returns {{html: string, text: string, images: Array<{src: string, alt: string, caption: string|null}>, links: Array<{href: string, text: string}>}}
+ */
+export function extractContent(element, { baseUrl, strip = [] } = {}) {
+    removeBoilerplate(element, strip);
+
+    const images = [];
+    for (const image of element.querySelectorAll('img')) {
+        // Lazy loaders keep the real image in a data attribute
+        const candidates = [image.getAttribute('data-src'), image.getAttribute('data-lazy-src'), image.getAttribute('src')];
+        const src = candidates.map(value => resolveUrl(value, baseUrl)).find(Boolean);
+        if (!src) {
+            image.remove();
+            continue;
+        }
+        image.setAttribute('src', src);
+        const figure = image.closest('figure');
+        const caption = figure?.querySelector('figcaption')?.text;
+        images.push({ src, alt: squash(image.getAttribute('alt') || ''), caption: caption ? squash(caption) : null });
+    }
+
+    const links = [];
+    for (const link of element.querySelectorAll('a')) {
+        const href = resolveUrl(link.getAttribute('href'), baseUrl);
+        if (href) {
+            link.setAttribute('href', href);
+            links.push({ href, text: squash(link.text) });
+        } else {
+            link.removeAttribute('href');
+        }
+    }
+
+    // Keep only attributes that carry meaning for the content
+    for (const node of [element, ...element.querySelectorAll('*')]) {
+        const kept = KEPT_ATTRIBUTES[node.tagName] || [];
+        for (const name of Object.keys(node.attributes)) {
+            if (!kept.includes(name.toLowerCase())) node.removeAttribute(name);
+        }
+    }
+
+    // Drop elements left empty, innermost first
+    for (const node of element.querySelectorAll('*').reverse()) {
+        if (!EMPTY_ALLOWED.has(node.tagName) && !node.text.trim() && !node.querySelector('img')) {
+            node.remove();
+        }
+    }
+
+    return {
+        html: element.innerHTML.replace(/\n\s*\n+/g, '\n').trim(),
+        text: squash(element.structuredText),
+        images,
+        links
+    };
+}
+
+/**
+ * Parse and clean an HTML fragment such as a feed body
+ * @param {string} html - HTML fragment
+ * @param {Object} [options] - See extractContent
+ * @returns {{html: string, text: string, images: Array<Object>, links: Array<Object>}}
+ */
+export function extractFromHtml(html, options = {}) {
+    return extractContent(parseHtml(html), options);
+}
@@ -0,0 +1,198 @@
+import { NodeType } from 'node-html-parser';
+import { parseHtml } from './htmlExtract.js';
+
+// Stands in for <br> until the final output so inline whitespace collapsing keeps it
+const LINE_BREAK = '\u0001';
+
+// Elements whose content is dropped entirely
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'IFRAME', 'SVG', 'BUTTON', 'FORM']);
+
+// Elements rendered as separate blocks
+const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'FIGURE', 'FIGCAPTION',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR', 'DL', 'DT', 'DD'
+]);
+
+/**
+ * Escape characters that would otherwise start markdown syntax
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return text
+        .replace(/([\\`*_[\]])/g, '\\$1')
+        .replace(/^(\s*)([-+>#])(?=\s)/, '$1\\$2')
+        .replace(/^(\s*)(\d+)\.(?=\s)/, '$1$2\\.'); // "1\." since a backslash before a digit stays literal
+}
+
+/**
+ * Collapse whitespace the way a browser renders inline text
+ * @param {string} text - Raw text
+ * @returns {string} Text with single spaces
+ */
+const collapse = text => text.replace(/\s+/g, ' ');
+
+/**
+ * Put the markdown of child nodes together
+ * @param {Node} node - Parent node
+ * @param {Object} context - Rendering state (list depth)
+ * @returns {string} Markdown
+ */
+function renderChildren(node, context) {
+    return node.childNodes.map(child => renderNode(child, context)).join('');
+}
+
+/**
+ * Render inline content of a node on one line
+ * @param {Node} node - Element
+ * @param {Object} context - Rendering state
+ * @returns {string} Markdown without line breaks except explicit <br>
+ */
+function renderInline(node, context) {
+    return renderChildren(node, context).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * Wrap inline markdown, keeping surrounding spaces outside the markers
+ * @param {string} content - Inline markdown
+ * @param {string} marker - Marker such as ** or _
+ * @returns {string} Wrapped markdown
+ */
+function wrap(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+}
+
+/**
+ * Render a list
+ * @param {HTMLElement} list - ul or ol element
+ * @param {Object} context - Rendering state
+ * @returns {string} Markdown list block
+ */
+function renderList(list, context) {
+    const ordered = list.tagName === 'OL';
+    const start = Number(list.getAttribute('start')) || 1;
+    const indent = '   '.repeat(context.listDepth);
+    const items = list.childNodes.filter(child => child.tagName === 'LI');
+
+    const lines = items.map((item, index) => {
+        const marker = ordered ? `${start + index}.` : '-';
+        // Items are kept tight: paragraphs and nested lists inside an item lose their blank lines
+        const body = renderChildren(item, { ...context, listDepth: context.listDepth + 1 }).replace(/\n{2,}/g, '\n').trim();
+        // Continuation lines of an item are indented under its marker
+        const [first, ...rest] = body.split('\n');
+        const continuation = rest.map(line => (line ? `${indent}   ${line.replace(/^ {0,3}/, '')}` : ''));
+        return [`${indent}${marker} ${first}`, ...continuation].join('\n');
+    });
+    return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Render a table as a GitHub-flavored markdown table
+ * @param {HTMLElement} table - table element
+ * @param {Object} context - Rendering state
+ * @returns {string} Markdown table block
+ */
+function renderTable(table, context) {
+    const rows = table.querySelectorAll('tr').map(row => row.childNodes
+        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+        .map(cell => renderInline(cell, context).replace(/\|/g, '\\|').replaceAll(LINE_BREAK, ' ')));
+    if (!rows.length) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(width - row.length).fill('')];
+    const [header, ...body] = rows.map(pad);
+    const lines = [
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+        ...body.map(row => `| ${row.join(' | ')} |`)
+    ];
+    return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Render one DOM node as markdown
+ * @param {Node} node - Node to render
+ * @param {Object} context - Rendering state
+ * @returns {string} Markdown
+ */
+function renderNode(node, context) {
+    if (node.nodeType === NodeType.TEXT_NODE) {
+        return context.preformatted ? node.text : escapeText(collapse(node.text));
+    }
+    if (node.nodeType !== NodeType.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName)) {
+        return '';
+    }
+
+    const tag = node.tagName;
+    switch (tag) {
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+            const text = renderInline(node, context).replaceAll(LINE_BREAK, ' ').trim();
+            return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+        }
+        case 'P': {
+            const text = renderInline(node, context);
+            return text ? `\n\n${text}\n\n` : '';
+        }
+        case 'BR':
+            return context.preformatted ? '\n' : LINE_BREAK;
+        case 'HR':
+            return '\n\n---\n\n';
+        case 'STRONG': case 'B':
+            return wrap(renderChildren(node, context), '**');
+        case 'EM': case 'I':
+            return wrap(renderChildren(node, context), '_');
+        case 'S': case 'DEL': case 'STRIKE':
+            return wrap(renderChildren(node, context), '~~');
+        case 'CODE':
+            if (context.preformatted) return node.text;
+            return node.text.trim() ? `\`${collapse(node.text).replace(/`/g, '\\`')}\`` : '';
+        case 'PRE': {
+            const code = renderChildren(node, { ...context, preformatted: true }).replace(/\n+$/, '');
+            return code.trim() ? `\n\n\`\`\`\n${code}\n\`\`\`\n\n` : '';
+        }
+        case 'A': {
+            const text = renderInline(node, context);
+            const href = node.getAttribute('href');
+            if (!href || !/^https?:\/\//i.test(href)) return text;
+            return text ? `[${text}](${href.replace(/\)/g, '%29')})` : '';
+        }
+        case 'IMG': {
+            const src = node.getAttribute('src');
+            if (!src || !/^https?:\/\//i.test(src)) return '';
+            const alt = collapse(node.getAttribute('alt') || '').trim().replace(/[[\]]/g, '');
+            return `![${alt}](${src.replace(/\)/g, '%29')})`;
+        }
+        case 'UL': case 'OL':
+            return renderList(node, context);
+        case 'BLOCKQUOTE': {
+            const body = renderChildren(node, context).replace(/\n{3,}/g, '\n\n').trim();
+            return body ? `\n\n${body.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n` : '';
+        }
+        case 'TABLE':
+            return renderTable(node, context);
+        case 'FIGCAPTION': {
+            const text = renderInline(node, context);
+            return text ? `\n\n_${text}_\n\n` : '';
+        }
+        default: {
+            const content = renderChildren(node, context);
+            return BLOCK_TAGS.has(tag) ? `\n\n${content}\n\n` : content;
+        }
+    }
+}
+
+/**
+ * Convert HTML to markdown with fixed rules: headings, paragraphs, lists, links,
+ * blockquotes, images, code and tables. The same input always gives the same output.
+ * @param {string} html - HTML fragment or document
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(html) {
+    const root = parseHtml((html || '').replaceAll(LINE_BREAK, ''));
+    return renderNode(root, { listDepth: 0, preformatted: false })
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/[ \t]*\u0001[ \t]*/g, '  \n')
+        .trim();
+}
@@ -0,0 +1,178 @@
+import { parseHtml } from './htmlExtract.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Lowest score a converted article may have before it is retried or routed to the fallback
+export const MIN_QUALITY_SCORE = parseFloat(process.env.MARKDOWN_QUALITY_MIN_SCORE || '0.8');
+
+// Accepted range of markdown text length relative to the extracted text
+const MIN_LENGTH_RATIO = 0.7;
+const MAX_LENGTH_RATIO = 1.5;
+
+// Paragraphs shorter than this are not looked for in the output
+const MIN_CHECKED_PARAGRAPH_LENGTH = 40;
+
+// Words from the start of a paragraph that must show up in the output
+const PARAGRAPH_PROBE_WORDS = 8;
+
+// Lines shorter than this may legitimately repeat (separators, "Advertisement", ...)
+const MIN_LOOP_LINE_LENGTH = 20;
+
+// Tag names that give away HTML the model did not convert
+const HTML_TAG_PATTERN = /<\/?(?:p|div|span|a|img|br|hr|h[1-6]|ul|ol|li|table|tr|td|th|strong|em|b|i|figure|figcaption|blockquote|section|article|pre|code)\b[^>]*>/gi;
+
+/**
+ * Reduce text to lowercase words so markup and punctuation differences do not count
+ * @param {string} text - Text or markdown
+ * @returns {string} Words separated by single spaces
+ */
+const normalizeWords = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Strip markdown syntax and stray tags, leaving the readable text
+ * @param {string} markdown - Markdown
+ * @returns {string} Plain text
+ */
+function markdownText(markdown) {
+    return markdown
+        .replace(/```[^\n]*\n?/g, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/^\s*\|?(?:\s*:?-{3,}:?\s*\|)+\s*$/gm, '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/[*_~`|\\]/g, '');
+}
+
+/**
+ * Drop fenced and inline code, where HTML tags are content rather than leftovers
+ * @param {string} markdown - Markdown
+ * @returns {string} Markdown without code
+ */
+const withoutCode = markdown => markdown.replace(/```[\s\S]*?(```|$)/g, '').replace(/`[^`\n]*`/g, '');
+
+/**
+ * Compare the length of the output text with the extracted text
+ * @param {string} markdown - Converted markdown
+ * @param {string} sourceText - Text extracted from the HTML
+ * @returns {{score: number, issue: string|null}}
+ */
+function checkLength(markdown, sourceText) {
+    const sourceLength = normalizeWords(sourceText).length;
+    if (!sourceLength) return { score: 1, issue: null };
+
+    const ratio = normalizeWords(markdownText(markdown)).length / sourceLength;
+    if (ratio < MIN_LENGTH_RATIO) {
+        return { score: ratio / MIN_LENGTH_RATIO, issue: `output is ${Math.round(ratio * 100)}% of the source text (truncated?)` };
+    }
+    if (ratio > MAX_LENGTH_RATIO) {
+        return { score: MAX_LENGTH_RATIO / ratio, issue: `output is ${Math.round(ratio * 100)}% of the source text (padded or invented?)` };
+    }
+    return { score: 1, issue: null };
+}
+
+/**
+ * Look for the same line coming back again and again, the usual sign of a generation loop
+ * @param {string} markdown - Converted markdown
+ * @returns {{score: number, issue: string|null}}
+ */
+function checkRepeatedLines(markdown) {
+    const lines = markdown.split('\n').map(line => line.trim()).filter(line => line.length >= MIN_LOOP_LINE_LENGTH);
+    if (!lines.length) return { score: 1, issue: null };
+
+    const counts = new Map();
+    for (const line of lines) {
+        counts.set(line, (counts.get(line) || 0) + 1);
+    }
+    const repeated = [...counts.values()].reduce((total, count) => total + count - 1, 0);
+    const worst = Math.max(...counts.values());
+    const share = repeated / lines.length;
+    if (worst < 3 && share <= 0.1) return { score: 1, issue: null };
+
+    return { score: Math.max(0, 1 - share * 2), issue: `${repeated} repeated lines, one line appears ${worst} times` };
+}
+
+/**
+ * Check that the paragraphs of the source made it into the output
+ * @param {string} markdown - Converted markdown
+ * @param {string} html - Cleaned source HTML
+ * @returns {{score: number, issue: string|null}}
+ */
+function checkParagraphs(markdown, html) {
+    const paragraphs = parseHtml(html).querySelectorAll('p')
+        .map(paragraph => normalizeWords(paragraph.text))
+        .filter(text => text.length >= MIN_CHECKED_PARAGRAPH_LENGTH);
+    if (!paragraphs.length) return { score: 1, issue: null };
+
+    const output = normalizeWords(markdownText(markdown));
+    const missing = paragraphs.filter(text => !output.includes(text.split(' ').slice(0, PARAGRAPH_PROBE_WORDS).join(' ')));
+    if (!missing.length) return { score: 1, issue: null };
+
+    return {
+        score: 1 - missing.length / paragraphs.length,
+        issue: `${missing.length} of ${paragraphs.length} paragraphs missing`
+    };
+}
+
+/**
+ * Find HTML tags left in the output outside of code
+ * @param {string} markdown - Converted markdown
+ * @returns {{score: number, issue: string|null}}
+ */
+function checkLeftoverTags(markdown) {
+    const tags = withoutCode(markdown).match(HTML_TAG_PATTERN) || [];
+    if (!tags.length) return { score: 1, issue: null };
+
+    return { score: Math.max(0, 1 - tags.length * 0.2), issue: `${tags.length} HTML tags left, e.g. ${tags[0]}` };
+}
+
+/**
+ * Find link and image targets that are not in the source
+ * @param {string} markdown - Converted markdown
+ * @param {Array<{href: string}>} links - Links found in the source
+ * @param {Array<{src: string}>} images - Images found in the source
+ * @returns {{score: number, issue: string|null}}
+ */
+function checkLinks(markdown, links, images) {
+    const known = new Set([...links.map(link => link.href), ...images.map(image => image.src)]);
+    const targets = [...withoutCode(markdown).matchAll(/\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)].map(match => match[1]);
+    if (!targets.length) return { score: 1, issue: null };
+
+    const invented = targets.filter(target => !known.has(target) && !known.has(target.replace(/%29/g, ')')));
+    if (!invented.length) return { score: 1, issue: null };
+
+    return {
+        score: 1 - invented.length / targets.length,
+        issue: `${invented.length} of ${targets.length} link targets are not in the source, e.g. ${invented[0]}`
+    };
+}
+
+/**
+ * Score converted markdown against the HTML it came from. Each check gives a score
+ * between 0 and 1 and the overall score is their product, so one bad check fails the output.
+ * @param {string} markdown - Converted markdown
+ * @param {Object} source - Cleaned content from htmlExtract
+ * @param {string} source.html - Cleaned HTML
+ * @param {string} source.text - Extracted text
+ * @param {Array<Object>} [source.links] - Links in the content
+ * @param {Array<Object>} [source.images] - Images in the content
+ * @returns {{score: number, passed: boolean, issues: Array<string>}} Rounded score, whether it
+ *   reaches MARKDOWN_QUALITY_MIN_SCORE, and what was found
+ */
+export function checkMarkdown(markdown, { html, text, links = [], images = [] }) {
+    const checks = [
+        checkLength(markdown, text),
+        checkRepeatedLines(markdown),
+        checkParagraphs(markdown, html),
+        checkLeftoverTags(markdown),
+        checkLinks(markdown, links, images)
+    ];
+    const score = Math.round(checks.reduce((total, check) => total * check.score, 1) * 1000) / 1000;
+    return {
+        score,
+        passed: score >= MIN_QUALITY_SCORE,
+        issues: checks.map(check => check.issue).filter(Boolean)
+    };
+}
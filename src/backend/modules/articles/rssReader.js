@@ -1,6 +1,8 @@
 import Parser from 'rss-parser';
 import { createLogger } from '../../utils/logger.js';
 import { pool } from '../../utils/dbCon.js';
+import { chooseContentOrigin, getFeedBody } from './feedContent.js';
+import { parseAuthors, parseTags, findLeadImage, parseDescription, storeArticleMetadata } from './articleMetadata.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -14,8 +16,10 @@ const parser = new Parser({
     customFields: {
         item: [
             ['content:encoded', 'contentEncoded'],
-            ['dc:creator', 'dcCreator'],
-            ['category', 'categories']
+            ['dc:creator', 'dcCreator', { keepArray: true }],
+            ['category', 'categories', { keepArray: true }],
+            ['media:content', 'mediaContent', { keepArray: true }],
+            ['media:thumbnail', 'mediaThumbnail', { keepArray: true }]
         ]
     },
     requestOptions: {
@@ -23,24 +27,23 @@ const parser = new Parser({
     }
 });
 
+// Longest channel name accepted from a feed
+const MAX_CHANNEL_NAME_LENGTH = 200;
+
 // Handles RSS feed processing operations
 class RSSReader {
     constructor() {
-        this.sourceUrls = [];
+        this.sources = [];
     }
 
     /**
-     * Initialize RSS reader with source URLs and database connection
-     * @param {Array<string>} urls - List of RSS feed URLs
+     * Initialize RSS reader with registered sources
+     * @param {Array<{id: number, url: string}>} sources - Source rows from the registry
      */
-    async initialize(urls) {
+    async initialize(sources) {
         try {
-            logger.info(`Initializing RSS reader with ${urls.length} sources`);
-            this.sourceUrls = urls;
-            
-            // Test database connection and create sources table
-            await this.testDatabaseConnection();
-            
+            logger.info(`Initializing RSS reader with ${sources.length} sources`);
+            this.sources = sources;
             return true;
         } catch (error) {
             logger.error('Failed to initialize RSS reader:', error);
@@ -48,34 +51,6 @@ class RSSReader {
         }
     }
 
-    /**
-     * Test database connection and create sources table
-     */
-    async testDatabaseConnection() {
-        const client = await pool.connect();
-        try {
-            await client.query('BEGIN');
-
-            // Create sources table if not exists
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS sources (
-                    id bigint primary key generated always as identity,
-                    url text not null unique,
-                    channel_name text not null unique,
-                    articles_table text not null unique
-                )`);
-            await client.query('COMMIT');
-            logger.info('Database connection verified and tables created');
-            return true;
-        } catch (error) {
-            await client.query('ROLLBACK');
-            logger.error('Database connection test failed:', error);
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
     /**
      * Clean title from CDATA and extra whitespace
      * @param {string} title - Raw title from feed
@@ -91,39 +66,37 @@ class RSSReader {
     }
 
     /**
-     * Sanitize string for table name
-     * @param {string} str - String to sanitize
-     * @returns {string} Sanitized string for table name
+     * Clean channel title so remote text is only ever stored as data
+     * @param {string} title - Raw channel title from feed
+     * @returns {string|null} Cleaned title or null when the feed has none
      */
-    sanitizeTableName(str) {
-        return str
-            .toLowerCase()
-            .replace(/\|/g, '') // Remove pipe characters
-            .replace(/&#124;/g, '') // Remove HTML-encoded pipe character
-            .replace(/[^a-z0-9]/g, '_') // Replace other special chars with underscore
-            .replace(/_+/g, '_') // Replace multiple underscores with single
-            .replace(/^_|_$/g, '') // Remove leading/trailing underscores
+    cleanChannelName(title) {
+        if (!title) return null;
+        const cleaned = this.cleanTitle(title)
+            .replace(/[\u0000-\u001f\u007f]/g, '') // Remove control characters
+            .replace(/\s+/g, ' ') // Collapse whitespace
+            .slice(0, MAX_CHANNEL_NAME_LENGTH)
             .trim();
+        return cleaned || null;
     }
 
     /**
-     * Pulls and parses RSS feed from given URL
-     * @param {string} feedUrl - URL of the RSS feed
+     * Pulls and parses RSS feed of a registered source
+     * @param {{id: number, url: string, content_policy?: string}} registeredSource - Source row from the registry
      * @returns {Promise<{source: Object, articles: Array}>}
      */
-    async pullAndParseFeed(feedUrl) {
+    async pullAndParseFeed(registeredSource) {
+        const feedUrl = registeredSource.url;
         try {
             logger.info(`Pulling RSS feed from: ${feedUrl}`);
             const feed = await parser.parseURL(feedUrl);
             
-            const channelName = this.cleanTitle(feed.title || 'Unknown Channel');
-            const articlesTable = `articles_${this.sanitizeTableName(channelName)}`;
-
-            // Extract source information
+            // Identity comes from the registry, the feed only supplies a display name
             const source = {
+                id: registeredSource.id,
                 url: feedUrl,
-                channel_name: channelName,
-                articles_table: articlesTable
+                channel_name: this.cleanChannelName(feed.title),
+                content_policy: registeredSource.content_policy || 'both'
             };
 
             // Extract articles information
@@ -131,12 +104,16 @@ class RSSReader {
                 url: item.link,
                 title: this.cleanTitle(item.title),
                 date_added: new Date(item.pubDate || item.dcDate),
-                categories: item.categories,
+                guid: item.guid || item.id || item.link,
+                authors: parseAuthors(item.dcCreator || item.creator || item.author),
+                tags: parseTags(item.categories),
+                leadImageUrl: findLeadImage(item),
+                description: parseDescription(item.content || item.description),
                 contentEncoded: item.contentEncoded,
                 content: item.content || item.description
             }));
 
-            logger.info(`Successfully parsed ${articles.length} articles from ${source.channel_name}`);
+            logger.info(`Successfully parsed ${articles.length} articles from ${source.channel_name || feedUrl}`);
             return { source, articles };
         } catch (error) {
             logger.error(`Failed to pull/parse RSS feed from ${feedUrl}:`, error);
@@ -153,52 +130,85 @@ class RSSReader {
         try {
             await client.query('BEGIN');
 
-            // Create articles table for this source if it doesn't exist
-            const createArticlesTableQuery = `
-                CREATE TABLE IF NOT EXISTS ${feedData.source.articles_table} (
-                    id bigint primary key generated always as identity,
-                    title text not null,
-                    url text not null unique,
-                    content text,
-                    summary text,
-                    date_added date not null,
-                    scrape_check integer,
-                    topic_id bigint references news_topics (id)
-                )`;
-            await client.query(createArticlesTableQuery);
+            const sourceId = feedData.source.id;
 
-            // Insert or update source
-            const sourceQuery = `
-                INSERT INTO sources (url, channel_name, articles_table)
-                VALUES ($1, $2, $3)
+            // Lock the source row and compare the stored channel name
+            const sourceResult = await client.query(
+                'SELECT channel_name FROM sources WHERE id = $1 FOR UPDATE',
+                [sourceId]
+            );
+            if (!sourceResult.rows.length) {
+                throw new Error(`Source ${sourceId} is not registered`);
+            }
+
+            // Record title changes instead of treating them as a new source
+            const storedName = sourceResult.rows[0].channel_name;
+            const feedName = feedData.source.channel_name;
+            if (feedName && feedName !== storedName) {
+                await client.query(
+                    'INSERT INTO source_title_history (source_id, title) VALUES ($1, $2)',
+                    [sourceId, feedName]
+                );
+                await client.query('UPDATE sources SET channel_name = $2 WHERE id = $1', [sourceId, feedName]);
+                if (storedName) {
+                    logger.info(`Source ${sourceId} renamed from "${storedName}" to "${feedName}"`);
+                }
+            }
+
+            // Mark source as polled
+            await client.query('UPDATE sources SET last_polled_at = now() WHERE id = $1', [sourceId]);
+
+            // Articles removed by retention stay removed while the feed still lists them
+            const pruned = await client.query(
+                'SELECT url FROM pruned_urls WHERE url = ANY($1)',
+                [feedData.articles.map(article => article.url)]
+            );
+            const prunedUrls = new Set(pruned.rows.map(row => row.url));
+            const articles = feedData.articles.filter(article => !prunedUrls.has(article.url));
+
+            // Insert articles with feed metadata, the feed body and where content should come from
+            const articleQuery = `
+                INSERT INTO articles
+                (source_id, url, title, date_added, feed_content, content_origin, guid, description, lead_image_url)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
                 ON CONFLICT (url) DO UPDATE
-                SET channel_name = EXCLUDED.channel_name,
-                    articles_table = EXCLUDED.articles_table
+                SET title = EXCLUDED.title,
+                    date_added = EXCLUDED.date_added,
+                    feed_content = EXCLUDED.feed_content,
+                    guid = EXCLUDED.guid,
+                    description = EXCLUDED.description,
+                    lead_image_url = EXCLUDED.lead_image_url,
+                    content_origin = CASE
+                        WHEN articles.content IS NULL THEN EXCLUDED.content_origin
+                        ELSE articles.content_origin
+                    END
                 RETURNING id`;
-            await client.query(sourceQuery, [
-                feedData.source.url,
-                feedData.source.channel_name,
-                feedData.source.articles_table
-            ]);
-
-            // Insert articles
-            for (const article of feedData.articles) {
-                const articleQuery = `
-                    INSERT INTO ${feedData.source.articles_table}
-                    (url, title, date_added)
-                    VALUES ($1, $2, $3)
-                    ON CONFLICT (url) DO UPDATE
-                    SET title = EXCLUDED.title,
-                        date_added = EXCLUDED.date_added`;
-                await client.query(articleQuery, [
+            let feedOriginCount = 0;
+            for (const article of articles) {
+                const contentOrigin = chooseContentOrigin(feedData.source.content_policy, article);
+                if (contentOrigin === 'feed') feedOriginCount++;
+                const articleResult = await client.query(articleQuery, [
+                    sourceId,
                     article.url,
                     article.title,
-                    article.date_added
+                    article.date_added,
+                    getFeedBody(article),
+                    contentOrigin,
+                    article.guid,
+                    article.description,
+                    article.leadImageUrl
                 ]);
+
+                // Link authors and tags
+                await storeArticleMetadata(client, articleResult.rows[0].id, article);
+            }
+            logger.debug(`${feedOriginCount} of ${articles.length} articles use feed content (policy: ${feedData.source.content_policy})`);
+            if (prunedUrls.size) {
+                logger.debug(`Skipped ${prunedUrls.size} articles already removed by retention`);
             }
 
             await client.query('COMMIT');
-            logger.info(`Successfully stored ${feedData.articles.length} articles from ${feedData.source.channel_name}`);
+            logger.info(`Successfully stored ${articles.length} articles from ${feedData.source.channel_name || feedData.source.url}`);
         } catch (error) {
             await client.query('ROLLBACK');
             logger.error('Failed to store feed source:', error);
@@ -209,28 +219,36 @@ class RSSReader {
     }
 
     /**
-     * Process RSS feed content
-     * @returns {Promise<void>}
+     * Process RSS feed content. A source that fails to fetch or store is logged and
+     * skipped so the other sources and the later worker stages still run.
+     * @returns {Promise<{polled: number, failed: number}>} Sources stored and sources that failed
      */
     async processFeedSources() {
-        try {
-            if (!this.sourceUrls.length) {
-                throw new Error('No RSS sources configured');
-            }
+        if (!this.sources.length) {
+            throw new Error('No RSS sources configured');
+        }
 
-            logger.info(`Processing ${this.sourceUrls.length} RSS sources`);
-            
-            // Process each feed
-            for (const url of this.sourceUrls) {
-                const feedData = await this.pullAndParseFeed(url);
+        logger.info(`Processing ${this.sources.length} RSS sources`);
+        const stats = { polled: 0, failed: 0 };
+
+        // Process each feed
+        for (const source of this.sources) {
+            try {
+                const feedData = await this.pullAndParseFeed(source);
                 await this.storeFeedSource(feedData);
+                stats.polled++;
+            } catch (error) {
+                stats.failed++;
+                logger.error(`Failed to process source ${source.id} (${source.url}): ${error.message}`);
+                // Count the attempt as a poll so a broken feed is retried after its interval, not every cycle
+                await pool.query('UPDATE sources SET last_polled_at = now() WHERE id = $1', [source.id]).catch(updateError => {
+                    logger.error(`Failed to record poll of source ${source.id}: ${updateError.message}`);
+                });
             }
-
-            logger.info('RSS processing completed successfully');
-        } catch (error) {
-            logger.error('RSS processing failed:', error);
-            throw error;
         }
+
+        logger.info(`RSS processing completed: ${stats.polled} sources stored, ${stats.failed} failed`);
+        return stats;
     }
 
     /**
@@ -0,0 +1,215 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { MIN_QUALITY_SCORE } from './markdownQuality.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('scrape-state');
+
+// Scrape states: pending and retry are queued, the rest are final until requeued
+export const SCRAPE_STATUSES = ['pending', 'retry', 'done', 'failed', 'gone', 'unsupported'];
+
+// States listed and requeued by the scrape commands
+export const PROBLEM_STATUSES = ['retry', 'failed', 'gone', 'unsupported'];
+
+// HTTP statuses that mean the article will never come back
+const GONE_HTTP_STATUSES = [404, 410];
+
+/**
+ * Create a scrape error for a failed HTTP response
+ * @param {Response} response - fetch response
+ * @returns {Error} Error with the HTTP status
+ */
+export function httpScrapeError(response) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Create a scrape error for pages that can never be scraped (videos, podcasts, paywalls)
+ * @param {string} message - Reason
+ * @returns {Error} Error marked as unsupported
+ */
+export function unsupportedScrapeError(message) {
+    const error = new Error(message);
+    error.unsupported = true;
+    return error;
+}
+
+// Scrape attempts per article with retries and exponential backoff
+class ScrapeState {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.SCRAPE_MAX_ATTEMPTS || '5');
+        this.retryBaseMinutes = parseInt(process.env.SCRAPE_RETRY_BASE_MINUTES || '30');
+        this.retryMaxMinutes = parseInt(process.env.SCRAPE_RETRY_MAX_MINUTES || '1440');
+    }
+
+    /**
+     * Minutes to wait before the next attempt, doubling with every failure
+     * @param {number} attempts - Failed attempts so far, including the latest
+     * @returns {number} Delay in minutes
+     */
+    retryDelayMinutes(attempts) {
+        return Math.min(this.retryBaseMinutes * 2 ** Math.max(attempts - 1, 0), this.retryMaxMinutes);
+    }
+
+    /**
+     * Decide the state after a failed attempt
+     * @param {Error} error - Scrape failure
+     * @param {number} attempts - Failed attempts so far, including this one
+     * @returns {string} New scrape status
+     */
+    statusForFailure(error, attempts) {
+        if (error.unsupported) return 'unsupported';
+        if (GONE_HTTP_STATUSES.includes(error.status)) return 'gone';
+        return attempts >= this.maxAttempts ? 'failed' : 'retry';
+    }
+
+    /**
+     * Record a successful scrape; called inside the transaction that stores the content
+     * @param {Object} client - Database client
+     * @param {number} articleId - Article id
+     */
+    async markDone(client, articleId) {
+        await client.query(`
+            UPDATE articles
+            SET scrape_status = 'done',
+                scrape_attempts = scrape_attempts + 1,
+                scrape_last_error = NULL,
+                scrape_last_attempt_at = now(),
+                scrape_next_attempt_at = NULL
+            WHERE id = $1`,
+            [articleId]
+        );
+    }
+
+    /**
+     * Record a failed scrape and schedule the next attempt
+     * @param {{id: number, title: string, scrape_attempts: number}} article - Article that failed
+     * @param {Error} error - Failure
+     * @returns {Promise<string>} New scrape status
+     */
+    async markFailed(article, error) {
+        const attempts = (article.scrape_attempts || 0) + 1;
+        const status = this.statusForFailure(error, attempts);
+        const delay = status === 'retry' ? this.retryDelayMinutes(attempts) : null;
+
+        await pool.query(`
+            UPDATE articles
+            SET scrape_status = $2,
+                scrape_attempts = $3,
+                scrape_last_error = $4,
+                scrape_last_attempt_at = now(),
+                scrape_next_attempt_at = CASE WHEN $5::integer IS NULL THEN NULL
+                                              ELSE now() + make_interval(mins => $5::integer) END
+            WHERE id = $1`,
+            [article.id, status, attempts, error.message, delay]
+        );
+
+        if (status === 'retry') {
+            logger.warn(`Scrape attempt ${attempts} failed for ${article.title}, retrying in ${delay} minutes: ${error.message}`);
+        } else {
+            logger.warn(`Giving up on ${article.title} (${status}) after ${attempts} attempts: ${error.message}`);
+        }
+        return status;
+    }
+
+    /**
+     * Build the WHERE clause for problem articles
+     * @param {Object} filters
+     * @param {Array<number>} [filters.ids] - Only these articles
+     * @param {number} [filters.sourceId] - Only articles of this source
+     * @param {string} [filters.status] - Only this status (defaults to every problem status)
+     * @returns {{where: string, values: Array}} SQL clause and its parameters
+     */
+    buildFilters({ ids, sourceId, status }) {
+        if (status && !PROBLEM_STATUSES.includes(status)) {
+            throw new Error(`Invalid scrape status: ${status} (expected ${PROBLEM_STATUSES.join(', ')})`);
+        }
+        const values = [status ? [status] : PROBLEM_STATUSES];
+        const conditions = ['a.content IS NULL', 'a.scrape_status = ANY($1)'];
+        if (ids?.length) {
+            values.push(ids);
+            conditions.push(`a.id = ANY($${values.length})`);
+        }
+        if (sourceId) {
+            values.push(sourceId);
+            conditions.push(`a.source_id = $${values.length}`);
+        }
+        return { where: `WHERE ${conditions.join(' AND ')}`, values };
+    }
+
+    /**
+     * List articles that are waiting for a retry or were given up on
+     * @param {Object} [filters] - See buildFilters, plus limit
+     * @returns {Promise<Array<Object>>} Articles, most recently attempted first
+     */
+    async listProblems({ limit = 50, ...filters } = {}) {
+        const { where, values } = this.buildFilters(filters);
+        values.push(Number(limit) || 50);
+        const result = await pool.query(`
+            SELECT a.id, a.title, a.url, a.source_id, s.channel_name, a.scrape_status, a.scrape_attempts,
+                   a.scrape_last_error, a.scrape_last_attempt_at, a.scrape_next_attempt_at
+            FROM articles a
+            JOIN sources s ON s.id = a.source_id
+            ${where}
+            ORDER BY a.scrape_last_attempt_at DESC NULLS LAST, a.id DESC
+            LIMIT $${values.length}`,
+            values
+        );
+        return result.rows;
+    }
+
+    /**
+     * List processed articles whose markdown scored below the quality threshold
+     * @param {Object} [options]
+     * @param {number} [options.sourceId] - Only this source
+     * @param {number} [options.limit] - Maximum rows (default 50)
+     * @returns {Promise<Array<Object>>} Articles, lowest score first
+     */
+    async listLowQuality({ sourceId, limit = 50 } = {}) {
+        const values = [MIN_QUALITY_SCORE, Number(limit) || 50];
+        const conditions = ['a.content_quality < $1'];
+        if (sourceId) {
+            values.push(sourceId);
+            conditions.push(`a.source_id = $${values.length}`);
+        }
+        const result = await pool.query(`
+            SELECT a.id, a.title, s.channel_name, a.content_format, a.content_quality, a.content_quality_issues
+            FROM articles a
+            JOIN sources s ON s.id = a.source_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY a.content_quality, a.id DESC
+            LIMIT $2`,
+            values
+        );
+        return result.rows;
+    }
+
+    /**
+     * Put articles back in the queue with a fresh attempt count
+     * @param {Object} filters - See buildFilters; ids or status is required
+     * @returns {Promise<number>} Number of requeued articles
+     */
+    async requeue(filters) {
+        if (!filters.ids?.length && !filters.status) {
+            throw new Error('Pick the articles to requeue by id or by status');
+        }
+        const { where, values } = this.buildFilters(filters);
+        const result = await pool.query(`
+            UPDATE articles a
+            SET scrape_status = 'pending',
+                scrape_attempts = 0,
+                scrape_next_attempt_at = NULL
+            ${where}`,
+            values
+        );
+        logger.info(`Requeued ${result.rowCount} articles for scraping`);
+        return result.rowCount;
+    }
+}
+
+export default new ScrapeState();
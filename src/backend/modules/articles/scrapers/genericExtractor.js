@@ -0,0 +1,74 @@
+import { removeBoilerplate } from '../htmlExtract.js';
+
+// Shortest paragraph counted when scoring
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Shortest text accepted as an article
+const MIN_ARTICLE_LENGTH = 200;
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {HTMLElement} element - Candidate element
+ * @returns {number} Ratio between 0 and 1
+ */
+function linkDensity(element) {
+    const textLength = element.text.trim().length;
+    if (!textLength) return 1;
+    const linkLength = element.querySelectorAll('a').reduce((total, link) => total + link.text.trim().length, 0);
+    return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Find the element holding the article body, readability style:
+ * paragraphs score their parent and grandparent, scores are discounted by link density
+ * @param {HTMLElement} root - Parsed document with noise removed
+ * @returns {HTMLElement|null} Best candidate
+ */
+function findBestCandidate(root) {
+    const scores = new Map();
+    const addScore = (node, score) => {
+        if (!node || !node.tagName || ['HTML', 'BODY'].includes(node.tagName)) return;
+        scores.set(node, (scores.get(node) || 0) + score);
+    };
+
+    for (const paragraph of root.querySelectorAll('p, pre, blockquote')) {
+        const text = paragraph.text.trim();
+        if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+        const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        addScore(paragraph.parentNode, score);
+        addScore(paragraph.parentNode?.parentNode, score / 2);
+    }
+
+    let best = null;
+    let bestScore = 0;
+    for (const [node, score] of scores) {
+        const adjusted = score * (1 - linkDensity(node));
+        if (adjusted > bestScore) {
+            best = node;
+            bestScore = adjusted;
+        }
+    }
+    return best;
+}
+
+/**
+ * Find the main article element of a page without site-specific rules
+ * @param {HTMLElement} root - Parsed page, boilerplate is removed in place
+ * @returns {HTMLElement|null} Article element, or null when no article-like block is found
+ */
+export function findMainElement(root) {
+    removeBoilerplate(root);
+
+    // A single <article> with enough text is the content
+    const articles = root.querySelectorAll('article')
+        .filter(article => article.text.trim().length >= MIN_ARTICLE_LENGTH);
+    if (articles.length === 1) {
+        return articles[0];
+    }
+
+    const best = findBestCandidate(root);
+    if (!best || best.text.trim().length < MIN_ARTICLE_LENGTH) {
+        return null;
+    }
+    return best;
+}
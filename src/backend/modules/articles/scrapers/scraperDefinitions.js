@@ -0,0 +1,91 @@
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLogger } from '../../../utils/logger.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('scraper-definitions');
+
+// Definitions shipped with the app
+const BUILTIN_DIR = join(dirname(fileURLToPath(import.meta.url)), 'sites');
+
+/**
+ * Check a definition and fill in defaults
+ * @param {Object} definition - Parsed JSON definition
+ * @param {string} file - File it came from, for error messages
+ * @returns {Object} Definition with every field present
+ */
+export function normalizeDefinition(definition, file) {
+    const fail = message => {
+        throw new Error(`Invalid scraper definition ${file}: ${message}`);
+    };
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+
+    if (!definition || typeof definition !== 'object') fail('expected a JSON object');
+    if (!isStringList(definition.hosts) || !definition.hosts.length) fail('"hosts" must list at least one host');
+    if (!isStringList(definition.content) || !definition.content.length) fail('"content" must list at least one selector');
+    if (definition.strip !== undefined && !isStringList(definition.strip)) fail('"strip" must be a list of selectors');
+    if (definition.unsupported !== undefined && !isStringList(definition.unsupported)) fail('"unsupported" must be a list of patterns');
+    if (definition.headers !== undefined && (typeof definition.headers !== 'object' || Array.isArray(definition.headers))) {
+        fail('"headers" must be an object');
+    }
+    const url = definition.url || {};
+    if (url.removeParams !== undefined && !isStringList(url.removeParams)) fail('"url.removeParams" must be a list of names');
+
+    return {
+        name: definition.name || definition.hosts[0],
+        hosts: definition.hosts.map(host => host.toLowerCase()),
+        content: definition.content,
+        strip: definition.strip || [],
+        url: {
+            removeQuery: Boolean(url.removeQuery),
+            removeParams: url.removeParams || [],
+            removeHash: url.removeHash !== false
+        },
+        unsupported: (definition.unsupported || []).map(pattern => new RegExp(pattern, 'i')),
+        headers: definition.headers || {}
+    };
+}
+
+/**
+ * Load every *.json definition in a directory
+ * @param {string} dir - Directory of definitions
+ * @returns {Array<Object>} Normalized definitions
+ */
+export function loadDefinitions(dir) {
+    if (!existsSync(dir)) {
+        logger.warn(`Scraper definitions directory not found: ${dir}`);
+        return [];
+    }
+    return readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const path = join(dir, file);
+            return normalizeDefinition(JSON.parse(readFileSync(path, 'utf8')), path);
+        });
+}
+
+/**
+ * Load built-in definitions plus those in SCRAPER_DEFINITIONS_DIR, which win on shared hosts
+ * @returns {Array<Object>} Normalized definitions, most specific first
+ */
+export function loadAllDefinitions() {
+    const extraDir = process.env.SCRAPER_DEFINITIONS_DIR;
+    const definitions = [...(extraDir ? loadDefinitions(extraDir) : []), ...loadDefinitions(BUILTIN_DIR)];
+    logger.debug(`Loaded ${definitions.length} scraper definitions`);
+    return definitions;
+}
+
+/**
+ * Check whether a hostname belongs to one of the hosts of a definition
+ * @param {Object} definition - Normalized definition
+ * @param {string} hostname - Lowercase hostname
+ * @returns {boolean} True for the host itself and its subdomains
+ */
+export function matchesHost(definition, hostname) {
+    return definition.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
@@ -0,0 +1,137 @@
+import { createLogger } from '../../../utils/logger.js';
+import { httpScrapeError, unsupportedScrapeError } from '../scrapeState.js';
+import { parseHtml, extractContent } from '../htmlExtract.js';
+import { findMainElement } from './genericExtractor.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('selector-scraper');
+
+// Headers sent when a definition has none
+const DEFAULT_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5'
+};
+
+// Milliseconds before a page fetch is abandoned
+const FETCH_TIMEOUT_MS = parseInt(process.env.SCRAPE_TIMEOUT_MS || '30000');
+
+/**
+ * Turn a parameter pattern like utm_* into a matcher
+ * @param {string} pattern - Parameter name, * matches any characters
+ * @returns {RegExp} Matcher for parameter names
+ */
+const paramMatcher = pattern => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+
+// Scrapes articles with a declarative site definition; without one it uses the generic extractor
+class SelectorScraper {
+    /**
+     * @param {Object|null} definition - Normalized definition from scraperDefinitions.js, null for unknown hosts
+     */
+    constructor(definition) {
+        this.definition = definition;
+        this.name = definition ? definition.name : 'generic';
+        this.headers = { ...DEFAULT_HEADERS, ...(definition?.headers || {}) };
+        this.removeParams = (definition?.url.removeParams || []).map(paramMatcher);
+    }
+
+    /**
+     * Apply the URL cleaning rules of the definition
+     * @param {string} url - Article URL
+     * @returns {string} Cleaned URL
+     */
+    cleanUrl(url) {
+        const cleaned = new URL(url);
+        const rules = this.definition?.url || { removeQuery: false, removeHash: true };
+        if (rules.removeQuery) {
+            cleaned.search = '';
+        }
+        for (const name of [...cleaned.searchParams.keys()]) {
+            if (this.removeParams.some(matcher => matcher.test(name))) {
+                cleaned.searchParams.delete(name);
+            }
+        }
+        if (rules.removeHash) {
+            cleaned.hash = '';
+        }
+        return cleaned.href;
+    }
+
+    /**
+     * Find the article element with the definition's selectors
+     * @param {HTMLElement} root - Parsed page
+     * @returns {HTMLElement|null} Article element
+     */
+    findContentElement(root) {
+        if (!this.definition) {
+            return findMainElement(root);
+        }
+
+        for (const selector of this.definition.content) {
+            const element = root.querySelector(selector);
+            if (element?.text.trim()) {
+                logger.debug(`Matched content selector "${selector}" for ${this.name}`);
+                return element;
+            }
+        }
+
+        // Layout changed: fall back to the generic extractor rather than failing outright
+        logger.warn(`No content selector matched for ${this.name}, trying the generic extractor`);
+        return findMainElement(root);
+    }
+
+    /**
+     * Extract the cleaned article from a page
+     * @param {string} html - Full page HTML
+     * @param {string} [pageUrl] - Page URL for resolving relative links and images
+     * @returns {{html: string, text: string, images: Array<Object>, links: Array<Object>}|null} Article content
+     */
+    extractContent(html, pageUrl) {
+        const element = this.findContentElement(parseHtml(html));
+        if (!element) return null;
+
+        const content = extractContent(element, { baseUrl: pageUrl, strip: this.definition?.strip });
+        return content.text ? content : null;
+    }
+
+    /**
+     * Fetch and extract an article
+     * @param {string} url - Article URL
+     * @param {Object} article - Article data
+     * @returns {Promise<{html: string, text: string, images: Array<Object>, links: Array<Object>}>} Cleaned article
+     */
+    async scrape(url, article) {
+        const cleanedUrl = this.cleanUrl(url);
+        const path = new URL(cleanedUrl).pathname;
+        if (this.definition?.unsupported.some(pattern => pattern.test(path))) {
+            throw unsupportedScrapeError(`${this.name} page type is not scrapable: ${path}`);
+        }
+
+        logger.debug(`Fetching article with ${this.name} scraper: ${cleanedUrl}`);
+        const response = await fetch(cleanedUrl, {
+            headers: this.headers,
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw httpScrapeError(response);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !/html|xml/i.test(contentType)) {
+            throw unsupportedScrapeError(`Not an HTML page: ${contentType}`);
+        }
+
+        const content = this.extractContent(await response.text(), cleanedUrl);
+        if (!content) {
+            throw new Error('No content extracted from HTML');
+        }
+
+        logger.debug(`Extracted content from: ${article.title}`);
+        return content;
+    }
+}
+
+export default SelectorScraper;
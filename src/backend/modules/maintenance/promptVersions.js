@@ -0,0 +1,68 @@
+import { pool } from '../../utils/dbCon.js';
+import { loadPrompt } from '../../utils/prompts.js';
+
+// Generated outputs that record the prompt template behind them, and the command regenerating outdated rows
+const PROMPT_OUTPUTS = [
+    { prompt: 'markdown', output: 'article content', table: 'articles', column: 'content_prompt_version', perSource: true, where: "content_format = 'llm'" },
+    { prompt: 'summary', output: 'summaries', table: 'articles', column: 'summary_prompt_version', perSource: true, where: 'summary IS NOT NULL', regenerate: 'summaries backfill --outdated' },
+    { prompt: 'entities', output: 'entities', table: 'articles', column: 'entities_prompt_version', perSource: true, where: 'entities_extracted_at IS NOT NULL', regenerate: 'entities extract --outdated' },
+    { prompt: 'topic-name', output: 'topic names', table: 'news_topics', column: 'name_prompt_version', perSource: false, where: 'topic_name IS NOT NULL' },
+    { prompt: 'compare', output: 'story comparisons', table: 'story_comparisons', column: 'prompt_version', perSource: false, where: 'true' }
+];
+
+// Compares stored prompt versions with the current templates
+class PromptVersions {
+    /**
+     * Current template id of a prompt for every source, following each source's prompt set
+     * @param {string} name - Template name
+     * @returns {Promise<{sourceIds: Array<string>, versions: Array<string>}>} Parallel arrays for unnest()
+     */
+    async versionsBySource(name) {
+        const result = await pool.query('SELECT id, prompt_set FROM sources ORDER BY id');
+        return {
+            sourceIds: result.rows.map(row => row.id),
+            versions: result.rows.map(row => loadPrompt(name, { set: row.prompt_set }).id)
+        };
+    }
+
+    /**
+     * Count stored outputs generated with another template version than the current one
+     * @returns {Promise<Array<{prompt: string, output: string, current: string, outdated: number, regenerate: string|null}>>} One row per output;
+     *   current is the default set's version, sources with their own set are compared with theirs
+     */
+    async countOutdated() {
+        const rows = [];
+        for (const output of PROMPT_OUTPUTS) {
+            let result;
+            if (output.perSource) {
+                const { sourceIds, versions } = await this.versionsBySource(output.prompt);
+                result = await pool.query(`
+                    SELECT count(*) AS outdated
+                    FROM ${output.table} t
+                    JOIN unnest($1::bigint[], $2::text[]) AS v(source_id, version) ON v.source_id = t.source_id
+                    WHERE ${output.where}
+                      AND t.${output.column} IS DISTINCT FROM v.version`,
+                    [sourceIds, versions]
+                );
+            } else {
+                result = await pool.query(`
+                    SELECT count(*) AS outdated
+                    FROM ${output.table}
+                    WHERE ${output.where}
+                      AND ${output.column} IS DISTINCT FROM $1`,
+                    [loadPrompt(output.prompt).id]
+                );
+            }
+            rows.push({
+                prompt: output.prompt,
+                output: output.output,
+                current: loadPrompt(output.prompt).id,
+                outdated: Number(result.rows[0].outdated),
+                regenerate: output.regenerate || null
+            });
+        }
+        return rows;
+    }
+}
+
+export default new PromptVersions();
@@ -0,0 +1,228 @@
+import { gzip, gunzip } from 'node:zlib';
+import { promisify } from 'node:util';
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('retention');
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+// Articles moved to the archive per transaction
+const BATCH_SIZE = 500;
+
+// Articles older than their source's retention, unless bookmarked or in a pinned topic ($1 = default days)
+const EXPIRED_ARTICLES_SQL = `
+    FROM articles a
+    JOIN sources s ON s.id = a.source_id
+    LEFT JOIN news_topics t ON t.id = a.topic_id
+    WHERE COALESCE(s.retention_days, $1) > 0
+      AND a.date_added < current_date - COALESCE(s.retention_days, $1)
+      AND NOT a.bookmarked
+      AND NOT COALESCE(t.pinned, false)`;
+
+// Prunes old articles, topics left empty, worker run history and old pruned URLs
+class RetentionJob {
+    constructor() {
+        this.articlesDays = parseInt(process.env.RETENTION_ARTICLES_DAYS || '30');
+        this.eventsDays = parseInt(process.env.RETENTION_EVENTS_DAYS || '90');
+        // archive keeps a compressed copy of pruned articles, delete drops them
+        this.mode = process.env.RETENTION_MODE || 'archive';
+    }
+
+    /**
+     * Count expired articles per source
+     * @returns {Promise<Array<{source_id: number, channel_name: string, retention_days: number, expired: number}>>}
+     */
+    async getExpiredCounts() {
+        const result = await pool.query(`
+            SELECT s.id AS source_id, s.channel_name, COALESCE(s.retention_days, $1) AS retention_days,
+                   count(*) AS expired
+            ${EXPIRED_ARTICLES_SQL}
+            GROUP BY s.id
+            ORDER BY s.id`,
+            [this.articlesDays]
+        );
+        return result.rows.map(row => ({ ...row, source_id: Number(row.source_id), expired: Number(row.expired) }));
+    }
+
+    /**
+     * Compress an article with its authors and tags for the archive
+     * @param {Object} article - articles row with authors and tags
+     * @returns {Promise<Buffer>} Gzipped JSON
+     */
+    async packArticle(article) {
+        return gzipAsync(Buffer.from(JSON.stringify(article)));
+    }
+
+    /**
+     * Read an archived article
+     * @param {number} articleId - Id the article had before it was archived
+     * @returns {Promise<Object|null>} Archived article with authors and tags
+     */
+    async getArchivedArticle(articleId) {
+        const result = await pool.query('SELECT payload FROM articles_archive WHERE article_id = $1', [articleId]);
+        if (!result.rows.length) return null;
+        return JSON.parse((await gunzipAsync(result.rows[0].payload)).toString());
+    }
+
+    /**
+     * Archive (or delete) one batch of expired articles
+     * @returns {Promise<number>} Number of articles removed
+     */
+    async pruneArticleBatch() {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const expired = await client.query(`
+                SELECT a.*,
+                       ARRAY(SELECT au.name FROM article_authors aa
+                             JOIN authors au ON au.id = aa.author_id
+                             WHERE aa.article_id = a.id ORDER BY aa.position) AS authors,
+                       ARRAY(SELECT tg.name FROM article_tags at
+                             JOIN tags tg ON tg.id = at.tag_id
+                             WHERE at.article_id = a.id ORDER BY tg.name) AS tags
+                ${EXPIRED_ARTICLES_SQL}
+                ORDER BY a.id
+                LIMIT $2
+                FOR UPDATE OF a SKIP LOCKED`,
+                [this.articlesDays, BATCH_SIZE]
+            );
+            if (!expired.rows.length) {
+                await client.query('COMMIT');
+                return 0;
+            }
+
+            if (this.mode === 'archive') {
+                for (const { search_vector: searchVector, ...article } of expired.rows) {
+                    await client.query(`
+                        INSERT INTO articles_archive (article_id, source_id, url, title, date_added, payload)
+                        VALUES ($1, $2, $3, $4, $5, $6)
+                        ON CONFLICT (article_id) DO UPDATE
+                        SET payload = EXCLUDED.payload,
+                            archived_at = now()`,
+                        [article.id, article.source_id, article.url, article.title, article.date_added, await this.packArticle(article)]
+                    );
+                }
+            }
+
+            // Remember the URLs so later polls do not store the articles again
+            await client.query(`
+                INSERT INTO pruned_urls (url, source_id)
+                SELECT * FROM unnest($1::text[], $2::bigint[])
+                ON CONFLICT (url) DO UPDATE
+                SET source_id = EXCLUDED.source_id,
+                    pruned_at = now()`,
+                [expired.rows.map(article => article.url), expired.rows.map(article => article.source_id)]
+            );
+
+            // Embeddings, authors and tags links go with the article
+            await client.query('DELETE FROM articles WHERE id = ANY($1)', [expired.rows.map(article => article.id)]);
+            await client.query('COMMIT');
+            return expired.rows.length;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Delete unpinned topics that no longer have articles
+     * @param {boolean} dryRun - Only count, including topics that pruning expired articles would empty
+     * @returns {Promise<number>} Number of topics
+     */
+    async pruneEmptyTopics(dryRun) {
+        if (dryRun) {
+            const result = await pool.query(`
+                SELECT count(*) AS total
+                FROM news_topics nt
+                WHERE NOT nt.pinned
+                  AND NOT EXISTS (
+                      SELECT 1 FROM articles kept
+                      WHERE kept.topic_id = nt.id
+                        AND kept.id NOT IN (SELECT a.id ${EXPIRED_ARTICLES_SQL}))`,
+                [this.articlesDays]
+            );
+            return Number(result.rows[0].total);
+        }
+        const result = await pool.query(`
+            DELETE FROM news_topics nt
+            WHERE NOT nt.pinned
+              AND NOT EXISTS (SELECT 1 FROM articles a WHERE a.topic_id = nt.id)`);
+        return result.rowCount;
+    }
+
+    /**
+     * Delete finished worker runs older than RETENTION_EVENTS_DAYS
+     * @param {boolean} dryRun - Only count
+     * @returns {Promise<number>} Number of runs
+     */
+    async pruneWorkerRuns(dryRun) {
+        const where = `WHERE status <> 'running' AND started_at < now() - make_interval(days => $1)`;
+        const result = dryRun
+            ? await pool.query(`SELECT count(*) AS total FROM worker_runs ${where}`, [this.eventsDays])
+            : await pool.query(`DELETE FROM worker_runs ${where}`, [this.eventsDays]);
+        return dryRun ? Number(result.rows[0].total) : result.rowCount;
+    }
+
+    /**
+     * Forget pruned article URLs older than RETENTION_EVENTS_DAYS; feeds have long stopped listing them by then
+     * @param {boolean} dryRun - Only count
+     * @returns {Promise<number>} Number of URLs
+     */
+    async prunePrunedUrls(dryRun) {
+        const where = 'WHERE pruned_at < now() - make_interval(days => $1)';
+        const result = dryRun
+            ? await pool.query(`SELECT count(*) AS total FROM pruned_urls ${where}`, [this.eventsDays])
+            : await pool.query(`DELETE FROM pruned_urls ${where}`, [this.eventsDays]);
+        return dryRun ? Number(result.rows[0].total) : result.rowCount;
+    }
+
+    /**
+     * Apply the retention policy
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Report what would be removed without changing anything
+     * @returns {Promise<{dryRun: boolean, mode: string, sources: Array<Object>, articles: number, topics: number, runs: number, urls: number}>}
+     */
+    async run({ dryRun = false } = {}) {
+        if (!['archive', 'delete'].includes(this.mode)) {
+            throw new Error(`Invalid RETENTION_MODE: ${this.mode} (expected archive or delete)`);
+        }
+
+        const sources = await this.getExpiredCounts();
+        const report = {
+            dryRun,
+            mode: this.mode,
+            sources,
+            articles: sources.reduce((total, source) => total + source.expired, 0),
+            topics: 0,
+            runs: 0,
+            urls: 0
+        };
+
+        if (!dryRun) {
+            report.articles = 0;
+            let removed;
+            do {
+                removed = await this.pruneArticleBatch();
+                report.articles += removed;
+            } while (removed === BATCH_SIZE);
+        }
+
+        report.topics = await this.pruneEmptyTopics(dryRun);
+        report.runs = await this.pruneWorkerRuns(dryRun);
+        report.urls = await this.prunePrunedUrls(dryRun);
+
+        const verb = dryRun ? 'Would remove' : (this.mode === 'archive' ? 'Archived' : 'Deleted');
+        logger.info(`${verb} ${report.articles} articles, ${report.topics} empty topics, ${report.runs} worker runs and ${report.urls} pruned URLs`);
+        return report;
+    }
+}
+
+export default new RetentionJob();
@@ -0,0 +1,34 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Backoff for model tasks (summaries, entities, comparisons) whose reply could not be used
+class TaskRetries {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.LLM_TASK_MAX_ATTEMPTS || '5');
+        this.retryBaseMinutes = parseInt(process.env.LLM_TASK_RETRY_BASE_MINUTES || '30');
+        this.retryMaxMinutes = parseInt(process.env.LLM_TASK_RETRY_MAX_MINUTES || '1440');
+    }
+
+    /**
+     * Minutes to wait before the next attempt, doubling with every failure
+     * @param {number} attempts - Failed attempts so far, including the latest
+     * @returns {number} Delay in minutes
+     */
+    retryDelayMinutes(attempts) {
+        return Math.min(this.retryBaseMinutes * 2 ** Math.max(attempts - 1, 0), this.retryMaxMinutes);
+    }
+
+    /**
+     * Schedule the next attempt after a failure
+     * @param {number} previousAttempts - Failed attempts before this one
+     * @returns {{attempts: number, delayMinutes: number|null}} Attempt count and the delay, null once the task is given up
+     */
+    nextAttempt(previousAttempts) {
+        const attempts = (previousAttempts || 0) + 1;
+        return { attempts, delayMinutes: attempts >= this.maxAttempts ? null : this.retryDelayMinutes(attempts) };
+    }
+}
+
+export default new TaskRetries();
@@ -0,0 +1,47 @@
+import { pool } from '../../utils/dbCon.js';
+
+// History of worker cycles, pruned by the retention job
+class WorkerRuns {
+    /**
+     * Record the start of a worker cycle
+     * @returns {Promise<number>} Run id
+     */
+    async start() {
+        const result = await pool.query('INSERT INTO worker_runs DEFAULT VALUES RETURNING id');
+        return result.rows[0].id;
+    }
+
+    /**
+     * Record the end of a worker cycle
+     * @param {number} runId - Run id from start
+     * @param {Object} outcome
+     * @param {Object} [outcome.stats] - Counts reported by the pipeline stages
+     * @param {Error} [outcome.error] - Failure that ended the cycle
+     */
+    async finish(runId, { stats = {}, error = null } = {}) {
+        await pool.query(`
+            UPDATE worker_runs
+            SET finished_at = now(),
+                status = $2,
+                stats = $3,
+                error = $4
+            WHERE id = $1`,
+            [runId, error ? 'failed' : 'succeeded', stats, error ? error.message : null]
+        );
+    }
+
+    /**
+     * List recent worker cycles
+     * @param {number} [limit] - Maximum number of runs
+     * @returns {Promise<Array<Object>>} Runs, newest first
+     */
+    async listRuns(limit = 20) {
+        const result = await pool.query(
+            'SELECT * FROM worker_runs ORDER BY started_at DESC, id DESC LIMIT $1',
+            [limit]
+        );
+        return result.rows;
+    }
+}
+
+export default new WorkerRuns();
@@ -0,0 +1,263 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { CONTENT_POLICIES } from '../articles/feedContent.js';
+import { parsePromptSet } from '../../utils/prompts.js';
+
+const logger = createLogger('source-registry');
+
+// Ways of turning article HTML into markdown
+export const MARKDOWN_CONVERTERS = ['llm', 'rules'];
+
+// Settings of a new source when they are not given
+const DEFAULT_POLL_INTERVAL_MINUTES = 60;
+const DEFAULT_CONTENT_POLICY = 'both';
+const DEFAULT_MARKDOWN_CONVERTER = 'llm';
+
+// Keeps track of the RSS feeds the worker should poll
+class SourceRegistry {
+    /**
+     * Build a WHERE clause matching a source by id or url
+     * @param {string|number} idOrUrl - Source id or feed URL
+     * @returns {{clause: string, value: string|number}}
+     */
+    matchSource(idOrUrl) {
+        const value = String(idOrUrl).trim();
+        if (/^\d+$/.test(value)) {
+            return { clause: 'id = $1', value: Number(value) };
+        }
+        return { clause: 'url = $1', value };
+    }
+
+    /**
+     * Validate a poll interval in minutes
+     * @param {string|number} minutes - Poll interval
+     * @returns {number} Poll interval as integer
+     */
+    parseInterval(minutes) {
+        const interval = Number(minutes);
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error(`Invalid poll interval: ${minutes} (expected whole minutes)`);
+        }
+        return interval;
+    }
+
+    /**
+     * Validate a content policy
+     * @param {string} policy - feed, scrape or both
+     * @returns {string} Content policy
+     */
+    parsePolicy(policy) {
+        if (!CONTENT_POLICIES.includes(policy)) {
+            throw new Error(`Invalid content policy: ${policy} (expected ${CONTENT_POLICIES.join(', ')})`);
+        }
+        return policy;
+    }
+
+    /**
+     * Validate a markdown converter
+     * @param {string} converter - llm or rules
+     * @returns {string} Markdown converter
+     */
+    parseConverter(converter) {
+        if (!MARKDOWN_CONVERTERS.includes(converter)) {
+            throw new Error(`Invalid markdown converter: ${converter} (expected ${MARKDOWN_CONVERTERS.join(', ')})`);
+        }
+        return converter;
+    }
+
+    /**
+     * Validate a retention override in days
+     * @param {string|number|null} days - Days to keep articles, 0 to keep forever, 'default' or null for RETENTION_ARTICLES_DAYS
+     * @returns {number|null} Retention days, null for the default
+     */
+    parseRetention(days) {
+        if (days === null || days === 'default') return null;
+        const retention = Number(days);
+        if (!Number.isInteger(retention) || retention < 0) {
+            throw new Error(`Invalid retention: ${days} (expected whole days, 0 to keep forever, or default)`);
+        }
+        return retention;
+    }
+
+    /**
+     * Validate a feed URL
+     * @param {string} url - RSS feed URL
+     * @returns {string} Normalized feed URL
+     */
+    parseFeedUrl(url) {
+        // Only accept absolute http(s) URLs
+        const feedUrl = new URL(url);
+        if (!['http:', 'https:'].includes(feedUrl.protocol)) {
+            throw new Error(`Unsupported feed URL protocol: ${feedUrl.protocol}`);
+        }
+        return feedUrl.href;
+    }
+
+    /**
+     * Add a feed to the registry. Re-adding a registered URL enables it again and only
+     * changes the settings that are passed; omitted ones keep their current values.
+     * @param {Object} options
+     * @param {string} options.url - RSS feed URL
+     * @param {number} [options.pollIntervalMinutes] - Minutes between polls (default 60 for a new source)
+     * @param {string} [options.notes] - Free form notes
+     * @param {string} [options.contentPolicy] - Use feed content, scrape, or both (default both)
+     * @param {number|string|null} [options.retentionDays] - Days to keep articles, 0 forever, 'default' for RETENTION_ARTICLES_DAYS
+     * @param {string} [options.markdownConverter] - Convert HTML with the llm (default) or the built-in rules
+     * @param {string|null} [options.promptSet] - Prompt template set overriding the default templates, 'default' to clear it
+     * @returns {Promise<Object>} Stored source row
+     */
+    async addSource({ url, pollIntervalMinutes, notes, contentPolicy, retentionDays, markdownConverter, promptSet }) {
+        const feedUrl = this.parseFeedUrl(url);
+        const interval = pollIntervalMinutes === undefined ? null : this.parseInterval(pollIntervalMinutes);
+        const policy = contentPolicy === undefined ? null : this.parsePolicy(contentPolicy);
+        const retention = retentionDays === undefined ? null : this.parseRetention(retentionDays);
+        const converter = markdownConverter === undefined ? null : this.parseConverter(markdownConverter);
+        const prompts = promptSet === undefined ? null : parsePromptSet(promptSet);
+        const result = await pool.query(`
+            INSERT INTO sources (url, poll_interval_minutes, notes, content_policy, retention_days, markdown_converter, prompt_set)
+            VALUES ($1, COALESCE($2, $10::integer), $3, COALESCE($4, $11), $5, COALESCE($6, $12), $7)
+            ON CONFLICT (url) DO UPDATE
+            SET enabled = true,
+                poll_interval_minutes = COALESCE($2, sources.poll_interval_minutes),
+                notes = COALESCE($3, sources.notes),
+                content_policy = COALESCE($4, sources.content_policy),
+                retention_days = CASE WHEN $8 THEN $5 ELSE sources.retention_days END,
+                markdown_converter = COALESCE($6, sources.markdown_converter),
+                prompt_set = CASE WHEN $9 THEN $7 ELSE sources.prompt_set END
+            RETURNING *`,
+            [feedUrl, interval, notes ?? null, policy, retention, converter, prompts,
+                retentionDays !== undefined, promptSet !== undefined,
+                DEFAULT_POLL_INTERVAL_MINUTES, DEFAULT_CONTENT_POLICY, DEFAULT_MARKDOWN_CONVERTER]
+        );
+        logger.info(`Registered source: ${feedUrl}`);
+        return result.rows[0];
+    }
+
+    /**
+     * List all registered sources
+     * @returns {Promise<Array<Object>>} Source rows
+     */
+    async listSources() {
+        const result = await pool.query('SELECT * FROM sources ORDER BY id');
+        return result.rows;
+    }
+
+    /**
+     * Update feed URL, poll interval, notes, content policy, retention, markdown converter and/or prompt set of a source
+     * @param {string|number} idOrUrl - Source id or feed URL
+     * @param {Object} changes
+     * @param {string} [changes.url] - New feed URL (keeps the source and its articles)
+     * @param {number} [changes.pollIntervalMinutes] - Minutes between polls
+     * @param {string} [changes.notes] - Free form notes
+     * @param {string} [changes.contentPolicy] - Use feed content, scrape, or both
+     * @param {number|string|null} [changes.retentionDays] - Days to keep articles, 0 forever, 'default' to clear the override
+     * @param {string} [changes.markdownConverter] - Convert HTML with the llm or the built-in rules
+     * @param {string} [changes.promptSet] - Prompt template set, 'default' to clear it
+     * @returns {Promise<Object|null>} Updated source row
+     */
+    async updateSource(idOrUrl, { url, pollIntervalMinutes, notes, contentPolicy, retentionDays, markdownConverter, promptSet }) {
+        const { clause, value } = this.matchSource(idOrUrl);
+        const feedUrl = url === undefined ? null : this.parseFeedUrl(url);
+        const interval = pollIntervalMinutes === undefined ? null : this.parseInterval(pollIntervalMinutes);
+        const policy = contentPolicy === undefined ? null : this.parsePolicy(contentPolicy);
+        // Retention can be cleared back to the default, so it is only touched when given
+        const retention = retentionDays === undefined ? null : this.parseRetention(retentionDays);
+        const converter = markdownConverter === undefined ? null : this.parseConverter(markdownConverter);
+        // Like retention, the prompt set can be cleared back to the default templates
+        const prompts = promptSet === undefined ? null : parsePromptSet(promptSet);
+        const result = await pool.query(`
+            UPDATE sources
+            SET url = COALESCE($2, url),
+                poll_interval_minutes = COALESCE($3, poll_interval_minutes),
+                notes = COALESCE($4, notes),
+                content_policy = COALESCE($5, content_policy),
+                retention_days = CASE WHEN $6 THEN $7 ELSE retention_days END,
+                markdown_converter = COALESCE($8, markdown_converter),
+                prompt_set = CASE WHEN $9 THEN $10 ELSE prompt_set END
+            WHERE ${clause}
+            RETURNING *`,
+            [value, feedUrl, interval, notes ?? null, policy, retentionDays !== undefined, retention, converter,
+                promptSet !== undefined, prompts]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Enable or disable a source
+     * @param {string|number} idOrUrl - Source id or feed URL
+     * @param {boolean} enabled - New state
+     * @returns {Promise<Object|null>} Updated source row
+     */
+    async setEnabled(idOrUrl, enabled) {
+        const { clause, value } = this.matchSource(idOrUrl);
+        const result = await pool.query(
+            `UPDATE sources SET enabled = $2 WHERE ${clause} RETURNING *`,
+            [value, enabled]
+        );
+        if (result.rows[0]) {
+            logger.info(`Source ${result.rows[0].url} ${enabled ? 'enabled' : 'disabled'}`);
+        }
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Remove a source from the registry
+     * @param {string|number} idOrUrl - Source id or feed URL
+     * @returns {Promise<Object|null>} Removed source row
+     */
+    async removeSource(idOrUrl) {
+        const { clause, value } = this.matchSource(idOrUrl);
+        const result = await pool.query(`DELETE FROM sources WHERE ${clause} RETURNING *`, [value]);
+        if (result.rows[0]) {
+            logger.info(`Removed source: ${result.rows[0].url}`);
+        }
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get the channel titles a source has published under
+     * @param {string|number} idOrUrl - Source id or feed URL
+     * @returns {Promise<Array<{title: string, first_seen_at: Date}>>} Titles, oldest first
+     */
+    async getTitleHistory(idOrUrl) {
+        const { clause, value } = this.matchSource(idOrUrl);
+        const result = await pool.query(`
+            SELECT h.title, h.first_seen_at
+            FROM source_title_history h
+            JOIN sources ON sources.id = h.source_id
+            WHERE sources.${clause}
+            ORDER BY h.first_seen_at, h.id`,
+            [value]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Get enabled sources whose poll interval has elapsed
+     * @returns {Promise<Array<Object>>} Source rows due for polling
+     */
+    async getDueSources() {
+        const result = await pool.query(`
+            SELECT *
+            FROM sources
+            WHERE enabled
+              AND (last_polled_at IS NULL
+                   OR last_polled_at + make_interval(mins => poll_interval_minutes) <= now())
+            ORDER BY id`);
+        return result.rows;
+    }
+
+    /**
+     * Get the time the next enabled source is due for polling
+     * @returns {Promise<Date|null>} Earliest due time (now or earlier when a source is overdue), null without enabled sources
+     */
+    async getNextPollTime() {
+        const result = await pool.query(`
+            SELECT min(COALESCE(last_polled_at + make_interval(mins => poll_interval_minutes), now())) AS next_poll_at
+            FROM sources
+            WHERE enabled`);
+        return result.rows[0].next_poll_at;
+    }
+}
+
+export default new SourceRegistry();
@@ -0,0 +1,282 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { chatWithModel, parseJsonReply, taskModel } from '../../utils/llm.js';
+import { renderPrompt } from '../../utils/prompts.js';
+import taskRetries from '../maintenance/taskRetries.js';
+import { formatDate } from '../../utils/dates.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('story-compare');
+
+// Characters of each article sent to the model
+const ARTICLE_EXCERPT_LENGTH = 1500;
+
+/**
+ * Keep only non-empty strings of a list
+ * @param {*} value - Value from the model reply
+ * @returns {Array<string>} Cleaned strings
+ */
+const cleanStrings = value => (Array.isArray(value) ? value : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+
+class StoryComparer {
+    constructor() {
+        this.model = taskModel('compare');
+        this.numCtx = parseInt(process.env.OLLAMA_COMPARE_NUM_CTX || '16384');
+        this.maxPerRun = parseInt(process.env.COMPARE_MAX_PER_RUN || '10');
+    }
+
+    /**
+     * Get topics covered by at least two sources whose comparison is missing or out of date.
+     * Topics whose current articles failed are left out until their retry time, and for good
+     * once the attempts run out. Never compared topics come first, then the oldest comparisons,
+     * so busy topics cannot keep the others waiting.
+     * @param {Object} [options]
+     * @param {number} [options.topicId] - Only this topic
+     * @param {boolean} [options.force] - Include topics with an up to date comparison or waiting for a retry
+     * @param {number} [options.limit] - Maximum number of topics
+     * @returns {Promise<Array<{id: number, topic_name: string, article_ids: Array<string>, compare_attempts: number}>>}
+     */
+    async getPendingTopics({ topicId, force = false, limit } = {}) {
+        const result = await pool.query(`
+            WITH coverage AS (
+                SELECT a.topic_id,
+                       array_agg(a.id ORDER BY a.id) AS article_ids,
+                       count(DISTINCT a.source_id) AS source_count
+                FROM articles a
+                WHERE a.topic_id IS NOT NULL AND a.content IS NOT NULL
+                GROUP BY a.topic_id
+            )
+            SELECT t.id, t.topic_name, c.article_ids,
+                   CASE WHEN t.compare_failed_article_ids = c.article_ids THEN t.compare_attempts ELSE 0 END AS compare_attempts
+            FROM news_topics t
+            JOIN coverage c ON c.topic_id = t.id
+            LEFT JOIN story_comparisons sc ON sc.topic_id = t.id
+            WHERE c.source_count >= 2
+              AND ($1::bigint IS NULL OR t.id = $1)
+              AND ($2::boolean OR sc.id IS NULL OR sc.article_ids IS DISTINCT FROM c.article_ids)
+              AND ($2::boolean
+                   OR t.compare_failed_article_ids IS DISTINCT FROM c.article_ids
+                   OR t.compare_next_attempt_at <= now())
+            ORDER BY sc.generated_at NULLS FIRST, t.last_article_at, t.id
+            LIMIT $3`,
+            [topicId ?? null, force, limit ?? null]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Record a failed attempt on the topic's current articles and schedule the next one
+     * @param {Object} topic - Topic from getPendingTopics
+     * @param {Error} error - Failure
+     */
+    async markFailed(topic, error) {
+        const { attempts, delayMinutes } = taskRetries.nextAttempt(topic.compare_attempts);
+        await pool.query(`
+            UPDATE news_topics
+            SET compare_attempts = $2,
+                compare_failed_article_ids = $3,
+                compare_last_error = $4,
+                compare_next_attempt_at = CASE WHEN $5::integer IS NULL THEN NULL
+                                               ELSE now() + make_interval(mins => $5::integer) END
+            WHERE id = $1`,
+            [topic.id, attempts, topic.article_ids, error.message, delayMinutes]
+        );
+        if (delayMinutes === null) {
+            logger.warn(`Giving up on comparing topic ${topic.id} after ${attempts} attempts: ${error.message}`);
+        } else {
+            logger.warn(`Comparison attempt ${attempts} failed for topic ${topic.id}, retrying in ${delayMinutes} minutes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a topic's articles grouped by outlet, earliest first
+     * @param {number} topicId - Topic id
+     * @returns {Promise<Array<{source_id: number, source: string, first_published: Date, articles: Array<Object>}>>}
+     */
+    async getCoverage(topicId) {
+        const result = await pool.query(`
+            SELECT a.id, a.title, a.url, a.date_added, a.summary, a.content,
+                   a.source_id, COALESCE(s.channel_name, s.url) AS source
+            FROM articles a
+            JOIN sources s ON s.id = a.source_id
+            WHERE a.topic_id = $1 AND a.content IS NOT NULL
+            ORDER BY a.date_added, a.id`,
+            [topicId]
+        );
+
+        const outlets = new Map();
+        for (const row of result.rows) {
+            if (!outlets.has(row.source_id)) {
+                outlets.set(row.source_id, {
+                    source_id: Number(row.source_id),
+                    source: row.source,
+                    first_published: row.date_added,
+                    articles: []
+                });
+            }
+            outlets.get(row.source_id).articles.push(row);
+        }
+        return [...outlets.values()];
+    }
+
+    /**
+     * Build the model input listing every outlet's articles
+     * @param {Array<Object>} coverage - Coverage grouped by outlet
+     * @returns {string} Prompt content
+     */
+    buildPrompt(coverage) {
+        return coverage.map(outlet => [
+            `## Outlet ${outlet.source_id}: ${outlet.source}`,
+            ...outlet.articles.map(article => [
+                `### ${article.title} (${formatDate(article.date_added)})`,
+                article.summary ? `Summary: ${article.summary}` : '',
+                article.content.slice(0, ARTICLE_EXCERPT_LENGTH)
+            ].filter(Boolean).join('\n'))
+        ].join('\n\n')).join('\n\n');
+    }
+
+    /**
+     * Validate the model reply against the known outlets. Outlets are matched by source id, since
+     * two sources can share a feed title; a name is only accepted when a single outlet has it.
+     * @param {Object} reply - Parsed model reply
+     * @param {Array<{source_id: number, source: string}>} coverage - Outlets in the coverage
+     * @returns {{overview: string, framing: Array, unique_facts: Array, shared_facts: Array<string>}}
+     */
+    normalizeReport(reply, coverage) {
+        const byId = new Map(coverage.map(outlet => [outlet.source_id, outlet]));
+        const byName = new Map();
+        for (const outlet of coverage) {
+            byName.set(outlet.source, byName.has(outlet.source) ? null : outlet);
+        }
+        const outletOf = entry => {
+            if (!entry || typeof entry !== 'object') return null;
+            return byId.get(Number(entry.source_id)) || byName.get(entry.source) || null;
+        };
+        const withOutlet = list => (Array.isArray(list) ? list : [])
+            .map(entry => ({ entry, outlet: outletOf(entry) }))
+            .filter(({ outlet }) => outlet);
+
+        return {
+            overview: typeof reply.overview === 'string' ? reply.overview.trim() : '',
+            framing: withOutlet(reply.framing)
+                .map(({ entry, outlet }) => ({
+                    source_id: outlet.source_id,
+                    source: outlet.source,
+                    framing: typeof entry.framing === 'string' ? entry.framing.trim() : '',
+                    emphasis: typeof entry.emphasis === 'string' ? entry.emphasis.trim() : ''
+                })),
+            unique_facts: withOutlet(reply.unique_facts)
+                .map(({ entry, outlet }) => ({ source_id: outlet.source_id, source: outlet.source, facts: cleanStrings(entry.facts) }))
+                .filter(entry => entry.facts.length),
+            shared_facts: cleanStrings(reply.shared_facts)
+        };
+    }
+
+    /**
+     * Generate and store the comparison report of one topic
+     * @param {{id: number, topic_name: string, article_ids: Array<string>}} topic - Pending topic
+     */
+    async compareTopic(topic) {
+        const coverage = await this.getCoverage(topic.id);
+        if (coverage.length < 2) {
+            logger.debug(`Topic ${topic.id} is covered by fewer than two sources`);
+            return;
+        }
+
+        const { messages, version } = renderPrompt('compare', { content: this.buildPrompt(coverage) });
+        const reply = await chatWithModel('compare', this.model, messages, {
+            num_ctx: this.numCtx,
+            temperature: 0.2,
+            format: 'json'
+        });
+        const analysis = this.normalizeReport(parseJsonReply(reply), coverage);
+        if (!analysis.overview && !analysis.framing.length) {
+            throw new Error('Comparison missing from model reply');
+        }
+
+        // Who covered it and when comes from the database, not the model
+        const report = {
+            topic: topic.topic_name,
+            coverage: coverage.map(outlet => ({
+                source_id: outlet.source_id,
+                source: outlet.source,
+                first_published: outlet.first_published,
+                articles: outlet.articles.map(article => ({
+                    id: Number(article.id),
+                    title: article.title,
+                    url: article.url,
+                    date_added: article.date_added
+                }))
+            })),
+            ...analysis
+        };
+
+        await pool.query(`
+            INSERT INTO story_comparisons (topic_id, report, article_ids, source_count, model, prompt_version)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (topic_id) DO UPDATE
+            SET report = EXCLUDED.report,
+                article_ids = EXCLUDED.article_ids,
+                source_count = EXCLUDED.source_count,
+                model = EXCLUDED.model,
+                prompt_version = EXCLUDED.prompt_version,
+                generated_at = now()`,
+            [topic.id, report, topic.article_ids, coverage.length, this.model, version]
+        );
+        await pool.query(`
+            UPDATE news_topics
+            SET compare_attempts = 0,
+                compare_failed_article_ids = NULL,
+                compare_last_error = NULL,
+                compare_next_attempt_at = NULL
+            WHERE id = $1`,
+            [topic.id]
+        );
+        logger.info(`Stored comparison for topic ${topic.id} across ${coverage.length} sources`);
+    }
+
+    /**
+     * Compare coverage of topics with new articles
+     * @param {Object} [options] - Same filters as getPendingTopics; defaults to COMPARE_MAX_PER_RUN topics
+     * @returns {Promise<{processed: number, failed: number}>} Counts
+     */
+    async processPending(options = { limit: this.maxPerRun }) {
+        const stats = { processed: 0, failed: 0 };
+        if (!this.model) {
+            logger.info('No comparison model set (OLLAMA_COMPARE_MODEL), skipping story comparisons');
+            return stats;
+        }
+
+        try {
+            const topics = await this.getPendingTopics(options);
+            if (!topics.length) {
+                logger.debug('No topics need a comparison');
+                return stats;
+            }
+
+            logger.info(`Comparing coverage of ${topics.length} topics`);
+            for (const topic of topics) {
+                try {
+                    await this.compareTopic(topic);
+                    stats.processed++;
+                } catch (error) {
+                    stats.failed++;
+                    logger.error(`Failed to compare topic ${topic.id}: ${error.message}`);
+                    await this.markFailed(topic, error).catch(markError => {
+                        logger.error(`Failed to record comparison failure of topic ${topic.id}: ${markError.message}`);
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error('Error comparing stories:', error);
+        }
+        return stats;
+    }
+}
+
+export default new StoryComparer();
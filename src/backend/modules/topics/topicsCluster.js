@@ -0,0 +1,277 @@
+import { createLogger } from '../../utils/logger.js';
+import { pool } from '../../utils/dbCon.js';
+import { chatWithModel, parseJsonReply, taskModel } from '../../utils/llm.js';
+import { renderPrompt } from '../../utils/prompts.js';
+import { cosineSimilarity, addToCentroid } from '../../utils/vectors.js';
+import taskRetries from '../maintenance/taskRetries.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('topics-cluster');
+
+// Articles shown to the model when naming a topic
+const NAMING_SAMPLE_SIZE = 10;
+
+// A named topic is named again once it has grown by half since the last name
+const RENAME_GROWTH = 1.5;
+
+class TopicClusterer {
+    constructor() {
+        this.threshold = parseFloat(process.env.TOPIC_SIMILARITY_THRESHOLD || '0.82');
+        this.windowDays = parseInt(process.env.TOPIC_WINDOW_DAYS || '7');
+        this.namingModel = taskModel('topics');
+        this.numCtx = parseInt(process.env.OLLAMA_TOPIC_NUM_CTX || '8192');
+        this.namingMaxPerRun = parseInt(process.env.TOPIC_NAMING_MAX_PER_RUN || '20');
+    }
+
+    /**
+     * Get embedded articles that have no topic yet, oldest first
+     * @returns {Promise<Array<{id: number, title: string, date_added: Date, embedding: Array<number>}>>}
+     */
+    async getUnassignedArticles() {
+        const result = await pool.query(`
+            SELECT a.id, a.title, a.date_added, e.embedding
+            FROM articles a
+            JOIN article_embeddings e ON e.article_id = a.id
+            WHERE a.topic_id IS NULL
+            ORDER BY a.date_added, a.id`);
+        return result.rows;
+    }
+
+    /**
+     * Get topics that were active recently enough to take new articles
+     * @returns {Promise<Array<{id: number, centroid: Array<number>, article_count: number}>>}
+     */
+    async getActiveTopics() {
+        const result = await pool.query(`
+            SELECT id, centroid, article_count
+            FROM news_topics
+            WHERE centroid IS NOT NULL
+              AND last_article_at >= now() - make_interval(days => $1)`,
+            [this.windowDays]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Find the closest active topic for a vector
+     * @param {Array<Object>} topics - Active topics
+     * @param {Array<number>} embedding - Article vector
+     * @returns {{topic: Object|null, similarity: number}}
+     */
+    findClosestTopic(topics, embedding) {
+        let best = { topic: null, similarity: -1 };
+        for (const topic of topics) {
+            const similarity = cosineSimilarity(topic.centroid, embedding);
+            if (similarity > best.similarity) {
+                best = { topic, similarity };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Attach unassigned articles to existing topics or open new ones
+     * @returns {Promise<{assigned: number, created: number}>} Counts
+     */
+    async assignArticles() {
+        const stats = { assigned: 0, created: 0 };
+        const articles = await this.getUnassignedArticles();
+        if (!articles.length) {
+            logger.debug('No articles waiting for a topic');
+            return stats;
+        }
+
+        const topics = await this.getActiveTopics();
+        logger.info(`Clustering ${articles.length} articles against ${topics.length} active topics`);
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            for (const article of articles) {
+                const { topic, similarity } = this.findClosestTopic(topics, article.embedding);
+
+                if (topic && similarity >= this.threshold) {
+                    // Join the topic and move its centroid towards the article; a topic that grew enough is named again
+                    topic.centroid = addToCentroid(topic.centroid, topic.article_count, article.embedding);
+                    topic.article_count++;
+                    await client.query(`
+                        UPDATE news_topics
+                        SET centroid = $2,
+                            article_count = $3,
+                            needs_naming = needs_naming OR $3::integer >= named_article_count * $5::numeric,
+                            last_article_at = GREATEST(last_article_at, $4::timestamptz)
+                        WHERE id = $1`,
+                        [topic.id, topic.centroid, topic.article_count, article.date_added, RENAME_GROWTH]
+                    );
+                    await client.query('UPDATE articles SET topic_id = $1 WHERE id = $2', [topic.id, article.id]);
+                    logger.debug(`Article ${article.id} joined topic ${topic.id} (similarity ${similarity.toFixed(3)})`);
+                    stats.assigned++;
+                } else {
+                    // Open a new topic named after the article until the model names it
+                    const created = await client.query(`
+                        INSERT INTO news_topics (topic_name, centroid, article_count, needs_naming, last_article_at)
+                        VALUES ($1, $2, 1, true, $3)
+                        RETURNING id`,
+                        [article.title, article.embedding, article.date_added]
+                    );
+                    const newTopic = { id: created.rows[0].id, centroid: article.embedding, article_count: 1 };
+                    topics.push(newTopic);
+                    await client.query('UPDATE articles SET topic_id = $1 WHERE id = $2', [newTopic.id, article.id]);
+                    logger.debug(`Article ${article.id} opened topic ${newTopic.id}`);
+                    stats.created++;
+                }
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        logger.info(`Assigned ${stats.assigned} articles to existing topics, opened ${stats.created} topics`);
+        return stats;
+    }
+
+    /**
+     * Ask the model for a topic name and description
+     * @param {number} topicId - Topic id
+     * @returns {Promise<{name: string, description: string, promptVersion: string}>}
+     */
+    async describeTopic(topicId) {
+        const result = await pool.query(`
+            SELECT a.title, a.headline, a.summary, s.channel_name
+            FROM articles a
+            JOIN sources s ON s.id = a.source_id
+            WHERE a.topic_id = $1
+            ORDER BY a.date_added DESC, a.id DESC
+            LIMIT $2`,
+            [topicId, NAMING_SAMPLE_SIZE]
+        );
+        const listing = result.rows
+            .map(row => `- [${row.channel_name}] ${row.headline || row.title}${row.summary ? `: ${row.summary}` : ''}`)
+            .join('\n');
+
+        const { messages, version } = renderPrompt('topic-name', { content: listing });
+        const reply = await chatWithModel('topics', this.namingModel, messages, {
+            num_ctx: this.numCtx,
+            temperature: 0.2,
+            format: 'json'
+        });
+
+        const parsed = parseJsonReply(reply);
+        if (typeof parsed.name !== 'string' || !parsed.name.trim()) {
+            throw new Error('Topic name missing from model reply');
+        }
+        return {
+            name: parsed.name.trim().slice(0, 200),
+            description: typeof parsed.description === 'string' ? parsed.description.trim() : null,
+            promptVersion: version
+        };
+    }
+
+    /**
+     * Get topics waiting for a name, most recently active first. Topics whose naming failed
+     * are left out until their retry time, and for good once the attempts run out.
+     * @param {number} [limit] - Maximum number of topics
+     * @returns {Promise<Array<{id: number, naming_attempts: number}>>}
+     */
+    async getTopicsToName(limit) {
+        const result = await pool.query(`
+            SELECT id, naming_attempts
+            FROM news_topics
+            WHERE needs_naming
+              AND (naming_attempts = 0 OR naming_next_attempt_at <= now())
+            ORDER BY last_article_at DESC NULLS LAST, id
+            LIMIT $1`,
+            [limit ?? null]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Record a failed naming attempt and schedule the next one
+     * @param {Object} topic - Topic from getTopicsToName
+     * @param {Error} error - Failure
+     */
+    async markNamingFailed(topic, error) {
+        const { attempts, delayMinutes } = taskRetries.nextAttempt(topic.naming_attempts);
+        await pool.query(`
+            UPDATE news_topics
+            SET naming_attempts = $2,
+                naming_last_error = $3,
+                naming_next_attempt_at = CASE WHEN $4::integer IS NULL THEN NULL
+                                              ELSE now() + make_interval(mins => $4::integer) END
+            WHERE id = $1`,
+            [topic.id, attempts, error.message, delayMinutes]
+        );
+        if (delayMinutes === null) {
+            logger.warn(`Giving up on naming topic ${topic.id} after ${attempts} attempts: ${error.message}`);
+        } else {
+            logger.warn(`Naming attempt ${attempts} failed for topic ${topic.id}, retrying in ${delayMinutes} minutes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate or refresh names of topics that changed
+     * @param {Object} [options]
+     * @param {number|null} [options.limit] - Maximum number of topics; defaults to TOPIC_NAMING_MAX_PER_RUN, null for all
+     * @returns {Promise<number>} Number of topics named
+     */
+    async nameTopics({ limit = this.namingMaxPerRun } = {}) {
+        if (!this.namingModel) {
+            logger.info('No topic naming model set (OLLAMA_TOPIC_MODEL), skipping topic names');
+            return 0;
+        }
+
+        let named = 0;
+        for (const topic of await this.getTopicsToName(limit)) {
+            try {
+                const { name, description, promptVersion } = await this.describeTopic(topic.id);
+                await pool.query(`
+                    UPDATE news_topics
+                    SET topic_name = $2,
+                        topic_description = $3,
+                        name_prompt_version = $4,
+                        last_updated = current_date,
+                        needs_naming = false,
+                        named_article_count = article_count,
+                        naming_attempts = 0,
+                        naming_last_error = NULL,
+                        naming_next_attempt_at = NULL
+                    WHERE id = $1`,
+                    [topic.id, name, description, promptVersion]
+                );
+                logger.debug(`Named topic ${topic.id}: ${name}`);
+                named++;
+            } catch (error) {
+                logger.error(`Failed to name topic ${topic.id}: ${error.message}`);
+                await this.markNamingFailed(topic, error).catch(markError => {
+                    logger.error(`Failed to record naming failure of topic ${topic.id}: ${markError.message}`);
+                });
+            }
+        }
+
+        if (named) {
+            logger.info(`Named ${named} topics`);
+        }
+        return named;
+    }
+
+    /**
+     * Assign new articles to topics and refresh topic names
+     */
+    async processPending() {
+        try {
+            await this.assignArticles();
+            await this.nameTopics();
+        } catch (error) {
+            logger.error('Error clustering topics:', error);
+        }
+    }
+}
+
+export default new TopicClusterer();
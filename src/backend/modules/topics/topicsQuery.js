@@ -0,0 +1,62 @@
+import { pool } from '../../utils/dbCon.js';
+import articlesQuery from '../articles/articlesQuery.js';
+
+// Most articles returned with a topic
+const MAX_TOPIC_ARTICLES = 200;
+
+// Topic rows with their current article and source counts
+const TOPICS_WITH_COUNTS_SQL = `
+    SELECT t.*, c.article_count AS current_article_count, c.source_count
+    FROM news_topics t
+    JOIN LATERAL (
+        SELECT count(*) AS article_count, count(DISTINCT a.source_id) AS source_count
+        FROM articles a
+        WHERE a.topic_id = t.id
+    ) c ON true`;
+
+// Read-side queries over topics and their comparisons
+class TopicsQuery {
+    /**
+     * List topics with recent articles first
+     * @param {Object} [options]
+     * @param {number} [options.minSources] - Only topics covered by at least this many sources
+     * @param {number} [options.limit] - Page size
+     * @param {number} [options.offset] - Rows to skip
+     * @returns {Promise<Array<Object>>} Topic rows with article and source counts
+     */
+    async listTopics({ minSources = 1, limit = 20, offset = 0 } = {}) {
+        const result = await pool.query(`
+            ${TOPICS_WITH_COUNTS_SQL}
+            WHERE c.source_count >= $1
+            ORDER BY t.last_article_at DESC NULLS LAST, t.id DESC
+            LIMIT $2 OFFSET $3`,
+            [minSources, limit, offset]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Get a topic with its counts, its newest articles and stored comparison
+     * @param {number} topicId - Topic id
+     * @returns {Promise<{topic: Object, articles: Array<Object>, comparison: Object|null}|null>}
+     */
+    async getTopic(topicId) {
+        const topicResult = await pool.query(`${TOPICS_WITH_COUNTS_SQL} WHERE t.id = $1`, [topicId]);
+        if (!topicResult.rows.length) return null;
+
+        const articles = await articlesQuery.listArticles({ topicId, limit: MAX_TOPIC_ARTICLES });
+
+        const comparisonResult = await pool.query(
+            'SELECT report, model, generated_at FROM story_comparisons WHERE topic_id = $1',
+            [topicId]
+        );
+
+        return {
+            topic: topicResult.rows[0],
+            articles,
+            comparison: comparisonResult.rows[0] || null
+        };
+    }
+}
+
+export default new TopicsQuery();
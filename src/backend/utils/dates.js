@@ -0,0 +1,11 @@
+/**
+ * Format a calendar date as YYYY-MM-DD. pg parses date columns as local midnight,
+ * so the local getters give back the stored day in every timezone.
+ * @param {Date|null} value - Date parsed by pg
+ * @returns {string|null} Calendar date
+ */
+export function formatDate(value) {
+    if (!value) return null;
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
@@ -1,6 +1,7 @@
 import pkg from 'pg';
 const { Pool } = pkg;
 import { createLogger } from './logger.js';
+import { runMigrations } from './migrations.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -40,10 +41,11 @@ const testConnection = async () => {
     }
 };
 
-// Initialize database connection
+// Initialize database connection and apply pending migrations
 const initializeDatabase = async () => {
     try {
         await testConnection();
+        await runMigrations(pool);
         return pool;
     } catch (error) {
         logger.error('Database initialization failed:', error);
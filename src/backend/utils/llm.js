@@ -0,0 +1,273 @@
+import { createLogger } from './logger.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('llm');
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name used in stats and logs
+ * @property {function(string, Array<Object>, Object): Promise<{content: string, promptTokens: number, outputTokens: number, retries: number}>} chat
+ * @property {function(string, Array<string>): Promise<{embeddings: Array<Array<number>>, promptTokens: number, retries: number}>} embed
+ * @property {function(): Promise<Array<string>>} listModels
+ * @property {function(string): Promise<void>} [pullModel] - Only for servers that can download models
+ */
+
+// Provider implementations, loaded on first use so importing this module needs no LLM configuration
+const PROVIDERS = {
+    ollama: async () => {
+        const { default: OllamaProvider } = await import('./llm/ollamaProvider.js');
+        return new OllamaProvider({ host: process.env.OLLAMA_HOST });
+    },
+    openai: async () => {
+        const { default: OpenAIProvider } = await import('./llm/openaiProvider.js');
+        return new OpenAIProvider({ baseUrl: process.env.OPENAI_BASE_URL, apiKey: process.env.OPENAI_API_KEY });
+    }
+};
+
+// Pipeline tasks: the variable naming the model, and the task whose model and provider apply when it is unset
+export const LLM_TASKS = {
+    markdown: { modelEnv: 'OLLAMA_HTML_READER' },
+    summary: { modelEnv: 'OLLAMA_SUMMARY_MODEL' },
+    embeddings: { modelEnv: 'OLLAMA_EMBED_MODEL' },
+    entities: { modelEnv: 'OLLAMA_ENTITY_MODEL', fallback: 'summary' },
+    topics: { modelEnv: 'OLLAMA_TOPIC_MODEL', fallback: 'summary' },
+    compare: { modelEnv: 'OLLAMA_COMPARE_MODEL', fallback: 'summary' }
+};
+
+// Providers created so far, by name
+const providers = new Map();
+
+// Request counts, token counts and latency per provider/model since the process started or the last reset
+let stats = {};
+
+/**
+ * Provider and model configured for a pipeline task. LLM_<TASK>_PROVIDER picks the provider,
+ * falling back to LLM_PROVIDER and then ollama.
+ * @param {string} task - Key of LLM_TASKS
+ * @returns {{task: string, provider: string, model: string|null}} Task configuration; model is null when the task is off
+ */
+export function taskConfig(task) {
+    const definition = LLM_TASKS[task];
+    if (!definition) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+    const model = process.env[definition.modelEnv];
+    if (!model && definition.fallback) {
+        return { ...taskConfig(definition.fallback), task };
+    }
+    const provider = process.env[`LLM_${task.toUpperCase()}_PROVIDER`] || process.env.LLM_PROVIDER || 'ollama';
+    return { task, provider, model: model || null };
+}
+
+/**
+ * Model configured for a pipeline task
+ * @param {string} task - Key of LLM_TASKS
+ * @returns {string|null} Model name, null when the task is off
+ */
+export const taskModel = task => taskConfig(task).model;
+
+/**
+ * Get a provider by name, creating it on first use
+ * @param {string} name - ollama or openai
+ * @returns {Promise<LLMProvider>} Provider
+ */
+export async function getProvider(name) {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown LLM provider: ${name} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!providers.has(name)) {
+        // Cache the promise so concurrent first calls share one provider
+        const created = PROVIDERS[name]().catch(error => {
+            providers.delete(name);
+            throw error;
+        });
+        providers.set(name, created);
+        const provider = await created;
+        logger.info(`LLM provider ready: ${name}`);
+        return provider;
+    }
+    return providers.get(name);
+}
+
+/**
+ * Add the outcome of one request to the stats
+ * @param {string} key - provider/model
+ * @param {Object} outcome - Latency, retries and token counts of the request
+ */
+function recordStats(key, { latencyMs, retries = 0, failed = false, promptTokens = 0, outputTokens = 0 }) {
+    const entry = stats[key] ||= {
+        requests: 0, failures: 0, retries: 0, promptTokens: 0, outputTokens: 0, totalLatencyMs: 0, maxLatencyMs: 0
+    };
+    entry.requests++;
+    entry.failures += failed ? 1 : 0;
+    entry.retries += retries;
+    entry.promptTokens += promptTokens;
+    entry.outputTokens += outputTokens;
+    entry.totalLatencyMs += latencyMs;
+    entry.maxLatencyMs = Math.max(entry.maxLatencyMs, latencyMs);
+}
+
+/**
+ * Run a provider call for a task and record its stats
+ * @param {string} task - Key of LLM_TASKS
+ * @param {string} model - Model name
+ * @param {Function} call - Receives the provider and returns the provider result
+ * @returns {Promise<Object>} Provider result
+ */
+async function runTask(task, model, call) {
+    if (!model) {
+        logger.error('Model name is required');
+        throw new Error('Model name is required');
+    }
+    const { provider: providerName } = taskConfig(task);
+    const provider = await getProvider(providerName);
+    const key = `${providerName}/${model}`;
+    const started = Date.now();
+    try {
+        const result = await call(provider);
+        recordStats(key, { ...result, latencyMs: Date.now() - started });
+        return result;
+    } catch (error) {
+        recordStats(key, { latencyMs: Date.now() - started, retries: error.retries, failed: true });
+        throw error;
+    }
+}
+
+/**
+ * Send chat messages to the model of a task
+ * @param {string} task - Key of LLM_TASKS, selects the provider
+ * @param {string} model - Model name to use
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Object} options - Model options (num_ctx, temperature, ...) plus optional format, and
+ *   stream to receive the reply in pieces so long generations are not cut off by the timeout
+ * @returns {Promise<string>} Assistant reply
+ */
+async function chatWithModel(task, model, messages, options = {}) {
+    try {
+        logger.info(`Sending ${task} request to model: ${model}`);
+        logger.debug(`Request options: ${JSON.stringify(options)}`);
+
+        const reply = await runTask(task, model, provider => provider.chat(model, messages, options));
+        if (!reply.content) {
+            logger.error('No content in model response');
+            throw new Error('No content in model response');
+        }
+
+        logger.info(`Successfully received response from model: ${model}`);
+        return reply.content;
+    } catch (error) {
+        const errorMessage = error.message || 'Unknown error';
+        logger.error(`Failed to process content with ${model}: ${errorMessage}`);
+        throw error;
+    }
+}
+
+/**
+ * Get embedding vectors from the model of a task
+ * @param {string} task - Key of LLM_TASKS, selects the provider
+ * @param {string} model - Embedding model name
+ * @param {string|Array<string>} input - Text or list of texts
+ * @returns {Promise<Array<Array<number>>>} One vector per input
+ */
+async function embedWithModel(task, model, input) {
+    const inputs = Array.isArray(input) ? input : [input];
+    logger.debug(`Requesting ${inputs.length} embeddings from ${model}`);
+    const response = await runTask(task, model, provider => provider.embed(model, inputs));
+
+    if (!Array.isArray(response.embeddings) || response.embeddings.length !== inputs.length) {
+        logger.error('Unexpected embeddings in model response');
+        throw new Error('Unexpected embeddings in model response');
+    }
+    return response.embeddings;
+}
+
+/**
+ * Parse a JSON reply, tolerating code fences around it
+ * @param {string} reply - Model reply
+ * @returns {Object} Parsed JSON
+ */
+function parseJsonReply(reply) {
+    const text = reply.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Model reply is not valid JSON: ${text.slice(0, 200)}`);
+    }
+}
+
+/**
+ * Models configured for the pipeline tasks
+ * @returns {Array<{provider: string, model: string, tasks: Array<string>}>} One entry per provider and model
+ */
+function configuredModels() {
+    const entries = new Map();
+    for (const task of Object.keys(LLM_TASKS)) {
+        const { provider, model } = taskConfig(task);
+        if (!model) continue;
+        const key = `${provider}/${model}`;
+        if (!entries.has(key)) entries.set(key, { provider, model, tasks: [] });
+        entries.get(key).tasks.push(task);
+    }
+    return [...entries.values()];
+}
+
+/**
+ * Check that models are available on their provider, pulling missing ones where the provider can
+ * @param {Array<{provider: string, model: string}>} models - Models to check
+ * @param {Object} [options]
+ * @param {boolean} [options.pull] - Pull missing models (default OLLAMA_PULL_MISSING)
+ * @returns {Promise<Array<{provider: string, model: string, status: string}>>} installed, pulled or missing per model
+ */
+async function checkModels(models, { pull = process.env.OLLAMA_PULL_MISSING === 'true' } = {}) {
+    const results = [];
+    for (const providerName of [...new Set(models.map(entry => entry.provider))]) {
+        const provider = await getProvider(providerName);
+        const available = new Set(await provider.listModels());
+
+        for (const { model } of models.filter(entry => entry.provider === providerName)) {
+            let status = 'installed';
+            if (!available.has(model)) {
+                if (pull && provider.pullModel) {
+                    logger.info(`Pulling missing model ${model}`);
+                    await provider.pullModel(model);
+                    status = 'pulled';
+                } else {
+                    status = 'missing';
+                }
+            }
+            results.push({ provider: providerName, model, status });
+        }
+    }
+
+    const missing = results.filter(result => result.status === 'missing');
+    if (missing.length) {
+        logger.error(`Models not available: ${missing.map(result => `${result.provider}/${result.model}`).join(', ')}`);
+    }
+    return results;
+}
+
+/**
+ * Request stats per provider/model, with the average latency
+ * @returns {Object} Stats keyed by provider/model
+ */
+function getStats() {
+    return Object.fromEntries(Object.entries(stats).map(([key, entry]) => [
+        key,
+        { ...entry, avgLatencyMs: entry.requests ? Math.round(entry.totalLatencyMs / entry.requests) : 0 }
+    ]));
+}
+
+/**
+ * Clear the request stats, e.g. at the start of a worker cycle
+ */
+function resetStats() {
+    stats = {};
+}
+
+export {
+    chatWithModel, embedWithModel, parseJsonReply,
+    checkModels, configuredModels, getStats, resetStats
+};
@@ -0,0 +1,129 @@
+import { createLogger } from '../logger.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const logger = createLogger('llm-http');
+
+// Milliseconds a request may take; streamed requests only time out when no data arrives for this long
+export const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '300000');
+
+// Extra attempts after a 5xx response or a connection error, with the delay doubling from the base
+const MAX_RETRIES = parseInt(process.env.LLM_RETRIES || '2');
+const RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS || '1000');
+
+// Sleep function (returns a promise that resolves after ms milliseconds)
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request is worth retrying: server errors and lost connections are,
+ * timeouts and client errors are not
+ * @param {Error} error - Request error
+ * @returns {boolean} True when the request may succeed on another attempt
+ */
+function isRetryable(error) {
+    if (error.timedOut) return false;
+    if (error.status) return error.status >= 500;
+    return error.name === 'TypeError' || /ECONNREFUSED|ECONNRESET|EPIPE|socket hang up/i.test(error.message);
+}
+
+/**
+ * Split a streamed body into lines, calling onActivity whenever data arrives
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onActivity - Called for every received chunk
+ * @returns {AsyncGenerator<string>} Non-empty lines
+ */
+async function* readLines(body, onActivity) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const bytes of body) {
+        onActivity();
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) yield line;
+        }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer;
+}
+
+/**
+ * Make one HTTP request with a timeout
+ * @param {string} url - Full URL
+ * @param {Object} options - See requestJson
+ * @returns {Promise<Object>} Parsed JSON, or whatever readStream returns
+ */
+async function requestOnce(url, { method, headers, body, timeoutMs, readStream }) {
+    const controller = new AbortController();
+    let timer;
+    const armTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    armTimer();
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return readStream ? await readStream(readLines(response.body, armTimer)) : await response.json();
+    } catch (error) {
+        if (controller.signal.aborted) {
+            const timeoutError = new Error(`Request timed out after ${timeoutMs} ms`);
+            timeoutError.timedOut = true;
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Make a JSON request to an LLM server, retrying server and connection errors with backoff
+ * @param {string} url - Full URL
+ * @param {Object} [options]
+ * @param {Object} [options.body] - JSON body; GET is used without one
+ * @param {Object} [options.headers] - Extra headers
+ * @param {number} [options.timeoutMs] - Timeout per attempt
+ * @param {Function} [options.readStream] - Reads a streamed response from an async iterable of lines
+ * @returns {Promise<{data: Object, retries: number}>} Response data and the number of retries it took
+ */
+export async function requestJson(url, { body, headers = {}, timeoutMs = REQUEST_TIMEOUT_MS, readStream } = {}) {
+    const method = body ? 'POST' : 'GET';
+    let retries = 0;
+
+    while (true) {
+        try {
+            const data = await requestOnce(url, { method, headers, body, timeoutMs, readStream });
+            return { data, retries };
+        } catch (error) {
+            if (retries < MAX_RETRIES && isRetryable(error)) {
+                const delay = RETRY_BASE_MS * 2 ** retries;
+                retries++;
+                logger.warn(`Request to ${url} failed: ${error.message}; retry ${retries} of ${MAX_RETRIES} in ${delay} ms`);
+                await sleep(delay);
+                continue;
+            }
+            logger.error(`Request to ${url} failed: ${error.message}`);
+            error.retries = retries;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,101 @@
+import { requestJson } from './http.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Pulling a model can take a long time on a slow connection
+const PULL_TIMEOUT_MS = parseInt(process.env.OLLAMA_PULL_TIMEOUT_MS || '3600000');
+
+/**
+ * Read Ollama's NDJSON stream into one reply
+ * @param {AsyncIterable<string>} lines - Response lines
+ * @returns {Promise<Object>} Final chunk with the streamed content joined into message.content
+ */
+async function readChatStream(lines) {
+    let content = '';
+    let last = null;
+    for await (const line of lines) {
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+            throw new Error(`Ollama stream error: ${chunk.error}`);
+        }
+        content += chunk.message?.content ?? '';
+        last = chunk;
+    }
+    if (!last?.done) {
+        throw new Error('Ollama stream ended before the response was done');
+    }
+    return { ...last, message: { role: 'assistant', content } };
+}
+
+// Talks to an Ollama server through its native API
+class OllamaProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.host - Server URL, e.g. http://localhost:11434
+     */
+    constructor({ host }) {
+        if (!host) {
+            throw new Error('OLLAMA_HOST environment variable is required for the ollama provider');
+        }
+        this.name = 'ollama';
+        this.host = host.replace(/\/+$/, '');
+    }
+
+    /**
+     * Send chat messages to a model
+     * @param {string} model - Model name
+     * @param {Array<{role: string, content: string}>} messages - Chat messages
+     * @param {Object} [options] - Ollama model options (num_ctx, temperature, ...) plus format and stream
+     * @returns {Promise<{content: string, promptTokens: number, outputTokens: number, retries: number}>} Reply
+     */
+    async chat(model, messages, options = {}) {
+        const { format, stream = false, ...modelOptions } = options;
+        const body = { model, messages, stream, options: modelOptions };
+        if (format) {
+            body.format = format;
+        }
+
+        const { data, retries } = await requestJson(`${this.host}/api/chat`, {
+            body,
+            readStream: stream ? readChatStream : undefined
+        });
+        return {
+            content: data?.message?.content,
+            promptTokens: data?.prompt_eval_count || 0,
+            outputTokens: data?.eval_count || 0,
+            retries
+        };
+    }
+
+    /**
+     * Get embedding vectors
+     * @param {string} model - Embedding model name
+     * @param {Array<string>} inputs - Texts
+     * @returns {Promise<{embeddings: Array<Array<number>>, promptTokens: number, retries: number}>} One vector per input
+     */
+    async embed(model, inputs) {
+        const { data, retries } = await requestJson(`${this.host}/api/embed`, { body: { model, input: inputs } });
+        return { embeddings: data?.embeddings, promptTokens: data?.prompt_eval_count || 0, retries };
+    }
+
+    /**
+     * List installed models
+     * @returns {Promise<Array<string>>} Model names, also without the :latest tag
+     */
+    async listModels() {
+        const { data } = await requestJson(`${this.host}/api/tags`);
+        return (data.models || []).flatMap(entry => [entry.name, entry.name.replace(/:latest$/, '')]);
+    }
+
+    /**
+     * Download a model
+     * @param {string} model - Model name
+     */
+    async pullModel(model) {
+        await requestJson(`${this.host}/api/pull`, { body: { model, stream: false }, timeoutMs: PULL_TIMEOUT_MS });
+    }
+}
+
+export default OllamaProvider;
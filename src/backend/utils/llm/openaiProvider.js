@@ -0,0 +1,122 @@
+import { requestJson } from './http.js';
+
+// Ollama option names and their OpenAI-compatible request fields; num_ctx has no equivalent,
+// the context size is set when the server loads the model. repeat_penalty is an extension that
+// llama.cpp and LM Studio accept.
+const OPTION_FIELDS = {
+    temperature: 'temperature',
+    top_p: 'top_p',
+    seed: 'seed',
+    stop: 'stop',
+    num_predict: 'max_tokens',
+    repeat_penalty: 'repeat_penalty'
+};
+
+/**
+ * Read a server-sent event stream of chat completion chunks into one reply
+ * @param {AsyncIterable<string>} lines - Response lines
+ * @returns {Promise<Object>} Completion with the streamed content and usage
+ */
+async function readChatStream(lines) {
+    let content = '';
+    let usage = null;
+    let done = false;
+    for await (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+            done = true;
+            break;
+        }
+        const chunk = JSON.parse(payload);
+        if (chunk.error) {
+            throw new Error(`Stream error: ${chunk.error.message || chunk.error}`);
+        }
+        content += chunk.choices?.[0]?.delta?.content ?? '';
+        usage = chunk.usage || usage;
+    }
+    if (!done) {
+        throw new Error('Stream ended before the response was done');
+    }
+    return { choices: [{ message: { role: 'assistant', content } }], usage };
+}
+
+// Talks to servers with an OpenAI-compatible API: llama.cpp server, vLLM, LM Studio and others
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - API base including /v1, e.g. http://localhost:8080/v1
+     * @param {string} [options.apiKey] - Sent as a bearer token when set
+     */
+    constructor({ baseUrl, apiKey }) {
+        if (!baseUrl) {
+            throw new Error('OPENAI_BASE_URL environment variable is required for the openai provider');
+        }
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    }
+
+    /**
+     * Send chat messages to a model
+     * @param {string} model - Model name
+     * @param {Array<{role: string, content: string}>} messages - Chat messages
+     * @param {Object} [options] - Ollama-style options, translated where the API has an equivalent
+     * @returns {Promise<{content: string, promptTokens: number, outputTokens: number, retries: number}>} Reply
+     */
+    async chat(model, messages, options = {}) {
+        const { format, stream = false, ...modelOptions } = options;
+        const body = { model, messages, stream };
+        for (const [name, value] of Object.entries(modelOptions)) {
+            if (OPTION_FIELDS[name] && value !== undefined && !Number.isNaN(value)) {
+                body[OPTION_FIELDS[name]] = value;
+            }
+        }
+        if (format === 'json') {
+            body.response_format = { type: 'json_object' };
+        }
+        if (stream) {
+            body.stream_options = { include_usage: true };
+        }
+
+        const { data, retries } = await requestJson(`${this.baseUrl}/chat/completions`, {
+            body,
+            headers: this.headers,
+            readStream: stream ? readChatStream : undefined
+        });
+        return {
+            content: data?.choices?.[0]?.message?.content,
+            promptTokens: data?.usage?.prompt_tokens || 0,
+            outputTokens: data?.usage?.completion_tokens || 0,
+            retries
+        };
+    }
+
+    /**
+     * Get embedding vectors
+     * @param {string} model - Embedding model name
+     * @param {Array<string>} inputs - Texts
+     * @returns {Promise<{embeddings: Array<Array<number>>, promptTokens: number, retries: number}>} One vector per input
+     */
+    async embed(model, inputs) {
+        const { data, retries } = await requestJson(`${this.baseUrl}/embeddings`, {
+            body: { model, input: inputs },
+            headers: this.headers
+        });
+        const embeddings = Array.isArray(data?.data)
+            ? [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding)
+            : null;
+        return { embeddings, promptTokens: data?.usage?.prompt_tokens || 0, retries };
+    }
+
+    /**
+     * List the models the server offers
+     * @returns {Promise<Array<string>>} Model ids
+     */
+    async listModels() {
+        const { data } = await requestJson(`${this.baseUrl}/models`, { headers: this.headers });
+        return (data.data || []).map(entry => entry.id);
+    }
+}
+
+export default OpenAIProvider;
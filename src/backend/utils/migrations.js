@@ -0,0 +1,117 @@
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('migrations');
+
+// Directory holding numbered migration files (e.g. 001_initial_schema.js)
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+
+// Advisory lock key so two processes never migrate at the same time
+const MIGRATION_LOCK_KEY = 7412001;
+
+/**
+ * Load migration modules sorted by version
+ * @returns {Promise<Array<{version: number, name: string, up: Function}>>}
+ */
+async function loadMigrations() {
+    const files = (await readdir(MIGRATIONS_DIR))
+        .filter(file => /^\d+_[a-z0-9_]+\.js$/.test(file))
+        .sort();
+
+    const migrations = [];
+    for (const file of files) {
+        const [, version, name] = file.match(/^(\d+)_([a-z0-9_]+)\.js$/);
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+        if (typeof module.up !== 'function') {
+            throw new Error(`Migration ${file} does not export an up() function`);
+        }
+        migrations.push({ version: Number(version), name, up: module.up });
+    }
+    return migrations;
+}
+
+/**
+ * Create the migrations bookkeeping table
+ * @param {import('pg').PoolClient} client - Database client
+ */
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version integer primary key,
+            name text not null,
+            applied_at timestamptz not null default now()
+        )`);
+}
+
+/**
+ * Get applied and pending migrations
+ * @param {import('pg').Pool} pool - Database pool
+ * @returns {Promise<Array<{version: number, name: string, appliedAt: Date|null}>>}
+ */
+async function getMigrationStatus(pool) {
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+        const applied = new Map(result.rows.map(row => [row.version, row.applied_at]));
+        const migrations = await loadMigrations();
+        return migrations.map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: applied.get(version) || null
+        }));
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @param {import('pg').Pool} pool - Database pool
+ * @returns {Promise<Array<string>>} Names of the applied migrations
+ */
+async function runMigrations(pool) {
+    const client = await pool.connect();
+    const appliedNow = [];
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await ensureMigrationsTable(client);
+
+        const result = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(result.rows.map(row => row.version));
+        const pending = (await loadMigrations()).filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+            try {
+                await client.query('BEGIN');
+                logger.info(`Applying migration ${label}`);
+                await migration.up(client);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+                appliedNow.push(label);
+            } catch (error) {
+                await client.query('ROLLBACK');
+                logger.error(`Migration ${label} failed:`, error);
+                throw error;
+            }
+        }
+
+        if (appliedNow.length) {
+            logger.info(`Applied ${appliedNow.length} migrations`);
+        } else {
+            logger.debug('Database schema is up to date');
+        }
+        return appliedNow;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        client.release();
+    }
+}
+
+export { runMigrations, getMigrationStatus };
@@ -0,0 +1,159 @@
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { formatDate } from './dates.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Templates shipped with the app
+const BUILTIN_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+// Prompt set names double as directory names
+const PROMPT_SET_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Directories searched for templates, most specific first
+ * @param {string|null} set - Prompt set of a source
+ * @returns {Array<{dir: string, fromSet: boolean}>} Directories and whether they belong to the set
+ */
+function searchDirs(set) {
+    const roots = [process.env.PROMPTS_DIR, BUILTIN_DIR].filter(Boolean);
+    return [
+        ...(set ? roots.map(root => ({ dir: join(root, set), fromSet: true })) : []),
+        ...roots.map(dir => ({ dir, fromSet: false }))
+    ];
+}
+
+/**
+ * Validate a prompt set name
+ * @param {string|null} set - Prompt set, null for the default templates
+ * @returns {string|null} Prompt set
+ */
+export function parsePromptSet(set) {
+    if (set === null || set === undefined || set === '' || set === 'default') return null;
+    if (!PROMPT_SET_PATTERN.test(set)) {
+        throw new Error(`Invalid prompt set: ${set} (letters, digits, - and _ only)`);
+    }
+    return set;
+}
+
+/**
+ * Parse a template file: a header between --- lines with version and description,
+ * then [system] and [user] sections
+ * @param {string} text - File content
+ * @param {string} file - File it came from, for error messages
+ * @returns {{version: string, description: string, system: string, user: string}} Parsed template
+ */
+export function parseTemplate(text, file) {
+    const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+    if (!match) {
+        throw new Error(`Invalid prompt template ${file}: missing --- header`);
+    }
+
+    const header = Object.fromEntries(match[1].split('\n')
+        .map(line => line.match(/^(\w+):\s*(.*)$/))
+        .filter(Boolean)
+        .map(([, key, value]) => [key, value.trim()]));
+    if (!header.version) {
+        throw new Error(`Invalid prompt template ${file}: header needs a version`);
+    }
+
+    const sections = {};
+    let current = null;
+    for (const line of match[2].split('\n')) {
+        const section = line.match(/^\[(system|user)\]\s*$/);
+        if (section) {
+            current = section[1];
+            sections[current] = [];
+        } else if (current) {
+            sections[current].push(line);
+        }
+    }
+    if (!sections.user) {
+        throw new Error(`Invalid prompt template ${file}: missing [user] section`);
+    }
+
+    return {
+        version: header.version,
+        description: header.description || '',
+        system: sections.system ? sections.system.join('\n').trim() : '',
+        user: sections.user.join('\n').trim()
+    };
+}
+
+/**
+ * Load a named template, preferring the source's prompt set and PROMPTS_DIR over built-ins
+ * @param {string} name - Template name, e.g. summary
+ * @param {Object} [options]
+ * @param {string|null} [options.set] - Prompt set of the source
+ * @returns {{name: string, version: string, id: string, description: string, system: string, user: string, file: string}}
+ *   Template; id is name@version, or name@version+set when a set's file is used
+ */
+export function loadPrompt(name, { set = null } = {}) {
+    const promptSet = parsePromptSet(set);
+    for (const { dir, fromSet } of searchDirs(promptSet)) {
+        const file = join(dir, `${name}.txt`);
+        if (!existsSync(file)) continue;
+
+        const template = parseTemplate(readFileSync(file, 'utf8'), file);
+        return {
+            name,
+            ...template,
+            id: `${name}@${template.version}${fromSet ? `+${promptSet}` : ''}`,
+            file
+        };
+    }
+    throw new Error(`Prompt template not found: ${name}`);
+}
+
+/**
+ * Replace {{variable}} placeholders
+ * @param {string} text - Template section
+ * @param {Object} variables - Values by name; null and undefined give an empty string
+ * @param {string} name - Template name, for error messages
+ * @returns {string} Filled-in text
+ */
+function substitute(text, variables, name) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, variable) => {
+        if (!(variable in variables)) {
+            throw new Error(`Prompt ${name} uses unknown variable {{${variable}}}`);
+        }
+        const value = variables[variable];
+        if (value instanceof Date) return formatDate(value);
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+/**
+ * Render a template into chat messages
+ * @param {string} name - Template name
+ * @param {Object} variables - Values such as title, source, date and content
+ * @param {Object} [options] - See loadPrompt
+ * @returns {{messages: Array<{role: string, content: string}>, version: string}} Messages and the template id to store
+ */
+export function renderPrompt(name, variables, options = {}) {
+    const template = loadPrompt(name, options);
+    const messages = [];
+    if (template.system) {
+        messages.push({ role: 'system', content: substitute(template.system, variables, name) });
+    }
+    messages.push({ role: 'user', content: substitute(template.user, variables, name) });
+    return { messages, version: template.id };
+}
+
+/**
+ * List templates by name with the file that wins for the default set
+ * @returns {Array<Object>} Templates as returned by loadPrompt
+ */
+export function listPrompts() {
+    const names = new Set();
+    for (const { dir } of searchDirs(null)) {
+        if (!existsSync(dir)) continue;
+        for (const file of readdirSync(dir)) {
+            if (file.endsWith('.txt')) names.add(file.slice(0, -4));
+        }
+    }
+    return [...names].sort().map(name => loadPrompt(name));
+}
@@ -0,0 +1,31 @@
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 when either vector is empty)
+ */
+export function cosineSimilarity(a, b) {
+    if (!a?.length || a.length !== b?.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (!normA || !normB) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Add a vector to a running mean
+ * @param {Array<number>} centroid - Current mean vector
+ * @param {number} count - Number of vectors already in the mean
+ * @param {Array<number>} vector - Vector to add
+ * @returns {Array<number>} New mean vector
+ */
+export function addToCentroid(centroid, count, vector) {
+    if (!centroid?.length || !count) return [...vector];
+    return centroid.map((value, i) => value + (vector[i] - value) / (count + 1));
+}
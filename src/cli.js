@@ -0,0 +1,99 @@
+import { parseArgs } from 'node:util';
+import { createLogger } from './backend/utils/logger.js';
+import { pool, initializeDatabase } from './backend/utils/dbCon.js';
+import { sourcesCommands } from './backend/cli/sources.js';
+import { migrateCommands } from './backend/cli/migrate.js';
+import { articlesCommands } from './backend/cli/articles.js';
+import { summariesCommands } from './backend/cli/summaries.js';
+import { topicsCommands } from './backend/cli/topics.js';
+import { compareCommands } from './backend/cli/compare.js';
+import { retentionCommands } from './backend/cli/retention.js';
+import { scrapeCommands } from './backend/cli/scrape.js';
+import { modelsCommands } from './backend/cli/models.js';
+import { promptsCommands } from './backend/cli/prompts.js';
+import { entitiesCommands } from './backend/cli/entities.js';
+
+const logger = createLogger('cli');
+
+// Command groups available as `node src/cli.js <group> <action>`
+const commandGroups = {
+    sources: sourcesCommands,
+    migrate: migrateCommands,
+    articles: articlesCommands,
+    summaries: summariesCommands,
+    entities: entitiesCommands,
+    topics: topicsCommands,
+    compare: compareCommands,
+    retention: retentionCommands,
+    scrape: scrapeCommands,
+    models: modelsCommands,
+    prompts: promptsCommands
+};
+
+// Options shared by all commands
+const optionDefinitions = {
+    url: { type: 'string' },
+    interval: { type: 'string' },
+    notes: { type: 'string' },
+    policy: { type: 'string' },
+    source: { type: 'string' },
+    author: { type: 'string' },
+    tag: { type: 'string' },
+    entity: { type: 'string' },
+    type: { type: 'string' },
+    limit: { type: 'string' },
+    force: { type: 'boolean' },
+    topic: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    retention: { type: 'string' },
+    converter: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    status: { type: 'string' },
+    pull: { type: 'boolean' },
+    provider: { type: 'string' },
+    prompts: { type: 'string' },
+    outdated: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Print usage for every command group
+function printUsage() {
+    console.log('Usage: node src/cli.js <command> [options]\n');
+    for (const group of Object.values(commandGroups)) {
+        for (const line of group.usage) {
+            console.log(`  ${line}`);
+        }
+    }
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        options: optionDefinitions,
+        allowPositionals: true
+    });
+    const [groupName, action, ...args] = positionals;
+    const group = commandGroups[groupName];
+
+    // Show help for unknown commands
+    if (options.help || !group || !action || action === 'usage' || typeof group[action] !== 'function') {
+        printUsage();
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+
+    // Bring the schema up to date unless migrations are being managed by hand
+    if (groupName !== 'migrate') {
+        await initializeDatabase();
+    }
+    await group[action](args, options);
+}
+
+try {
+    await main();
+} catch (error) {
+    logger.error(`Command failed: ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
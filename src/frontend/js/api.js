@@ -0,0 +1,27 @@
+/**
+ * Fetch JSON from the read API
+ * @param {string} path - API path including query string
+ * @returns {Promise<Object>} Response body
+ */
+export async function fetchJson(path) {
+    const response = await fetch(path, { headers: { Accept: 'application/json' } });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error?.message || `Request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Build a query string, skipping empty values
+ * @param {Object} params - Query parameters
+ * @returns {string} Query string starting with ? (or empty)
+ */
+export function toQuery(params) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    }
+    const text = query.toString();
+    return text ? `?${text}` : '';
+}
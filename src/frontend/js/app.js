@@ -0,0 +1,236 @@
+import { fetchJson, toQuery } from './api.js';
+import { escapeHtml, renderMarkdown } from './markdown.js';
+
+// Articles per page in the river and source views
+const PER_PAGE = 30;
+
+const app = document.getElementById('app');
+
+/**
+ * Render a list of article cards
+ * @param {Array<Object>} articles - Article summaries from the API
+ * @returns {string} HTML
+ */
+function articleCards(articles) {
+    return articles.map(article => `
+        <article class="bg-white border border-slate-200 rounded-lg p-4 flex gap-4">
+            ${article.lead_image_url && /^https?:\/\//i.test(article.lead_image_url)
+                ? `<img src="${escapeHtml(article.lead_image_url)}" alt="" loading="lazy" class="w-28 h-20 object-cover rounded hidden sm:block">`
+                : ''}
+            <div class="min-w-0">
+                <div class="text-xs text-slate-500 mb-1">
+                    <a href="#/sources/${article.source.id}" class="font-medium hover:underline">${escapeHtml(article.source.name || 'Unknown source')}</a>
+                    · ${escapeHtml(article.date || '')}
+                    ${article.topic_id ? ` · <a href="#/topics/${article.topic_id}" class="hover:underline">topic</a>` : ''}
+                </div>
+                <h2 class="font-semibold leading-snug">
+                    <a href="#/articles/${article.id}" class="hover:underline">${escapeHtml(article.headline || article.title)}</a>
+                </h2>
+                ${article.summary || article.description
+                    ? `<p class="text-sm text-slate-600 mt-1 line-clamp-3">${escapeHtml(article.summary || article.description)}</p>`
+                    : ''}
+            </div>
+        </article>`).join('');
+}
+
+/**
+ * Render a paginated article river with a load more button
+ * @param {string} heading - Page heading HTML
+ * @param {Object} filters - /articles query filters
+ */
+async function renderArticleList(heading, filters) {
+    app.innerHTML = `${heading}<div id="articles" class="space-y-3"></div><div id="more" class="mt-6 text-center"></div>`;
+    const list = document.getElementById('articles');
+    const more = document.getElementById('more');
+
+    let page = 1;
+    const loadPage = async () => {
+        more.innerHTML = '<span class="text-sm text-slate-500">Loading…</span>';
+        const { data, meta } = await fetchJson(`/articles${toQuery({ ...filters, page, per_page: PER_PAGE })}`);
+        list.insertAdjacentHTML('beforeend', articleCards(data));
+        if (!meta.total) {
+            more.innerHTML = '<p class="text-slate-500">No articles yet.</p>';
+        } else if (page < meta.total_pages) {
+            more.innerHTML = '<button class="px-4 py-2 bg-slate-800 text-white rounded text-sm">Load more</button>';
+            more.querySelector('button').addEventListener('click', () => {
+                page++;
+                loadPage().catch(showError);
+            });
+        } else {
+            more.innerHTML = '';
+        }
+    };
+    await loadPage();
+}
+
+// #/ - every source, newest first
+async function riverView() {
+    await renderArticleList('<h1 class="text-2xl font-semibold mb-4">Latest</h1>', {});
+}
+
+// #/sources/:id
+async function sourceView(id) {
+    const { data: sources } = await fetchJson('/sources');
+    const source = sources.find(candidate => String(candidate.id) === id);
+    if (!source) throw new Error(`Source ${id} not found`);
+
+    const heading = `
+        <div class="mb-4">
+            <h1 class="text-2xl font-semibold">${escapeHtml(source.name || source.url)}</h1>
+            <p class="text-sm text-slate-500">${escapeHtml(source.url)}${source.enabled ? '' : ' · disabled'}</p>
+        </div>`;
+    await renderArticleList(heading, { source: id });
+}
+
+// #/topics
+async function topicsView() {
+    const { data: topics } = await fetchJson(`/topics${toQuery({ min_sources: 2, per_page: 100 })}`);
+    app.innerHTML = `
+        <h1 class="text-2xl font-semibold mb-1">Topics</h1>
+        <p class="text-sm text-slate-500 mb-4">Stories covered by at least two outlets</p>
+        <div class="grid gap-3 md:grid-cols-2">
+            ${topics.map(topic => `
+                <a href="#/topics/${topic.id}" class="block bg-white border border-slate-200 rounded-lg p-4 hover:border-slate-400">
+                    <h2 class="font-semibold">${escapeHtml(topic.name)}</h2>
+                    ${topic.description ? `<p class="text-sm text-slate-600 mt-1">${escapeHtml(topic.description)}</p>` : ''}
+                    <p class="text-xs text-slate-500 mt-2">${topic.source_count} outlets · ${topic.article_count} articles · ${escapeHtml(topic.last_updated || '')}</p>
+                </a>`).join('') || '<p class="text-slate-500">No topics yet.</p>'}
+        </div>`;
+}
+
+/**
+ * Render the comparison report of a topic
+ * @param {Object|null} comparison - Comparison from the API
+ * @returns {string} HTML
+ */
+function comparisonPanel(comparison) {
+    if (!comparison) return '';
+    const framing = comparison.framing || [];
+    const uniqueFacts = comparison.unique_facts || [];
+    const sharedFacts = comparison.shared_facts || [];
+
+    return `
+        <section class="bg-white border border-slate-200 rounded-lg p-4 mb-6">
+            <h2 class="font-semibold mb-2">How outlets compare</h2>
+            ${comparison.overview ? `<p class="mb-3">${escapeHtml(comparison.overview)}</p>` : ''}
+            ${framing.length ? `
+                <h3 class="text-sm font-semibold text-slate-700 mt-3">Framing</h3>
+                <ul class="text-sm space-y-1 mt-1">
+                    ${framing.map(entry => `<li><span class="font-medium">${escapeHtml(entry.source)}:</span> ${escapeHtml(entry.framing)}${entry.emphasis ? ` <span class="text-slate-500">(${escapeHtml(entry.emphasis)})</span>` : ''}</li>`).join('')}
+                </ul>` : ''}
+            ${uniqueFacts.length ? `
+                <h3 class="text-sm font-semibold text-slate-700 mt-3">Only reported by</h3>
+                <ul class="text-sm space-y-1 mt-1">
+                    ${uniqueFacts.map(entry => `<li><span class="font-medium">${escapeHtml(entry.source)}:</span> ${(entry.facts || []).map(escapeHtml).join('; ')}</li>`).join('')}
+                </ul>` : ''}
+            ${sharedFacts.length ? `
+                <h3 class="text-sm font-semibold text-slate-700 mt-3">Reported by everyone</h3>
+                <ul class="list-disc ml-5 text-sm mt-1">${sharedFacts.map(fact => `<li>${escapeHtml(fact)}</li>`).join('')}</ul>` : ''}
+            <p class="text-xs text-slate-400 mt-3">Generated ${escapeHtml(comparison.generated_at || '')} by ${escapeHtml(comparison.model || '')}</p>
+        </section>`;
+}
+
+// #/topics/:id - outlets side by side
+async function topicView(id) {
+    const { data: topic } = await fetchJson(`/topics/${encodeURIComponent(id)}`);
+
+    // Group articles by outlet, one column each
+    const outlets = new Map();
+    for (const article of topic.articles) {
+        const key = article.source.id;
+        if (!outlets.has(key)) outlets.set(key, { source: article.source, articles: [] });
+        outlets.get(key).articles.push(article);
+    }
+
+    app.innerHTML = `
+        <h1 class="text-2xl font-semibold">${escapeHtml(topic.name)}</h1>
+        ${topic.description ? `<p class="text-slate-600 mt-1">${escapeHtml(topic.description)}</p>` : ''}
+        <p class="text-xs text-slate-500 mt-1 mb-4">${topic.source_count} outlets · ${topic.article_count} articles</p>
+        ${comparisonPanel(topic.comparison)}
+        <div class="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+            ${[...outlets.values()].map(outlet => `
+                <section>
+                    <h2 class="font-semibold mb-2"><a href="#/sources/${outlet.source.id}" class="hover:underline">${escapeHtml(outlet.source.name || 'Unknown source')}</a></h2>
+                    <div class="space-y-3">${articleCards(outlet.articles)}</div>
+                </section>`).join('')}
+        </div>`;
+}
+
+// #/articles/:id - reader
+async function articleView(id) {
+    const { data: article } = await fetchJson(`/articles/${encodeURIComponent(id)}`);
+    const meta = [
+        `<a href="#/sources/${article.source.id}" class="font-medium hover:underline">${escapeHtml(article.source.name || 'Unknown source')}</a>`,
+        escapeHtml(article.date || ''),
+        article.authors.length ? `By ${article.authors.map(escapeHtml).join(', ')}` : '',
+        article.topic ? `<a href="#/topics/${article.topic.id}" class="hover:underline">${escapeHtml(article.topic.name)}</a>` : ''
+    ].filter(Boolean).join(' · ');
+
+    app.innerHTML = `
+        <article class="max-w-3xl mx-auto bg-white border border-slate-200 rounded-lg p-6">
+            <p class="text-sm text-slate-500 mb-2">${meta}</p>
+            <h1 class="text-3xl font-semibold leading-tight">${escapeHtml(article.headline || article.title)}</h1>
+            ${article.headline && article.headline !== article.title
+                ? `<p class="text-slate-500 mt-1">${escapeHtml(article.title)}</p>`
+                : ''}
+            ${article.summary ? `
+                <aside class="bg-slate-50 border border-slate-200 rounded p-4 my-6">
+                    <h2 class="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1">Summary</h2>
+                    <p>${escapeHtml(article.summary)}</p>
+                </aside>` : ''}
+            <div class="text-slate-800">
+                ${article.content ? renderMarkdown(article.content) : '<p class="text-slate-500 my-6">The article has not been processed yet.</p>'}
+            </div>
+            <p class="mt-6 pt-4 border-t border-slate-200 text-sm">
+                ${/^https?:\/\//i.test(article.url)
+                    ? `<a href="${escapeHtml(article.url)}" class="text-blue-700 underline" rel="noopener noreferrer" target="_blank">Read the original</a>`
+                    : ''}
+            </p>
+            ${article.tags.length ? `<p class="mt-3 flex flex-wrap gap-2">${article.tags.map(tag => `<span class="text-xs bg-slate-100 rounded px-2 py-1">${escapeHtml(tag)}</span>`).join('')}</p>` : ''}
+        </article>`;
+}
+
+/**
+ * Show an error in place of the current view
+ * @param {Error} error - Failure
+ */
+function showError(error) {
+    app.innerHTML = `<p class="bg-red-50 border border-red-200 text-red-800 rounded p-4">${escapeHtml(error.message)}</p>`;
+}
+
+// Hash routes: pattern and view
+const routes = [
+    { pattern: /^\/?$/, view: riverView },
+    { pattern: /^\/sources\/(\d+)$/, view: sourceView },
+    { pattern: /^\/topics$/, view: topicsView },
+    { pattern: /^\/topics\/(\d+)$/, view: topicView },
+    { pattern: /^\/articles\/(\d+)$/, view: articleView }
+];
+
+// Render the view matching the current hash
+async function route() {
+    const path = location.hash.replace(/^#/, '') || '/';
+    const match = routes.map(({ pattern, view }) => ({ view, match: path.match(pattern) })).find(entry => entry.match);
+
+    app.innerHTML = '<p class="text-slate-500">Loading…</p>';
+    window.scrollTo(0, 0);
+    try {
+        if (!match) throw new Error('Page not found');
+        await match.view(...match.match.slice(1));
+    } catch (error) {
+        showError(error);
+    }
+}
+
+// Fill the source links in the header
+async function renderSourceNav() {
+    const { data: sources } = await fetchJson('/sources');
+    document.getElementById('source-nav').innerHTML = sources
+        .filter(source => source.enabled)
+        .map(source => `<a href="#/sources/${source.id}" class="text-slate-500 hover:text-slate-900">${escapeHtml(source.name || source.url)}</a>`)
+        .join('');
+}
+
+window.addEventListener('hashchange', route);
+route();
+renderSourceNav().catch(error => console.error('Failed to load sources', error));
@@ -0,0 +1,119 @@
+/**
+ * Escape text for use inside HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Only allow http(s) links and images
+ * @param {string} url - Escaped URL from markdown
+ * @returns {string|null} URL or null when unsafe
+ */
+function safeUrl(url) {
+    return /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * Render inline markdown (images, links, code, bold, italics) on escaped text
+ * @param {string} text - Escaped text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+    // Generated tags are held aside so emphasis rules never touch URLs or attributes
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+    return text
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code class="bg-slate-100 px-1 rounded">${code}</code>`))
+        // Backslash-escaped punctuation such as \* or 1\. is shown as the character itself
+        .replace(/\\(&(?:amp|lt|gt|quot|#39);|[\\`*_[\]{}()#+\-.!|~])/g, (match, char) => hold(char))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (match, alt, url) => safeUrl(url)
+            ? hold(`<img src="${url}" alt="${alt}" class="my-4 rounded max-w-full">`)
+            : alt)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (match, label, url) => safeUrl(url)
+            ? `${hold(`<a href="${url}" class="text-blue-700 underline" rel="noopener noreferrer" target="_blank">`)}${label}${hold('</a>')}`
+            : label)
+        .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+}
+
+/**
+ * Render markdown to HTML; raw HTML in the input is escaped, never rendered
+ * @param {string} markdown - Markdown text
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown) {
+    const lines = escapeHtml(markdown).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    // Close the open paragraph or list
+    const flush = () => {
+        if (paragraph.length) {
+            html.push(`<p class="my-4 leading-relaxed">${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+        if (list) {
+            const tag = list.ordered ? 'ol' : 'ul';
+            const style = list.ordered ? 'list-decimal' : 'list-disc';
+            html.push(`<${tag} class="${style} ml-6 my-4 space-y-1">${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code block
+        if (/^```/.test(line)) {
+            flush();
+            const code = [];
+            while (++i < lines.length && !/^```/.test(lines[i])) code.push(lines[i]);
+            html.push(`<pre class="bg-slate-100 p-3 rounded overflow-x-auto my-4"><code>${code.join('\n')}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^&gt;\s?(.*)$/);
+
+        if (!line.trim()) {
+            flush();
+        } else if (heading) {
+            flush();
+            const level = Math.min(heading[1].length + 1, 6);
+            html.push(`<h${level} class="font-semibold mt-6 mb-2 ${level <= 2 ? 'text-2xl' : 'text-xl'}">${renderInline(heading[2])}</h${level}>`);
+        } else if (/^(-{3,}|\*{3,}|_{3,})$/.test(line.trim())) {
+            flush();
+            html.push('<hr class="my-6 border-slate-200">');
+        } else if (bullet || numbered) {
+            const ordered = Boolean(numbered);
+            if (paragraph.length || (list && list.ordered !== ordered)) flush();
+            list = list || { ordered, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (quote) {
+            flush();
+            html.push(`<blockquote class="border-l-4 border-slate-300 pl-4 italic text-slate-700 my-4">${renderInline(quote[1])}</blockquote>`);
+        } else if (list && /^\s+/.test(line)) {
+            // Continuation of a list item
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+        } else {
+            if (list) flush();
+            paragraph.push(line.trim());
+        }
+    }
+    flush();
+    return html.join('\n');
+}
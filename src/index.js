@@ -1,49 +1,134 @@
 import rssReader from './backend/modules/articles/rssReader.js';
 import articlesScraper from './backend/modules/articles/articlesScrape.js';
+import articlesSummarizer from './backend/modules/articles/articlesSummarize.js';
+import entityExtractor from './backend/modules/articles/articlesEntities.js';
+import articlesEmbedder from './backend/modules/articles/articlesEmbed.js';
+import topicClusterer from './backend/modules/topics/topicsCluster.js';
+import storyComparer from './backend/modules/topics/storyCompare.js';
+import retentionJob from './backend/modules/maintenance/retention.js';
+import workerRuns from './backend/modules/maintenance/workerRuns.js';
 import { createLogger } from './backend/utils/logger.js';
 import { initializeDatabase } from './backend/utils/dbCon.js';
+import sourceRegistry from './backend/modules/sources/sourceRegistry.js';
+import { startApiServer } from './backend/api/server.js';
+import { checkModels, configuredModels, getStats, resetStats } from './backend/utils/llm.js';
 
 const logger = createLogger('worker');
 
-// Feed URLs
-const feedUrls = [
-    'https://tnc.news/feed/',
-    'https://www.cbc.ca/cmlink/rss-topstories'
-];
-
 // Sleep function (returns a promise that resolves after ms milliseconds)
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// Bounds of the sleep between worker cycles; within them the worker wakes when the next source is due
+const MIN_SLEEP_MS = 60 * 1000;
+const MAX_SLEEP_MS = 60 * 60 * 1000;
+
+/**
+ * Milliseconds until the next source is due for polling, kept within MIN_SLEEP_MS and MAX_SLEEP_MS
+ * @returns {Promise<number>} Sleep time
+ */
+async function nextSleepMs() {
+    try {
+        const nextPoll = await sourceRegistry.getNextPollTime();
+        if (!nextPoll) return MAX_SLEEP_MS;
+        return Math.min(MAX_SLEEP_MS, Math.max(MIN_SLEEP_MS, nextPoll.getTime() - Date.now()));
+    } catch (error) {
+        logger.error(`Could not get the next poll time: ${error.message}`);
+        return MAX_SLEEP_MS;
+    }
+}
+
 async function feedWorker() {
+    let runId = null;
+    const stats = {};
+    resetStats();
     try {
         logger.info('Starting RSS feed worker');
-        
-        // Initialize database
-        await initializeDatabase();
-        logger.info('Database initialized');
+        runId = await workerRuns.start();
 
-        // Initialize and run RSS reader
-        await rssReader.initialize(feedUrls);
-        await rssReader.processFeedSources();
-        
-        logger.info('Feed processing completed');
+        // Poll registered sources that are due
+        const dueSources = await sourceRegistry.getDueSources();
+        stats.sourcesPolled = dueSources.length;
+        if (dueSources.length) {
+            await rssReader.initialize(dueSources);
+            stats.feeds = await rssReader.processFeedSources();
+            logger.info('Feed processing completed');
+        } else {
+            logger.info('No sources due for polling');
+        }
 
         // Process articles content
-        await articlesScraper.processAllTables();
+        await articlesScraper.processAllArticles();
         logger.info('Article processing completed');
+
+        // Summarize new or changed content
+        stats.summaries = await articlesSummarizer.processPending();
+
+        // Extract the people, organizations and places each article names
+        stats.entities = await entityExtractor.processPending();
+
+        // Embed articles and group them into topics
+        stats.embeddings = await articlesEmbedder.processPending();
+        await topicClusterer.processPending();
+
+        // Compare how outlets covered shared stories
+        stats.comparisons = await storyComparer.processPending();
+
+        // Prune old articles and run history
+        const retention = await retentionJob.run();
+        stats.retention = { articles: retention.articles, topics: retention.topics, runs: retention.runs, urls: retention.urls };
+
+        stats.llm = getStats();
+        await workerRuns.finish(runId, { stats });
     } catch (error) {
         logger.error('Worker failed:', error.message);
+        stats.llm = getStats();
+        if (runId) {
+            await workerRuns.finish(runId, { stats, error }).catch(finishError => {
+                logger.error('Failed to record worker run:', finishError.message);
+            });
+        }
     }
 }
 
-// Run worker in a loop with 60-minute intervals
+// Run worker in a loop, sleeping until the next source is due (at most 60 minutes)
 async function runWorkerLoop() {
+    // A missing model is reported once at startup instead of failing every article
+    try {
+        const models = await checkModels(configuredModels());
+        const ready = models.filter(entry => entry.status !== 'missing').map(entry => `${entry.provider}/${entry.model}`);
+        logger.info(`LLM models available: ${ready.join(', ') || 'none'}`);
+    } catch (error) {
+        logger.error(`Could not check LLM models: ${error.message}`);
+    }
+
+    // Without sources every cycle skips polling, so say how to add one
+    try {
+        const sources = await sourceRegistry.listSources();
+        if (!sources.some(source => source.enabled)) {
+            logger.warn('No enabled feed sources; add one with: node src/cli.js sources add <feed url>');
+        }
+    } catch (error) {
+        logger.error(`Could not list sources: ${error.message}`);
+    }
+
     while (true) {
         await feedWorker();
-        logger.info('Worker sleeping for 60 minutes...');
-        await sleep(60 * 60 * 1000); // 60 minutes in milliseconds
+        const sleepMs = await nextSleepMs();
+        logger.info(`Worker sleeping for ${Math.round(sleepMs / 60000)} minutes...`);
+        await sleep(sleepMs);
     }
 }
 
-// Start the worker loop
+// Apply migrations once, then start the read API alongside the worker loop
+try {
+    await initializeDatabase();
+    logger.info('Database initialized');
+} catch (error) {
+    // The container restarts the process until the database is reachable
+    logger.error(`Failed to initialize database: ${error.message}`);
+    process.exit(1);
+}
+startApiServer().catch(error => {
+    logger.error('Failed to start API server:', error);
+});
 runWorkerLoop();
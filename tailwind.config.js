@@ -0,0 +1,9 @@
+/** @type {import('tailwindcss').Config} */
+export default {
+    // Class names are written out in full in the page and the rendering modules
+    content: ['./src/frontend/index.html', './src/frontend/js/**/*.js'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApiServer } from '../src/backend/api/server.js';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+import { pool } from '../src/backend/utils/dbCon.js';
+import sourceRegistry from '../src/backend/modules/sources/sourceRegistry.js';
+
+// Requests rejected while parsing parameters never reach the database, so these run offline
+describe('API parameter parsing', () => {
+    let server;
+    let baseUrl;
+    before(async () => {
+        server = await startApiServer({ port: 0, host: '127.0.0.1' });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const get = async (path, options) => {
+        const response = await fetch(`${baseUrl}${path}`, options);
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('rejects dates that are malformed or do not exist', async () => {
+        for (const [query, name] of [['from=2024-02-31', 'from'], ['to=2023-02-29', 'to'], ['from=2024-13-01', 'from'], ['to=20240101', 'to']]) {
+            const { status, body } = await get(`/articles?${query}`);
+            assert.equal(status, 400, query);
+            assert.equal(body.error.message, `${name} must be a date in YYYY-MM-DD format`);
+        }
+    });
+
+    it('rejects ids and page numbers that are not positive integers', async () => {
+        for (const path of ['/articles/abc', '/articles/0', '/topics/1.5', '/articles?page=0', '/articles?per_page=-1', '/topics?min_sources=two', '/articles?source=1e3',
+            '/articles/99999999999999999999', '/topics?page=99999999999999999999']) {
+            const { status, body } = await get(path);
+            assert.equal(status, 400, path);
+            assert.match(body.error.message, /must be a positive integer$/);
+        }
+    });
+
+    it('answers unknown paths with 404 and other methods with 405', async () => {
+        assert.equal((await get('/api/nothing')).status, 404);
+        const response = await fetch(`${baseUrl}/articles`, { method: 'POST' });
+        assert.equal(response.status, 405);
+        assert.equal(response.headers.get('allow'), 'GET');
+    });
+
+    it('serves the frontend and answers malformed or escaping file paths with 404', async () => {
+        const page = await fetch(`${baseUrl}/`);
+        assert.equal(page.status, 200);
+        assert.match(page.headers.get('content-type'), /^text\/html/);
+        assert.match(await page.text(), /href="\/css\/app.css"/);
+        const styles = await fetch(`${baseUrl}/css/app.css`);
+        assert.equal(styles.status, 200);
+        assert.match(styles.headers.get('content-type'), /^text\/css/);
+        await styles.text();
+
+        for (const path of ['/%E0%A4%A', '/%', '/..%2fpackage.json', '/missing.js']) {
+            assert.equal((await get(path)).status, 404, path);
+        }
+    });
+});
+
+describe('API responses', DATABASE_SUITE, () => {
+    let server;
+    let baseUrl;
+    let sources;
+    let articles;
+    let topicId;
+    before(async () => {
+        await resetDatabase();
+        server = await startApiServer({ port: 0, host: '127.0.0.1' });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        sources = [
+            await sourceRegistry.addSource({ url: 'https://example.com/api-one' }),
+            await sourceRegistry.addSource({ url: 'https://example.com/api-two' })
+        ];
+        topicId = (await pool.query("INSERT INTO news_topics (topic_name, last_article_at) VALUES ('Budget', now()) RETURNING id")).rows[0].id;
+        articles = [];
+        for (const [index, [source, date, topic]] of [[0, '2024-12-15', topicId], [1, '2024-12-16', topicId], [0, '2024-12-17', null]].entries()) {
+            articles.push(await insertArticle(sources[source].id, {
+                url: `https://example.com/api/${index}`,
+                title: `Article ${index}`,
+                content: `# Article ${index}`,
+                date_added: date,
+                topic_id: topic
+            }));
+        }
+    });
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await pool.end();
+    });
+
+    const get = async path => (await fetch(`${baseUrl}${path}`)).json();
+
+    it('lists sources and pages through articles, newest first', async () => {
+        assert.deepEqual((await get('/sources')).data.map(source => source.url), ['https://example.com/api-one', 'https://example.com/api-two']);
+
+        const { data, meta } = await get('/articles?per_page=2&page=2');
+        assert.deepEqual(meta, { page: 2, per_page: 2, total: 3, total_pages: 2 });
+        assert.deepEqual(data.map(article => [article.title, article.date]), [['Article 0', '2024-12-15']]);
+
+        const filtered = await get(`/articles?source=${sources[0].id}&from=2024-12-16`);
+        assert.deepEqual(filtered.data.map(article => article.title), ['Article 2']);
+    });
+
+    it('returns an article with its content, source and topic', async () => {
+        const { data } = await get(`/articles/${articles[1].id}`);
+        assert.equal(data.content, '# Article 1');
+        assert.deepEqual(data.source, { id: Number(sources[1].id), name: null, url: 'https://example.com/api-two' });
+        assert.deepEqual(data.topic, { id: Number(topicId), name: 'Budget' });
+
+        const missing = await fetch(`${baseUrl}/articles/999999`);
+        assert.equal(missing.status, 404);
+        await missing.json();
+    });
+
+    it('lists topics covered by enough sources and returns their articles', async () => {
+        assert.deepEqual((await get('/topics?min_sources=2')).data.map(topic => [topic.name, topic.source_count, topic.article_count]), [['Budget', 2, 2]]);
+        assert.deepEqual((await get('/topics?min_sources=3')).data, []);
+
+        const { data } = await get(`/topics/${topicId}`);
+        assert.deepEqual(data.articles.map(article => article.title).sort(), ['Article 0', 'Article 1']);
+        assert.equal(data.comparison, null);
+    });
+
+    it('answers a page past the end with no rows', async () => {
+        const { data, meta } = await get(`/articles?page=${Number.MAX_SAFE_INTEGER}&per_page=100`);
+        assert.deepEqual([data, meta.total], [[], 3]);
+        assert.deepEqual((await get(`/topics?page=${Number.MAX_SAFE_INTEGER}`)).data, []);
+    });
+
+    it('counts every article of a topic, not just the ones it returns', async () => {
+        await pool.query(`
+            INSERT INTO articles (source_id, title, url, date_added, topic_id)
+            SELECT $1, 'Budget update ' || n, 'https://example.com/api/update/' || n, '2024-12-14', $2
+            FROM generate_series(1, 250) AS n`,
+            [sources[0].id, topicId]
+        );
+        const { data } = await get(`/topics/${topicId}`);
+        assert.equal(data.articles.length, 200);
+        assert.deepEqual([data.article_count, data.source_count], [252, 2]);
+        const [listed] = (await get('/topics')).data;
+        assert.deepEqual([listed.article_count, listed.source_count], [252, 2]);
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAuthors, normalizeAuthor, parseTags, slugifyTag, findLeadImage, parseDescription } from '../src/backend/modules/articles/articleMetadata.js';
+
+describe('article metadata', () => {
+    it('splits creator lists into unique author names', () => {
+        assert.deepEqual(parseAuthors('By Jane Doe, John Roe and Ann Lee'), ['Jane Doe', 'John Roe', 'Ann Lee']);
+        assert.deepEqual(parseAuthors([{ _: 'Jane Doe' }, 'Jane Doe; Sam Poe']), ['Jane Doe', 'Sam Poe']);
+        assert.deepEqual(parseAuthors(undefined), []);
+    });
+
+    it('normalizes author names for matching', () => {
+        assert.equal(normalizeAuthor('  Jane   DOE '), 'jane doe');
+    });
+
+    it('keeps the first spelling of tags with the same slug', () => {
+        assert.deepEqual(parseTags(['Safe supply', { _: 'safe-supply' }, 'Montréal', '']), ['Safe supply', 'Montréal']);
+        assert.deepEqual(parseTags(undefined), []);
+        assert.equal(slugifyTag('  Montréal & Québec! '), 'montreal-quebec');
+    });
+
+    it('finds the lead image in enclosures, media tags or the first img', () => {
+        assert.equal(findLeadImage({ enclosure: { url: 'https://a.test/e.jpg', type: 'image/jpeg' } }), 'https://a.test/e.jpg');
+        assert.equal(findLeadImage({
+            enclosure: { url: 'https://a.test/show.mp3', type: 'audio/mpeg' },
+            mediaContent: [{ $: { url: 'https://a.test/m.jpg' } }]
+        }), 'https://a.test/m.jpg');
+        assert.equal(findLeadImage({ content: '<p>Text</p>', contentEncoded: '<img alt="" src="https://a.test/i.png">' }), 'https://a.test/i.png');
+        assert.equal(findLeadImage({ content: '<p>Text</p>' }), null);
+    });
+
+    it('keeps the description as plain text', () => {
+        assert.equal(parseDescription('<p>Council <b>voted</b> today.</p>'), 'Council voted today.');
+        assert.equal(parseDescription(''), null);
+        assert.equal(parseDescription(`<p>${'a'.repeat(3000)}</p>`).length, 2000);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeOllama } from './helpers/fakeOllama.js';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+
+// Settings read when the modules load; OLLAMA_HOST is set once the fake server runs
+Object.assign(process.env, {
+    LLM_PROVIDER: 'ollama',
+    LLM_ENTITIES_PROVIDER: '',
+    OLLAMA_ENTITY_MODEL: 'llama3.2:3b',
+    LLM_TASK_MAX_ATTEMPTS: '2',
+    LLM_TASK_RETRY_BASE_MINUTES: '30',
+    LLM_RETRIES: '0'
+});
+const { pool } = await import('../src/backend/utils/dbCon.js');
+const { default: sourceRegistry } = await import('../src/backend/modules/sources/sourceRegistry.js');
+const { default: entityExtractor, normalizeEntityName, validateEntities } = await import('../src/backend/modules/articles/articlesEntities.js');
+
+describe('normalizeEntityName', () => {
+    it('drops accents, dots in initialisms and a leading "the"', () => {
+        assert.equal(normalizeEntityName('The U.S. Senate', 'organization'), 'us senate');
+        assert.equal(normalizeEntityName('Montréal', 'location'), 'montreal');
+        assert.equal(normalizeEntityName('AT&T', 'organization'), 'at&t');
+    });
+
+    it('drops titles from people but keeps "the" in other positions', () => {
+        assert.equal(normalizeEntityName('Dr. Jane  Doe', 'person'), 'jane doe');
+        assert.equal(normalizeEntityName('Hon. Mr. Pierre Poilievre', 'person'), 'pierre poilievre');
+        assert.equal(normalizeEntityName('Bank of the West', 'organization'), 'bank of the west');
+    });
+});
+
+describe('validateEntities', () => {
+    const text = 'Councillor Susan Stevenson spoke at London City Hall. "We need help," Stevenson said. The City of London, Ontario disagreed.';
+
+    it('keeps names found in the article and drops the rest', () => {
+        const { entities, dropped } = validateEntities({
+            people: ['Susan Stevenson', 'Doug Ford'],
+            organizations: [{ name: 'City of London' }, 42],
+            locations: ['Toronto']
+        }, text);
+
+        assert.deepEqual(entities.map(entity => [entity.type, entity.name]), [
+            ['person', 'Susan Stevenson'],
+            ['organization', 'City of London']
+        ]);
+        assert.equal(dropped, 3);
+    });
+
+    it('merges a surname-only speaker into the full name and keeps the quote', () => {
+        const { entities } = validateEntities({
+            people: ['Susan Stevenson', 'Stevenson'],
+            quotes: [{ speaker: 'Stevenson', quote: ' We need  help, ' }]
+        }, text);
+
+        assert.deepEqual(entities, [{
+            type: 'person', name: 'Susan Stevenson', normalized: 'susan stevenson', quoted: true, quotes: ['We need help,']
+        }]);
+    });
+
+    it('rejects replies without any of the expected lists', () => {
+        assert.throws(() => validateEntities([], text), /not an object/);
+        assert.throws(() => validateEntities({ names: [] }, text), /has none of people, organizations, locations, quotes/);
+    });
+});
+
+describe('entity extraction queue', DATABASE_SUITE, () => {
+    let fake;
+    let source;
+    before(async () => {
+        // Articles titled "Broken ..." get a reply that is not JSON
+        fake = await startFakeOllama({
+            chat: request => (/Broken/.test(request.messages.at(-1).content)
+                ? 'I found some people.'
+                : JSON.stringify({ people: ['Susan Stevenson'], organizations: [], locations: [], quotes: [] }))
+        });
+        process.env.OLLAMA_HOST = fake.url;
+        await resetDatabase();
+        source = await sourceRegistry.addSource({ url: 'https://example.com/entities' });
+    });
+    beforeEach(async () => {
+        await pool.query('DELETE FROM articles');
+    });
+    after(async () => {
+        await fake.close();
+        await pool.end();
+    });
+
+    const article = (title, daysAgo) => insertArticle(source.id, {
+        url: `https://example.com/${encodeURIComponent(title)}`,
+        title,
+        content: `${title}: Susan Stevenson spoke to council.`,
+        date_added: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000)
+    });
+    const pendingTitles = async options => (await entityExtractor.getPendingArticles(options)).map(row => row.title);
+
+    it('backs off articles whose reply fails and keeps extracting the others', async () => {
+        const broken = await article('Broken newest', 0);
+        await article('Older', 2);
+        assert.deepEqual(await pendingTitles({ limit: 10 }), ['Older', 'Broken newest']);
+
+        assert.deepEqual(await entityExtractor.processPending({ limit: 10 }), { processed: 1, failed: 1 });
+        const failed = async () => (await pool.query('SELECT * FROM articles WHERE id = $1', [broken.id])).rows[0];
+        assert.equal((await failed()).entities_attempts, 1);
+        assert.match((await failed()).entities_last_error, /not valid JSON/);
+        assert.deepEqual(await pendingTitles({ limit: 10 }), []);
+
+        await pool.query('UPDATE articles SET entities_next_attempt_at = now() WHERE id = $1', [broken.id]);
+        await entityExtractor.processPending({ limit: 10 });
+        assert.equal((await failed()).entities_attempts, 2);
+        assert.equal((await failed()).entities_next_attempt_at, null);
+        assert.deepEqual(await pendingTitles({ limit: 10 }), []);
+        assert.deepEqual(await pendingTitles({ limit: 10, force: true }), ['Broken newest', 'Older']);
+
+        // Fixed content is read again and clears the failure
+        await pool.query("UPDATE articles SET title = 'Fixed', content = 'Fixed: Susan Stevenson spoke.' WHERE id = $1", [broken.id]);
+        assert.deepEqual(await entityExtractor.processPending({ limit: 10 }), { processed: 1, failed: 0 });
+        assert.deepEqual([(await failed()).entities_attempts, (await failed()).entities_failed_hash], [0, null]);
+        const linked = await pool.query('SELECT count(*) AS entities FROM article_entities WHERE article_id = $1', [broken.id]);
+        assert.equal(Number(linked.rows[0].entities), 1);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+import { pool } from '../src/backend/utils/dbCon.js';
+import sourceRegistry from '../src/backend/modules/sources/sourceRegistry.js';
+import articlesSearch from '../src/backend/modules/articles/articlesSearch.js';
+
+describe('article search', () => {
+    it('rejects an empty query', async () => {
+        await assert.rejects(articlesSearch.search('  '), /Search query must not be empty/);
+    });
+});
+
+describe('article search queries', DATABASE_SUITE, () => {
+    let sources;
+    before(async () => {
+        await resetDatabase();
+        sources = [
+            await sourceRegistry.addSource({ url: 'https://example.com/search-one' }),
+            await sourceRegistry.addSource({ url: 'https://example.com/search-two' })
+        ];
+        const articles = [
+            [0, 'Council passes budget', 'The city council passed the budget after a long debate about property taxes.'],
+            [0, 'Transit strike ends', 'Bus drivers returned to work after the council approved a new contract.'],
+            [1, 'Budget cuts to libraries', 'Libraries will close on Sundays after the provincial budget cut their funding.'],
+            [1, 'Hockey final tonight', 'The final game of the series starts at seven.']
+        ];
+        for (const [index, [source, title, content]] of articles.entries()) {
+            await insertArticle(sources[source].id, { url: `https://example.com/search/${index}`, title, content });
+        }
+    });
+    after(async () => {
+        await pool.end();
+    });
+
+    const titles = async (query, options) => (await articlesSearch.search(query, options)).results.map(result => result.title);
+
+    it('ranks title matches first and counts every match', async () => {
+        const { total, results } = await articlesSearch.search('budget', { limit: 1 });
+        assert.equal(total, 2);
+        assert.equal(results.length, 1);
+        assert.match(results[0].title_highlight, /<mark>[Bb]udget<\/mark>/);
+        assert.match(results[0].snippet, /<mark>budget<\/mark>/);
+    });
+
+    it('supports phrases, or and excluded words', async () => {
+        assert.deepEqual(await titles('"property taxes"'), ['Council passes budget']);
+        assert.deepEqual((await titles('hockey or strike')).sort(), ['Hockey final tonight', 'Transit strike ends']);
+        assert.deepEqual(await titles('council -budget'), ['Transit strike ends']);
+        assert.deepEqual(await titles('referendum'), []);
+    });
+
+    it('filters by source and uses custom highlight markers', async () => {
+        const { results } = await articlesSearch.search('budget', { sourceId: sources[1].id, highlight: { start: '[', stop: ']' } });
+        assert.deepEqual(results.map(result => result.title), ['Budget cuts to libraries']);
+        assert.match(results[0].title_highlight, /\[Budget\] cuts/);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeOllama } from './helpers/fakeOllama.js';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+
+// Settings read when the modules load; OLLAMA_HOST is set once the fake server runs
+Object.assign(process.env, {
+    LLM_PROVIDER: 'ollama',
+    LLM_EMBEDDINGS_PROVIDER: '',
+    OLLAMA_EMBED_MODEL: 'nomic-embed-text',
+    SEMANTIC_SEARCH_MODE: 'app',
+    LLM_RETRIES: '0'
+});
+const { pool } = await import('../src/backend/utils/dbCon.js');
+const { default: sourceRegistry } = await import('../src/backend/modules/sources/sourceRegistry.js');
+const { default: articlesEmbedder } = await import('../src/backend/modules/articles/articlesEmbed.js');
+const { default: semanticSearch } = await import('../src/backend/modules/articles/articlesSimilar.js');
+
+describe('semantic search', DATABASE_SUITE, () => {
+    // The fake embeds texts by hashing their words, so shared words make articles similar
+    let fake;
+    let sources;
+    const articles = {};
+    before(async () => {
+        fake = await startFakeOllama();
+        process.env.OLLAMA_HOST = fake.url;
+        await resetDatabase();
+        sources = [
+            await sourceRegistry.addSource({ url: 'https://example.com/similar-one' }),
+            await sourceRegistry.addSource({ url: 'https://example.com/similar-two' })
+        ];
+        for (const [key, source, title, content] of [
+            ['budget', 0, 'Council budget vote', 'Council votes on the city budget and property taxes.'],
+            ['budgetOther', 1, 'City budget approved by council', 'Council approves the city budget and property taxes.'],
+            ['hockey', 1, 'Hockey final tonight', 'The hockey final starts at seven in the arena.']
+        ]) {
+            articles[key] = await insertArticle(sources[source].id, { url: `https://example.com/similar/${key}`, title, content });
+        }
+        await articlesEmbedder.processPending();
+    });
+    after(async () => {
+        await fake.close();
+        await pool.end();
+    });
+
+    const titles = matches => matches.map(match => match.title);
+
+    it('finds articles about the same thing across sources, without the article itself', async () => {
+        const matches = await semanticSearch.similarToArticle(articles.budget.id, { limit: 1 });
+        assert.deepEqual(titles(matches), ['City budget approved by council']);
+        assert.ok(matches[0].similarity > 0.5, `similarity ${matches[0].similarity}`);
+    });
+
+    it('ranks free text, drops weak matches and filters by source', async () => {
+        assert.deepEqual(titles(await semanticSearch.searchText('hockey final arena', { minSimilarity: 0.5 })), ['Hockey final tonight']);
+        assert.deepEqual(titles(await semanticSearch.searchText('council budget', { sourceId: sources[0].id })), ['Council budget vote']);
+        await assert.rejects(semanticSearch.searchText(' '), /Search text must not be empty/);
+    });
+
+    it('ignores embeddings made by another model', async () => {
+        await pool.query("UPDATE article_embeddings SET model = 'old-model' WHERE article_id = $1", [articles.hockey.id]);
+        assert.ok(!titles(await semanticSearch.searchText('hockey final arena')).includes('Hockey final tonight'));
+        await assert.rejects(semanticSearch.similarToArticle(articles.hockey.id), /has no nomic-embed-text embedding yet/);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, splitHtml, stitchMarkdown } from '../src/backend/modules/articles/contentChunks.js';
+
+const paragraph = words => `<p>${'word '.repeat(words).trim()}</p>`;
+
+describe('splitHtml', () => {
+    it('keeps HTML that fits the budget in one chunk', () => {
+        const html = `${paragraph(10)}\n${paragraph(10)}`;
+        assert.deepEqual(splitHtml(html, 1000), [html]);
+    });
+
+    it('packs whole blocks into chunks within the budget, in order', () => {
+        const blocks = Array.from({ length: 6 }, (_, index) => `<p>Paragraph ${index} ${'text '.repeat(40)}</p>`);
+        const chunks = splitHtml(blocks.join('\n'), 150);
+
+        assert.ok(chunks.length > 1);
+        for (const chunk of chunks) {
+            assert.ok(estimateTokens(chunk) <= 150, `chunk of ${estimateTokens(chunk)} tokens`);
+        }
+        assert.equal(chunks.join('\n'), blocks.join('\n'));
+    });
+
+    it('splits a long list between items and wraps every part in the list', () => {
+        const items = Array.from({ length: 30 }, (_, index) => `<li>Item ${index} ${'text '.repeat(10)}</li>`);
+        const chunks = splitHtml(`<ul>${items.join('')}</ul>`, 100);
+
+        assert.ok(chunks.length > 1);
+        for (const chunk of chunks) {
+            assert.match(chunk, /^<ul><li>[\s\S]*<\/li><\/ul>$/);
+        }
+        assert.equal(chunks.join('').match(/<li>/g).length, 30);
+    });
+
+    it('splits a long paragraph on sentence ends', () => {
+        const sentences = Array.from({ length: 20 }, (_, index) => `Sentence number ${index} says something about the council.`);
+        const chunks = splitHtml(`<p>${sentences.join(' ')}</p>`, 60);
+
+        assert.ok(chunks.length > 1);
+        for (const chunk of chunks) {
+            assert.match(chunk, /^<p>Sentence number \d+ [\s\S]*<\/p>$/);
+        }
+    });
+
+    it('keeps an element whose own tags fill the budget whole instead of looping', () => {
+        const link = `<a href="https://example.com/?u=${'b'.repeat(2500)}">x</a>`;
+        const chunks = splitHtml(`<p>${'word '.repeat(600)}${link}</p>`, 819);
+
+        assert.ok(chunks.length > 1);
+        assert.equal(chunks.filter(chunk => chunk.includes(link)).length, 1);
+        const inside = chunks.map(chunk => chunk.replace(/^<p>/, '').replace(/<\/p>$/, '')).join('');
+        assert.equal(inside, `${'word '.repeat(600)}${link}`);
+    });
+
+    it('does not drop an oversized element without children', () => {
+        const image = `<img src="https://example.com/${'i'.repeat(600)}.jpg" alt="Council chamber">`;
+        const chunks = splitHtml(`${paragraph(50)}<figure>${image}<figcaption>Council chamber</figcaption></figure>${paragraph(50)}`, 100);
+
+        assert.equal(chunks.filter(chunk => chunk.includes(image)).length, 1);
+        assert.ok(chunks.some(chunk => chunk.includes('<figcaption>Council chamber</figcaption>')));
+    });
+});
+
+describe('stitchMarkdown', () => {
+    it('joins chunks with paragraph breaks', () => {
+        assert.equal(stitchMarkdown(['# Title\n\nFirst.', 'Second.\n\nThird.']), '# Title\n\nFirst.\n\nSecond.\n\nThird.');
+    });
+
+    it('drops a paragraph the model repeated at the start of the next chunk', () => {
+        assert.equal(stitchMarkdown(['First.\n\n**Second** part.', 'Second part\n\nThird.']), 'First.\n\n**Second** part.\n\nThird.');
+    });
+});
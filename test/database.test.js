@@ -0,0 +1,180 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'node:fs';
+import { loadManifest, serveFixtures } from './helpers/fixtures.js';
+import { DATABASE_SUITE, TEST_SCHEMA, resetDatabase } from './helpers/database.js';
+import { pool } from '../src/backend/utils/dbCon.js';
+import rssReader from '../src/backend/modules/articles/rssReader.js';
+import sourceRegistry from '../src/backend/modules/sources/sourceRegistry.js';
+import articlesQuery from '../src/backend/modules/articles/articlesQuery.js';
+import { up as createInitialSchema } from '../src/backend/migrations/001_initial_schema.js';
+import { up as unifyArticles } from '../src/backend/migrations/002_unified_articles.js';
+import { up as seedSources } from '../src/backend/migrations/022_seed_sources.js';
+
+describe('feed storage', DATABASE_SUITE, () => {
+    let server;
+    before(async () => {
+        server = await serveFixtures();
+        await resetDatabase();
+    });
+    after(async () => {
+        await server.close();
+        await pool.end();
+    });
+
+    it('applies every migration to an empty schema', async () => {
+        const files = readdirSync(new URL('../src/backend/migrations/', import.meta.url)).filter(file => /^\d+_.*\.js$/.test(file));
+        const result = await pool.query('SELECT count(*) AS applied FROM schema_migrations');
+        assert.equal(Number(result.rows[0].applied), files.length);
+    });
+
+    it('moves every legacy per-source table into articles, including orphaned ones', async () => {
+        // Built in a scratch schema inside a transaction that is rolled back
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(`CREATE SCHEMA ${TEST_SCHEMA}_legacy`);
+            await client.query(`SET LOCAL search_path = ${TEST_SCHEMA}_legacy`);
+            await client.query(`
+                CREATE TABLE sources (
+                    id bigint primary key generated always as identity,
+                    url text not null unique,
+                    channel_name text not null unique,
+                    articles_table text not null unique
+                )`);
+            await createInitialSchema(client);
+            await client.query(`
+                INSERT INTO sources (url, channel_name, articles_table) VALUES
+                    ('https://news.test/rss', 'News Title', 'articles_news_title'),
+                    ('https://www.other.test/feed', 'Новости', 'articles_')`);
+
+            const legacyTable = async (table, urls) => {
+                await client.query(`
+                    CREATE TABLE ${table} (
+                        id bigint primary key generated always as identity,
+                        title text not null,
+                        url text not null unique,
+                        content text,
+                        summary text,
+                        date_added date not null,
+                        scrape_check integer,
+                        topic_id bigint references news_topics (id)
+                    )`);
+                for (const url of urls) {
+                    await client.query(`INSERT INTO ${table} (title, url, date_added) VALUES ($1, $1, current_date)`, [url]);
+                }
+            };
+            await legacyTable('articles_news_title', ['https://news.test/a']);
+            await legacyTable('articles_old_news_title', ['https://news.test/a', 'https://news.test/old']);
+            await legacyTable('articles_', ['https://other.test/b']);
+            await legacyTable('articles_unknown', ['https://elsewhere.test/c']);
+
+            await unifyArticles(client);
+            const articles = await client.query('SELECT source_id, url FROM articles ORDER BY url');
+            assert.deepEqual(articles.rows.map(row => [Number(row.source_id), row.url]), [
+                [1, 'https://news.test/a'],
+                [1, 'https://news.test/old'],
+                [2, 'https://other.test/b']
+            ]);
+            const left = await client.query("SELECT tablename FROM pg_tables WHERE schemaname = current_schema() AND tablename LIKE 'articles\\_%'");
+            assert.deepEqual(left.rows.map(row => row.tablename), ['articles_unknown'], 'unmatched tables are kept');
+        } finally {
+            await client.query('ROLLBACK');
+            client.release();
+        }
+    });
+
+    it('seeds the original feeds only when no source is registered', async () => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(`CREATE SCHEMA ${TEST_SCHEMA}_seed`);
+            await client.query(`SET LOCAL search_path = ${TEST_SCHEMA}_seed`);
+            await createInitialSchema(client);
+            const urls = async () => (await client.query('SELECT url FROM sources ORDER BY id')).rows.map(row => row.url);
+
+            await seedSources(client);
+            assert.deepEqual(await urls(), ['https://tnc.news/feed/', 'https://www.cbc.ca/cmlink/rss-topstories']);
+
+            await client.query('DELETE FROM sources');
+            await client.query("INSERT INTO sources (url) VALUES ('https://example.com/own-feed')");
+            await seedSources(client);
+            assert.deepEqual(await urls(), ['https://example.com/own-feed']);
+        } finally {
+            await client.query('ROLLBACK');
+            client.release();
+        }
+    });
+
+    it('stores replayed feeds with their authors and tags', async () => {
+        for (const fixture of loadManifest().feeds) {
+            const source = await sourceRegistry.addSource({ url: fixture.url });
+            const feedData = await rssReader.pullAndParseFeed({ ...source, url: `${server.baseUrl}/${fixture.file}` });
+            await rssReader.storeFeedSource(feedData);
+            // A second poll of the same feed updates rows instead of adding them
+            await rssReader.storeFeedSource(feedData);
+
+            const stored = await pool.query('SELECT count(*) AS articles FROM articles WHERE source_id = $1', [source.id]);
+            assert.equal(Number(stored.rows[0].articles), feedData.articles.length, fixture.name);
+        }
+
+        const sources = await sourceRegistry.listSources();
+        assert.deepEqual(sources.map(source => source.channel_name), ['True North', 'CBC Top Stories News']);
+
+        const byAuthor = await articlesQuery.listArticles({ author: 'harrison faulkner' });
+        assert.equal(byAuthor.length, 1);
+        assert.deepEqual(byAuthor[0].authors, ['Harrison Faulkner']);
+        assert.ok(byAuthor[0].tags.includes('Safe supply'));
+
+        const coAuthored = await articlesQuery.listArticles({ author: 'Erica Johnson' });
+        assert.deepEqual(coAuthored[0].authors, ['Anis Heydari', 'Erica Johnson']);
+    });
+
+    it('scrapes short feed bodies unless the source takes feed content as is', async () => {
+        const origins = async () => {
+            const result = await pool.query(`
+                SELECT s.url AS source, a.content_origin, count(*) AS articles
+                FROM articles a JOIN sources s ON s.id = a.source_id
+                GROUP BY 1, 2 ORDER BY 1, 2`);
+            return result.rows.map(row => [row.source, row.content_origin, Number(row.articles)]);
+        };
+        assert.deepEqual(await origins(), [
+            ['https://tnc.news/feed/', 'scrape', 2],
+            ['https://www.cbc.ca/webfeed/rss/rss-topstories', 'scrape', 2]
+        ]);
+
+        // Switching the policy applies on the next poll to articles that have no content yet
+        const source = await sourceRegistry.updateSource('https://tnc.news/feed/', { contentPolicy: 'feed' });
+        const [fixture] = loadManifest().feeds;
+        await rssReader.storeFeedSource(await rssReader.pullAndParseFeed({ ...source, url: `${server.baseUrl}/${fixture.file}` }));
+        assert.deepEqual((await origins())[0], ['https://tnc.news/feed/', 'feed', 2]);
+    });
+
+    it('keeps the source when its feed changes the channel title and records each title', async () => {
+        const source = await sourceRegistry.addSource({ url: 'https://example.com/renamed' });
+        for (const title of ['Local News', 'Local News', 'Local News Daily']) {
+            await rssReader.storeFeedSource({ source: { ...source, channel_name: title }, articles: [] });
+        }
+
+        const stored = (await sourceRegistry.listSources()).filter(entry => entry.url === source.url);
+        assert.deepEqual(stored.map(entry => [entry.id, entry.channel_name]), [[source.id, 'Local News Daily']]);
+        const history = await sourceRegistry.getTitleHistory(source.id);
+        assert.deepEqual(history.map(entry => entry.title), ['Local News', 'Local News Daily']);
+        await sourceRegistry.removeSource(source.id);
+    });
+
+    it('keeps polling the other sources when one feed fails', async () => {
+        const [fixture] = loadManifest().feeds;
+        const broken = await sourceRegistry.addSource({ url: `${server.baseUrl}/feeds/missing.xml` });
+        const working = await sourceRegistry.addSource({ url: `${server.baseUrl}/${fixture.file}` });
+
+        await rssReader.initialize([broken, working]);
+        assert.deepEqual(await rssReader.processFeedSources(), { polled: 1, failed: 1 });
+
+        const sources = await sourceRegistry.listSources();
+        assert.equal(sources.find(source => source.id === working.id).channel_name, 'True North');
+        // The failed source waits for its interval like a polled one
+        const due = await sourceRegistry.getDueSources();
+        assert.ok(!due.some(source => source.id === broken.id));
+    });
+});
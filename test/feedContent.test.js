@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText, isCompleteArticle, chooseContentOrigin, getFeedBody } from '../src/backend/modules/articles/feedContent.js';
+
+// A feed body of the given length in words
+const body = words => `<p>${'Council '.repeat(words).trim()}.</p>`;
+
+describe('feed content', () => {
+    it('measures text without tags, scripts and common entities', () => {
+        assert.equal(htmlToText('<p>Tom&#8217;s&nbsp;<b>plan</b></p><script>track()</script>'), "Tom's plan");
+        assert.equal(htmlToText(null), '');
+    });
+
+    it('counts a long body as the full article', () => {
+        assert.equal(isCompleteArticle(body(200)), true);
+        assert.equal(isCompleteArticle(body(100)), false);
+        assert.equal(isCompleteArticle(''), false);
+    });
+
+    it('treats teasers and bodies equal to the description as incomplete', () => {
+        assert.equal(isCompleteArticle(`${body(200)}<p>Continue reading on our site</p>`), false);
+        assert.equal(isCompleteArticle(`<p>${'word '.repeat(200)}[…]</p>`), false);
+        assert.equal(isCompleteArticle(body(200), body(200)), false);
+    });
+
+    it('ignores the WordPress footer that full posts carry too', () => {
+        const footer = '<p>The post <a href="https://tnc.news/x">Council votes</a> appeared first on True North.</p>';
+        assert.equal(isCompleteArticle(`${body(200)}${footer}`), true);
+        assert.equal(isCompleteArticle(`${body(10)}${footer}`), false);
+    });
+
+    it('picks the content origin from the source policy', () => {
+        const full = { contentEncoded: body(200), content: '<p>Teaser</p>' };
+        const teaser = { contentEncoded: body(20), content: '<p>Teaser</p>' };
+
+        assert.equal(chooseContentOrigin('both', full), 'feed');
+        assert.equal(chooseContentOrigin('both', teaser), 'scrape');
+        assert.equal(chooseContentOrigin('scrape', full), 'scrape');
+        assert.equal(chooseContentOrigin('feed', teaser), 'feed');
+        assert.equal(chooseContentOrigin('feed', {}), 'scrape');
+    });
+
+    it('falls back to the description for the feed body', () => {
+        assert.equal(getFeedBody({ contentEncoded: '<p>Body</p>', content: '<p>Teaser</p>' }), '<p>Body</p>');
+        assert.equal(getFeedBody({ content: '<p>Teaser</p>' }), '<p>Teaser</p>');
+        assert.equal(getFeedBody({}), null);
+    });
+});
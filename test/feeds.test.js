@@ -0,0 +1,30 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadManifest, serveFixtures, parseFeedFixture, assertGolden } from './helpers/fixtures.js';
+
+describe('rssReader.pullAndParseFeed', () => {
+    let server;
+    before(async () => {
+        server = await serveFixtures();
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    for (const fixture of loadManifest().feeds) {
+        it(`parses the ${fixture.name} feed`, async () => {
+            const feedData = await parseFeedFixture(fixture, server.baseUrl);
+
+            assert.ok(feedData.articles.length > 0, 'feed has articles');
+            for (const article of feedData.articles) {
+                assert.ok(article.url, 'article has a URL');
+                assert.ok(!Number.isNaN(article.date_added.getTime()), `valid date for ${article.url}`);
+            }
+            assertGolden(`feeds/${fixture.name}`, feedData);
+        });
+    }
+
+    it('fails on a missing feed', async () => {
+        await assert.rejects(parseFeedFixture({ file: 'feeds/missing.xml', url: 'https://example.com/feed' }, server.baseUrl));
+    });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../src/frontend/js/markdown.js';
+
+// Strips the Tailwind classes so the tests read as plain HTML
+const render = markdown => renderMarkdown(markdown).replace(/ class="[^"]*"/g, '');
+
+describe('renderMarkdown', () => {
+    it('shows backslash-escaped punctuation as the character itself', () => {
+        assert.equal(render('Use \\*stars\\* and \\[x\\] \\_not\\_ emphasis'), '<p>Use *stars* and [x] _not_ emphasis</p>');
+        assert.equal(render('1\\. Not a list'), '<p>1. Not a list</p>');
+        assert.equal(render('\\# Not a heading \\> 2'), '<p># Not a heading &gt; 2</p>');
+        assert.equal(render('`keep \\*this\\*`'), '<p><code>keep \\*this\\*</code></p>');
+    });
+
+    it('escapes raw HTML and drops unsafe links', () => {
+        assert.equal(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+        assert.match(render('[x](javascript:void) [y](https://a.test/?a=1&b=2)'), /^<p>x <a href="https:\/\/a\.test\/\?a=1&amp;b=2"[^>]*>y<\/a><\/p>$/);
+    });
+
+    it('renders emphasis, code, headings, lists and quotes', () => {
+        assert.equal(render('**bold** and *it* and `co*de*`'), '<p><strong>bold</strong> and <em>it</em> and <code>co*de*</code></p>');
+        assert.equal(render('## Head\n\n- a\n- b\n\n1. one\n2. two\n\n> quote'), [
+            '<h3>Head</h3>',
+            '<ul><li>a</li><li>b</li></ul>',
+            '<ol><li>one</li><li>two</li></ol>',
+            '<blockquote>quote</blockquote>'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { pool, initializeDatabase } from '../../src/backend/utils/dbCon.js';
+
+// Only run inside the throwaway schema set up by npm run test:db, never against a real database
+export const TEST_SCHEMA = process.env.TEST_SCHEMA;
+
+// Suite options that skip database tests outside npm run test:db
+export const DATABASE_SUITE = { skip: !TEST_SCHEMA && 'run with npm run test:db' };
+
+/**
+ * Check the connection uses the throwaway schema, apply the migrations and empty every table,
+ * so each test file starts from the same state
+ */
+export async function resetDatabase() {
+    const current = await pool.query('SELECT current_schema() AS name');
+    assert.equal(current.rows[0].name, TEST_SCHEMA, 'connected to the throwaway schema');
+    await initializeDatabase();
+    const tables = await pool.query(`
+        SELECT tablename FROM pg_tables
+        WHERE schemaname = current_schema() AND tablename <> 'schema_migrations'`);
+    if (tables.rows.length) {
+        await pool.query(`TRUNCATE ${tables.rows.map(row => `"${row.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+    }
+}
+
+/**
+ * Insert an article row directly, for tests of the stages after scraping
+ * @param {number} sourceId - Source id
+ * @param {Object} columns - Article columns (url, title, content, date_added, ...)
+ * @returns {Promise<Object>} Inserted row
+ */
+export async function insertArticle(sourceId, columns) {
+    const row = { source_id: sourceId, date_added: new Date(), ...columns };
+    const names = Object.keys(row);
+    const result = await pool.query(
+        `INSERT INTO articles (${names.join(', ')}) VALUES (${names.map((name, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+        Object.values(row)
+    );
+    return result.rows[0];
+}
@@ -0,0 +1,204 @@
+import { createServer } from 'node:http';
+
+// Length of the deterministic vectors /api/embed returns by default
+const EMBEDDING_DIMENSIONS = 16;
+
+// Characters per streamed chunk of a chat reply
+const STREAM_CHUNK_LENGTH = 40;
+
+/**
+ * @typedef {Object} FakeReply
+ * @property {string} [content] - Chat reply text
+ * @property {Array<Array<number>>} [embeddings] - Embed reply vectors
+ * @property {Array<{name: string}>} [models] - Tags reply models
+ * @property {number} [delayMs] - Wait this long before answering
+ * @property {number} [status] - Answer with this HTTP status and an Ollama error body
+ * @property {string} [error] - Error message for status, or for an error line inside a stream
+ * @property {string} [body] - Send this text verbatim as the response body (malformed payloads)
+ * @property {boolean} [truncate] - End a streamed reply before its done chunk
+ * @property {boolean} [hangUp] - Close the connection without answering
+ */
+
+/**
+ * Turn text into a deterministic unit vector, so equal texts embed equally and similar ones nearby
+ * @param {string} text - Input text
+ * @returns {Array<number>} Vector
+ */
+function embedText(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const word of text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+        const hash = [...word].reduce((sum, char) => (sum * 31 + char.codePointAt(0)) % 1000003, 7);
+        vector[hash % EMBEDDING_DIMENSIONS] += 1;
+    }
+    const length = Math.hypot(...vector) || 1;
+    return vector.map(value => value / length);
+}
+
+// Answers when no reply is scripted for an endpoint
+const DEFAULT_REPLIES = {
+    '/api/chat': request => ({ content: request.messages.at(-1)?.content ?? '' }),
+    '/api/embed': request => ({ embeddings: [request.input].flat().map(embedText) }),
+    '/api/tags': (request, models) => ({ models: models.map(name => ({ name, model: name })) }),
+    '/api/pull': () => ({})
+};
+
+/**
+ * Read a request body as JSON
+ * @param {import('node:http').IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body, empty for GET
+ */
+async function readBody(request) {
+    let text = '';
+    for await (const chunk of request) text += chunk;
+    return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Start an HTTP server that answers like Ollama's /api/chat, /api/embed, /api/tags and /api/pull.
+ * Replies come from scripted queues per endpoint, then from the default handlers: chat echoes the
+ * last message, embed hashes words into vectors, tags lists the installed models and pull installs one.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.models] - Installed model names
+ * @param {function(Object): (string|FakeReply)} [options.chat] - Default chat reply for a request body
+ * @param {number} [options.latencyMs] - Delay added to every response
+ * @returns {Promise<Object>} Server with url, requests, installed models, enqueue, bodies, reset and close
+ */
+export async function startFakeOllama({ models = [], chat, latencyMs = 0 } = {}) {
+    const queues = new Map();
+    const timers = new Set();
+    const handlers = { ...DEFAULT_REPLIES };
+    if (chat) {
+        handlers['/api/chat'] = request => {
+            const reply = chat(request);
+            return typeof reply === 'string' ? { content: reply } : reply;
+        };
+    }
+
+    const fake = {
+        url: '',
+        // Every request received, in order: {path, body}
+        requests: [],
+        installed: new Set(models),
+
+        /**
+         * Script the next replies of an endpoint; each one is used once
+         * @param {string} path - Endpoint, e.g. /api/chat
+         * @param {...(FakeReply|function(Object): FakeReply)} replies - Replies, or functions of the request body
+         */
+        enqueue(path, ...replies) {
+            if (!handlers[path]) {
+                throw new Error(`Fake Ollama has no endpoint ${path}`);
+            }
+            queues.set(path, [...(queues.get(path) || []), ...replies]);
+        },
+
+        /**
+         * Forget scripted replies and recorded requests between tests
+         */
+        reset() {
+            queues.clear();
+            fake.requests.length = 0;
+            fake.installed = new Set(models);
+        },
+
+        /**
+         * Requests received by an endpoint
+         * @param {string} path - Endpoint
+         * @returns {Array<Object>} Request bodies
+         */
+        bodies(path) {
+            return fake.requests.filter(request => request.path === path).map(request => request.body);
+        }
+    };
+
+    const wait = ms => new Promise(resolve => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            resolve();
+        }, ms);
+        timers.add(timer);
+    });
+
+    const answer = (response, body, stream, reply) => {
+        if (reply.hangUp) {
+            response.socket.destroy();
+            return;
+        }
+        if (reply.body !== undefined) {
+            response.writeHead(reply.status || 200, { 'Content-Type': 'application/json' }).end(reply.body);
+            return;
+        }
+        if (reply.status) {
+            response.writeHead(reply.status, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ error: reply.error || `status ${reply.status}` }));
+            return;
+        }
+
+        const { content, ...rest } = reply;
+        if (content === undefined) {
+            response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(rest));
+            return;
+        }
+
+        const final = {
+            model: body.model,
+            created_at: new Date().toISOString(),
+            done: true,
+            done_reason: 'stop',
+            prompt_eval_count: JSON.stringify(body.messages).length >> 2,
+            eval_count: content.length >> 2
+        };
+        if (!stream) {
+            response.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ ...final, message: { role: 'assistant', content } }));
+            return;
+        }
+
+        // Ollama streams NDJSON: message pieces, then a done chunk with the counts
+        response.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        for (let start = 0; start < content.length; start += STREAM_CHUNK_LENGTH) {
+            const piece = content.slice(start, start + STREAM_CHUNK_LENGTH);
+            response.write(`${JSON.stringify({ model: body.model, message: { role: 'assistant', content: piece }, done: false })}\n`);
+        }
+        if (reply.error) {
+            response.end(`${JSON.stringify({ error: reply.error })}\n`);
+        } else if (reply.truncate) {
+            response.end();
+        } else {
+            response.end(`${JSON.stringify({ ...final, message: { role: 'assistant', content: '' } })}\n`);
+        }
+    };
+
+    const server = createServer(async (request, response) => {
+        const path = new URL(request.url, 'http://fake').pathname;
+        try {
+            const body = await readBody(request);
+            fake.requests.push({ path, body });
+            if (!handlers[path]) {
+                response.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'not found' }));
+                return;
+            }
+
+            const scripted = queues.get(path)?.shift();
+            let reply = scripted ?? handlers[path](body, [...fake.installed]);
+            if (typeof reply === 'function') reply = reply(body);
+            if (path === '/api/pull' && !reply.status) fake.installed.add(body.model);
+
+            const delay = latencyMs + (reply.delayMs || 0);
+            if (delay) await wait(delay);
+            if (response.destroyed) return;
+            answer(response, body, path === '/api/chat' && body.stream === true, reply);
+        } catch (error) {
+            response.writeHead(500, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: error.message }));
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    fake.url = `http://127.0.0.1:${server.address().port}`;
+    fake.close = () => new Promise(resolve => {
+        for (const timer of timers) clearTimeout(timer);
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return fake;
+}
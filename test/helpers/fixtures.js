@@ -0,0 +1,113 @@
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert/strict';
+import rssReader from '../../src/backend/modules/articles/rssReader.js';
+import articlesScraper from '../../src/backend/modules/articles/articlesScrape.js';
+
+// Saved feeds and pages, and the outputs they are expected to produce
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+export const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'golden');
+const MANIFEST_FILE = join(FIXTURES_DIR, 'manifest.json');
+
+// UPDATE_GOLDEN=1 rewrites golden files from the current output instead of comparing
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Read the fixture manifest
+ * @returns {{feeds: Array<{name: string, file: string, url: string}>, pages: Array<{name: string, file: string, url: string, scraper: string}>}}
+ */
+export function loadManifest() {
+    return JSON.parse(readFileSync(MANIFEST_FILE, 'utf8'));
+}
+
+/**
+ * Write the fixture manifest
+ * @param {Object} manifest - Manifest as returned by loadManifest
+ */
+export function saveManifest(manifest) {
+    writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 4)}\n`);
+}
+
+/**
+ * Read a fixture file
+ * @param {string} file - Path relative to the fixtures directory
+ * @returns {string} File content
+ */
+export function readFixture(file) {
+    return readFileSync(join(FIXTURES_DIR, file), 'utf8');
+}
+
+/**
+ * Serve the fixtures directory over HTTP so code that fetches URLs can replay them
+ * @returns {Promise<{baseUrl: string, close: function(): Promise<void>}>} Server address and a stop function
+ */
+export async function serveFixtures() {
+    const server = createServer((request, response) => {
+        const file = join(FIXTURES_DIR, decodeURIComponent(new URL(request.url, 'http://fixtures').pathname));
+        if (!file.startsWith(FIXTURES_DIR) || !existsSync(file)) {
+            response.writeHead(404).end();
+            return;
+        }
+        const type = file.endsWith('.xml') ? 'application/rss+xml' : 'text/html';
+        response.writeHead(200, { 'Content-Type': `${type}; charset=utf-8` }).end(readFileSync(file));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Parse a feed fixture through rssReader.pullAndParseFeed
+ * @param {{file: string, url: string}} fixture - Manifest entry
+ * @param {string} baseUrl - Address of serveFixtures
+ * @returns {Promise<{source: Object, articles: Array}>} Parsed feed, with the source URL of the recorded feed
+ */
+export async function parseFeedFixture(fixture, baseUrl) {
+    const feedData = await rssReader.pullAndParseFeed({ id: 1, url: `${baseUrl}/${fixture.file}` });
+    return { ...feedData, source: { ...feedData.source, url: fixture.url } };
+}
+
+/**
+ * Extract a page fixture with the scraper the worker would pick for its URL
+ * @param {{file: string, url: string}} fixture - Manifest entry
+ * @returns {{scraper: string, content: Object|null}} Scraper name and extracted content
+ */
+export function extractPageFixture(fixture) {
+    const scraper = articlesScraper.getScraperForUrl(fixture.url);
+    return {
+        scraper: scraper.name,
+        content: scraper.extractContent(readFixture(fixture.file), scraper.cleanUrl(fixture.url))
+    };
+}
+
+/**
+ * Write a golden file
+ * @param {string} name - Path below the golden directory, without .json
+ * @param {*} actual - Output to store
+ */
+export function writeGolden(name, actual) {
+    const file = join(GOLDEN_DIR, `${name}.json`);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+}
+
+/**
+ * Compare output with its golden file; dates and other values are compared in their JSON form
+ * @param {string} name - Path below the golden directory, without .json
+ * @param {*} actual - Output of the code under test
+ */
+export function assertGolden(name, actual) {
+    const file = join(GOLDEN_DIR, `${name}.json`);
+    const serialized = JSON.parse(JSON.stringify(actual));
+    if (UPDATE_GOLDEN) {
+        writeGolden(name, serialized);
+        return;
+    }
+    assert.ok(existsSync(file), `Golden file missing: ${file} (run npm run test:update to create it)`);
+    assert.deepEqual(serialized, JSON.parse(readFileSync(file, 'utf8')),
+        `Output differs from ${file}; if the change is intended, run npm run test:update and review the diff`);
+}
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFromHtml } from '../src/backend/modules/articles/htmlExtract.js';
+
+const page = `<div class="story" style="color:red" onclick="track()">
+<p>Read <a href="/report?id=1" class="btn" target="_blank">the report</a> now.</p>
+<figure><img data-src="img/chamber.jpg" src="data:image/gif;base64,R0lGOD" alt="Chamber" width="600"><figcaption>Council  chamber</figcaption></figure>
+<div class="share-tools"><a href="https://facebook.com/sharer">Share</a></div><aside>Related stories</aside><script>track()</script>
+<p><span></span></p><p>Second   paragraph.</p><a href="javascript:alert(1)">bad link</a></div>`;
+
+describe('extractFromHtml', () => {
+    const content = extractFromHtml(page, { baseUrl: 'https://a.test/news/story' });
+
+    it('removes boilerplate, scripts, empty elements and presentational attributes', () => {
+        assert.equal(content.html, [
+            '<div>',
+            '<p>Read <a href="https://a.test/report?id=1">the report</a> now.</p>',
+            '<figure><img src="https://a.test/news/img/chamber.jpg" alt="Chamber"><figcaption>Council  chamber</figcaption></figure>',
+            '<p>Second   paragraph.</p><a>bad link</a></div>'
+        ].join('\n'));
+        assert.equal(content.text, 'Read the report now. Council chamber Second paragraph. bad link');
+    });
+
+    it('resolves lazy-loaded images and relative links against the page', () => {
+        assert.deepEqual(content.images, [{ src: 'https://a.test/news/img/chamber.jpg', alt: 'Chamber', caption: 'Council chamber' }]);
+        assert.deepEqual(content.links, [{ href: 'https://a.test/report?id=1', text: 'the report' }]);
+    });
+
+    it('removes extra selectors a site definition strips', () => {
+        const { text } = extractFromHtml('<article><p>Story text.</p><p class="next-story">Next: other news</p></article>', { strip: ['.next-story'] });
+        assert.equal(text, 'Story text.');
+    });
+});
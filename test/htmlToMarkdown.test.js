@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown } from '../src/backend/modules/articles/htmlToMarkdown.js';
+
+describe('htmlToMarkdown', () => {
+    it('converts headings, emphasis and line breaks', () => {
+        assert.equal(htmlToMarkdown('<h2>Council <em>votes</em></h2><p>First   line<br>second line</p>'), '## Council _votes_\n\nFirst line  \nsecond line');
+    });
+
+    it('converts links, images and nested lists', () => {
+        assert.equal(
+            htmlToMarkdown('<p>See <a href="https://a.test/x">the <strong>report</strong></a> and <img src="https://a.test/i.jpg" alt="Chart">.</p>'),
+            'See [the **report**](https://a.test/x) and ![Chart](https://a.test/i.jpg).'
+        );
+        assert.equal(htmlToMarkdown('<ul><li>One</li><li>Two<ol><li>Nested</li></ol></li></ul>'), '- One\n- Two\n   1. Nested');
+    });
+
+    it('converts blockquotes, code and tables', () => {
+        assert.equal(htmlToMarkdown('<blockquote><p>We need help.</p><p>Now.</p></blockquote>'), '> We need help.\n>\n> Now.');
+        assert.equal(
+            htmlToMarkdown('<pre><code>let a = 1;\n  let b = 2;</code></pre><p>Inline <code>x_y</code></p>'),
+            '```\nlet a = 1;\n  let b = 2;\n```\n\nInline `x_y`'
+        );
+        assert.equal(
+            htmlToMarkdown('<table><tr><th>Name</th><th>Votes</th></tr><tr><td>Ann</td><td>5</td></tr></table>'),
+            '| Name | Votes |\n| --- | --- |\n| Ann | 5 |'
+        );
+    });
+
+    it('escapes text that would read as markdown syntax', () => {
+        assert.equal(htmlToMarkdown('<p>Use *stars* and [brackets].</p>'), 'Use \\*stars\\* and \\[brackets\\].');
+        assert.equal(htmlToMarkdown('<p>1. Not a list</p><p>- Nor this</p><p># Nor a heading</p>'), '1\\. Not a list\n\n\\- Nor this\n\n\\# Nor a heading');
+    });
+
+    it('drops scripts, forms and buttons', () => {
+        assert.equal(htmlToMarkdown('<div><script>x()</script><p>Kept</p><form><button>Share</button></form></div>'), 'Kept');
+        assert.equal(htmlToMarkdown(''), '');
+    });
+});
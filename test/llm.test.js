@@ -0,0 +1,178 @@
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeOllama } from './helpers/fakeOllama.js';
+import { htmlToMarkdown } from '../src/backend/modules/articles/htmlToMarkdown.js';
+
+// Start the fake server and point the LLM settings at it before the pipeline modules read them
+const fake = await startFakeOllama({
+    models: ['reader-lm:latest', 'llama3.2:3b'],
+    // A reader that converts perfectly: the rule-based converter applied to the prompt's HTML
+    chat: request => htmlToMarkdown(request.messages.at(-1).content)
+});
+Object.assign(process.env, {
+    LLM_PROVIDER: 'ollama',
+    LLM_MARKDOWN_PROVIDER: '',
+    LLM_EMBEDDINGS_PROVIDER: '',
+    OLLAMA_HOST: fake.url,
+    OLLAMA_HTML_READER: 'reader-lm',
+    OLLAMA_HTML_READER_NUM_CTX: '32768',
+    OLLAMA_EMBED_MODEL: 'nomic-embed-text',
+    MARKDOWN_LLM_RETRIES: '1',
+    LLM_RETRIES: '2',
+    LLM_RETRY_BASE_MS: '10',
+    LLM_TIMEOUT_MS: '500'
+});
+const { loadManifest, extractPageFixture } = await import('./helpers/fixtures.js');
+const { default: articlesScraper } = await import('../src/backend/modules/articles/articlesScrape.js');
+const { embedWithModel, checkModels, getStats, resetStats } = await import('../src/backend/utils/llm.js');
+
+const page = loadManifest().pages.find(fixture => fixture.name === 'tnc-london-councillor');
+const { content } = extractPageFixture(page);
+const variables = { title: 'London councillor pay suspended', source: 'True North', date: '2024-12-17' };
+
+describe('markdown conversion against a fake Ollama', () => {
+    after(async () => {
+        await fake.close();
+    });
+    beforeEach(() => {
+        fake.reset();
+        resetStats();
+        delete process.env.OLLAMA_HTML_READER_CHUNK_TOKENS;
+    });
+
+    it('uses streamed model output that passes the quality check', async () => {
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'llm');
+        assert.equal(result.promptVersion, 'markdown@1');
+        assert.ok(result.quality.passed);
+        const [request] = fake.bodies('/api/chat');
+        assert.equal(request.model, 'reader-lm');
+        assert.equal(request.stream, true);
+        assert.equal(request.options.num_ctx, 32768);
+    });
+
+    it('retries a conversion that fails the quality check with greedy settings', async () => {
+        fake.enqueue('/api/chat', { content: 'Sorry, I can only summarize this page.' });
+
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'llm');
+        const [first, second] = fake.bodies('/api/chat');
+        assert.equal(first.options.temperature, undefined);
+        assert.equal(second.options.temperature, 0);
+        assert.equal(second.options.repeat_penalty, 1.15);
+    });
+
+    it('falls back to the rule-based converter when every attempt fails the quality check', async () => {
+        fake.enqueue('/api/chat', { content: 'Too short.' }, { content: `<div>${content.text}</div>` });
+
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'rules');
+        assert.equal(result.promptVersion, null);
+        assert.equal(fake.bodies('/api/chat').length, 2);
+    });
+
+    it('retries server errors and dropped connections before succeeding', async () => {
+        fake.enqueue('/api/chat', { status: 503, error: 'model is loading' }, { hangUp: true });
+
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'llm');
+        assert.equal(fake.bodies('/api/chat').length, 3);
+        assert.deepEqual(
+            { requests: getStats()['ollama/reader-lm'].requests, retries: getStats()['ollama/reader-lm'].retries },
+            { requests: 1, retries: 2 }
+        );
+    });
+
+    it('gives up on the model once the retries are used up', async () => {
+        fake.enqueue('/api/chat', { status: 500 }, { status: 500 }, { status: 500 });
+
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'rules');
+        assert.equal(fake.bodies('/api/chat').length, 3);
+        assert.equal(getStats()['ollama/reader-lm'].failures, 1);
+    });
+
+    it('does not retry client errors', async () => {
+        fake.enqueue('/api/chat', { status: 404, error: 'model "reader-lm" not found' });
+
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'rules');
+        assert.equal(fake.bodies('/api/chat').length, 1);
+    });
+
+    it('falls back on malformed, failed and unfinished streams', async () => {
+        for (const reply of [
+            { body: 'this is not ndjson' },
+            { content: htmlToMarkdown(content.html), error: 'out of memory' },
+            { content: htmlToMarkdown(content.html), truncate: true }
+        ]) {
+            fake.reset();
+            fake.enqueue('/api/chat', reply);
+
+            const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+            assert.equal(result.format, 'rules', JSON.stringify(Object.keys(reply)));
+            assert.equal(fake.bodies('/api/chat').length, 1);
+        }
+    });
+
+    it('times out a model that stops answering', async () => {
+        fake.enqueue('/api/chat', { delayMs: 2000 });
+
+        const started = Date.now();
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'rules');
+        assert.ok(Date.now() - started < 2000, 'did not wait for the slow reply');
+        assert.equal(fake.bodies('/api/chat').length, 1);
+    });
+
+    it('converts large articles in chunks and stitches them together', async () => {
+        process.env.OLLAMA_HTML_READER_CHUNK_TOKENS = '150';
+
+        const result = await articlesScraper.convertToMarkdown(content, { variables });
+
+        assert.equal(result.format, 'llm');
+        const requests = fake.bodies('/api/chat');
+        assert.ok(requests.length > 1, `converted in ${requests.length} chunks`);
+        const first = result.markdown.indexOf('The City of London, Ontario, was the site');
+        const later = result.markdown.indexOf('Council voted 11 to 3 to suspend her pay');
+        assert.ok(first >= 0 && later > first, 'chunks are stitched in order');
+    });
+
+    it('does not call the model for sources using the rule-based converter', async () => {
+        const result = await articlesScraper.convertToMarkdown(content, { converter: 'rules', variables });
+
+        assert.equal(result.format, 'rules');
+        assert.equal(fake.requests.length, 0);
+    });
+
+    it('returns one embedding per input and rejects mismatched replies', async () => {
+        const vectors = await embedWithModel('embeddings', 'nomic-embed-text', ['council pay', 'council pay', 'interest rates']);
+
+        assert.equal(vectors.length, 3);
+        assert.deepEqual(vectors[0], vectors[1]);
+        assert.notDeepEqual(vectors[0], vectors[2]);
+
+        fake.enqueue('/api/embed', { embeddings: [[1, 0]] });
+        await assert.rejects(embedWithModel('embeddings', 'nomic-embed-text', ['a', 'b']), /Unexpected embeddings/);
+    });
+
+    it('reports installed, missing and pulled models', async () => {
+        const models = [
+            { provider: 'ollama', model: 'reader-lm' },
+            { provider: 'ollama', model: 'nomic-embed-text' }
+        ];
+
+        assert.deepEqual((await checkModels(models, { pull: false })).map(result => result.status), ['installed', 'missing']);
+        assert.deepEqual((await checkModels(models, { pull: true })).map(result => result.status), ['installed', 'pulled']);
+        assert.deepEqual(fake.bodies('/api/pull'), [{ model: 'nomic-embed-text', stream: false }]);
+        assert.deepEqual((await checkModels(models, { pull: false })).map(result => result.status), ['installed', 'installed']);
+    });
+});
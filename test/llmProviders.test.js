@@ -0,0 +1,115 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { taskConfig } from '../src/backend/utils/llm.js';
+import OpenAIProvider from '../src/backend/utils/llm/openaiProvider.js';
+
+// Variables taskConfig reads, restored after each test
+const TASK_ENV = ['LLM_PROVIDER', 'LLM_SUMMARY_PROVIDER', 'LLM_ENTITIES_PROVIDER', 'OLLAMA_SUMMARY_MODEL', 'OLLAMA_ENTITY_MODEL'];
+
+describe('taskConfig', () => {
+    const saved = Object.fromEntries(TASK_ENV.map(name => [name, process.env[name]]));
+    beforeEach(() => {
+        for (const name of TASK_ENV) delete process.env[name];
+    });
+    after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    it('picks the task provider, then LLM_PROVIDER, then ollama', () => {
+        process.env.OLLAMA_SUMMARY_MODEL = 'qwen2.5:7b';
+        assert.deepEqual(taskConfig('summary'), { task: 'summary', provider: 'ollama', model: 'qwen2.5:7b' });
+        process.env.LLM_PROVIDER = 'openai';
+        assert.equal(taskConfig('summary').provider, 'openai');
+        process.env.LLM_SUMMARY_PROVIDER = 'ollama';
+        assert.equal(taskConfig('summary').provider, 'ollama');
+    });
+
+    it('uses the summary model and provider for a task without its own model', () => {
+        process.env.OLLAMA_SUMMARY_MODEL = 'qwen2.5:7b';
+        process.env.LLM_SUMMARY_PROVIDER = 'openai';
+        process.env.LLM_ENTITIES_PROVIDER = 'ollama';
+        assert.deepEqual(taskConfig('entities'), { task: 'entities', provider: 'openai', model: 'qwen2.5:7b' });
+
+        process.env.OLLAMA_ENTITY_MODEL = 'llama3.2:3b';
+        assert.deepEqual(taskConfig('entities'), { task: 'entities', provider: 'ollama', model: 'llama3.2:3b' });
+    });
+
+    it('reports a task that is off and rejects unknown tasks', () => {
+        assert.equal(taskConfig('summary').model, null);
+        assert.throws(() => taskConfig('translate'), /Unknown LLM task: translate/);
+    });
+});
+
+describe('OpenAIProvider against an OpenAI-compatible server', () => {
+    // Records requests; /v1/chat/completions streams when asked, the other endpoints answer fixed JSON
+    let server;
+    let provider;
+    const requests = [];
+    before(async () => {
+        server = createServer(async (request, response) => {
+            let text = '';
+            for await (const chunk of request) text += chunk;
+            const body = text ? JSON.parse(text) : {};
+            requests.push({ path: request.url, authorization: request.headers.authorization, body });
+
+            if (request.url === '/v1/chat/completions' && body.stream) {
+                response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                for (const piece of ['Hel', 'lo']) {
+                    response.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+                }
+                response.end(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 9, completion_tokens: 2 } })}\n\ndata: [DONE]\n\n`);
+                return;
+            }
+            const replies = {
+                '/v1/chat/completions': { choices: [{ message: { content: '{"ok":true}' } }], usage: { prompt_tokens: 5, completion_tokens: 3 } },
+                '/v1/embeddings': { data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }], usage: { prompt_tokens: 4 } },
+                '/v1/models': { data: [{ id: 'qwen2.5-7b' }, { id: 'nomic-embed' }] }
+            };
+            response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(replies[request.url] || {}));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        provider = new OpenAIProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, apiKey: 'secret' });
+    });
+    beforeEach(() => {
+        requests.length = 0;
+    });
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('translates Ollama options and JSON format into request fields', async () => {
+        const reply = await provider.chat('qwen2.5-7b', [{ role: 'user', content: 'Hi' }], {
+            format: 'json', temperature: 0, num_predict: 100, num_ctx: 8192, top_p: NaN
+        });
+
+        assert.deepEqual(reply, { content: '{"ok":true}', promptTokens: 5, outputTokens: 3, retries: 0 });
+        assert.equal(requests[0].authorization, 'Bearer secret');
+        assert.deepEqual(requests[0].body, {
+            model: 'qwen2.5-7b',
+            messages: [{ role: 'user', content: 'Hi' }],
+            stream: false,
+            temperature: 0,
+            max_tokens: 100,
+            response_format: { type: 'json_object' }
+        });
+    });
+
+    it('reads a streamed reply with its usage', async () => {
+        const reply = await provider.chat('qwen2.5-7b', [{ role: 'user', content: 'Hi' }], { stream: true });
+        assert.deepEqual(reply, { content: 'Hello', promptTokens: 9, outputTokens: 2, retries: 0 });
+        assert.deepEqual(requests[0].body.stream_options, { include_usage: true });
+    });
+
+    it('returns embeddings in input order and lists models', async () => {
+        assert.deepEqual(await provider.embed('nomic-embed', ['a', 'b']), { embeddings: [[1, 0], [0, 1]], promptTokens: 4, retries: 0 });
+        assert.deepEqual(await provider.listModels(), ['qwen2.5-7b', 'nomic-embed']);
+    });
+
+    it('needs a base URL', () => {
+        assert.throws(() => new OpenAIProvider({}), /OPENAI_BASE_URL environment variable is required/);
+    });
+});
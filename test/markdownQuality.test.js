@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkMarkdown } from '../src/backend/modules/articles/markdownQuality.js';
+import { extractFromHtml } from '../src/backend/modules/articles/htmlExtract.js';
+import { htmlToMarkdown } from '../src/backend/modules/articles/htmlToMarkdown.js';
+
+const paragraphs = Array.from({ length: 5 }, (_, index) => `<p>Paragraph ${index} reports that the council voted on the budget and the mayor spoke about taxes and roads.</p>`);
+const content = extractFromHtml(
+    `<article>${paragraphs.join('')}<p>Read the <a href="https://a.test/report">full report</a>.</p><img src="https://a.test/c.jpg" alt="Chamber"></article>`,
+    { baseUrl: 'https://a.test/story' }
+);
+const faithful = htmlToMarkdown(content.html);
+
+describe('checkMarkdown', () => {
+    it('passes a faithful conversion with a full score', () => {
+        assert.deepEqual(checkMarkdown(faithful, content), { score: 1, passed: true, issues: [] });
+    });
+
+    it('flags truncated output and missing paragraphs', () => {
+        const { passed, issues } = checkMarkdown(faithful.split('\n\n').slice(0, 2).join('\n\n'), content);
+        assert.equal(passed, false);
+        assert.deepEqual(issues, ['output is 38% of the source text (truncated?)', '3 of 5 paragraphs missing']);
+    });
+
+    it('flags a model stuck repeating a line', () => {
+        const { passed, issues } = checkMarkdown(`${faithful}\n\n${'The council voted on the budget again.\n\n'.repeat(8)}`, content);
+        assert.equal(passed, false);
+        assert.match(issues.join('\n'), /one line appears 8 times/);
+    });
+
+    it('flags HTML the model did not convert and links it invented', () => {
+        assert.equal(checkMarkdown(content.html, content).score, 0);
+        const invented = checkMarkdown(faithful.replace('https://a.test/report', 'https://a.test/made-up'), content);
+        assert.deepEqual(invented.issues, ['1 of 2 link targets are not in the source, e.g. https://a.test/made-up']);
+        assert.equal(invented.score, 0.5);
+    });
+});
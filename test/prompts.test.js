@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parsePromptSet, parseTemplate, loadPrompt, renderPrompt, listPrompts } from '../src/backend/utils/prompts.js';
+
+const template = (version, user) => `---\nversion: ${version}\ndescription: Test\n---\n[system]\nBe brief.\n[user]\n${user}\n`;
+
+describe('prompt templates', () => {
+    // PROMPTS_DIR with an override of the summary template and a "local" set
+    let dir;
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'snf-prompts-'));
+        mkdirSync(join(dir, 'local'));
+        writeFileSync(join(dir, 'summary.txt'), template('7', 'Summarize {{title}} from {{source}} on {{date}}.'));
+        writeFileSync(join(dir, 'local', 'summary.txt'), template('2', 'Local summary of {{content}}.'));
+        writeFileSync(join(dir, 'broken.txt'), template('1', 'Uses {{missing}}.'));
+        process.env.PROMPTS_DIR = dir;
+    });
+    after(() => {
+        delete process.env.PROMPTS_DIR;
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('parses the header and sections of a template', () => {
+        assert.deepEqual(parseTemplate(template('3', 'Hello {{title}}'), 'a.txt'), {
+            version: '3', description: 'Test', system: 'Be brief.', user: 'Hello {{title}}'
+        });
+        assert.throws(() => parseTemplate('[user]\nHi', 'a.txt'), /a.txt: missing --- header/);
+        assert.throws(() => parseTemplate('---\ndescription: x\n---\n[user]\nHi', 'a.txt'), /header needs a version/);
+        assert.throws(() => parseTemplate('---\nversion: 1\n---\n[system]\nHi', 'a.txt'), /missing \[user\] section/);
+    });
+
+    it('validates prompt set names', () => {
+        assert.equal(parsePromptSet('default'), null);
+        assert.equal(parsePromptSet('tnc_2'), 'tnc_2');
+        assert.throws(() => parsePromptSet('../etc'), /Invalid prompt set/);
+    });
+
+    it('prefers the source set, then PROMPTS_DIR, then the built-in templates', () => {
+        assert.equal(loadPrompt('summary', { set: 'local' }).id, 'summary@2+local');
+        assert.equal(loadPrompt('summary').id, 'summary@7');
+        assert.equal(loadPrompt('compare', { set: 'local' }).id, 'compare@2');
+        assert.throws(() => loadPrompt('nothing'), /Prompt template not found: nothing/);
+    });
+
+    it('fills in variables and formats dates', () => {
+        // pg parses a date column as local midnight, which is the previous day in UTC east of Greenwich
+        const timezone = process.env.TZ;
+        process.env.TZ = 'Asia/Tokyo';
+        let rendered;
+        try {
+            rendered = renderPrompt('summary', { title: 'Vote', source: null, date: new Date(2024, 11, 17) });
+        } finally {
+            if (timezone === undefined) delete process.env.TZ;
+            else process.env.TZ = timezone;
+        }
+        const { messages, version } = rendered;
+        assert.equal(version, 'summary@7');
+        assert.deepEqual(messages, [
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'Summarize Vote from  on 2024-12-17.' }
+        ]);
+        assert.throws(() => renderPrompt('broken', {}), /Prompt broken uses unknown variable \{\{missing\}\}/);
+    });
+
+    it('lists every template name once', () => {
+        const names = listPrompts().map(prompt => prompt.name);
+        assert.deepEqual(names, ['broken', 'compare', 'entities', 'markdown', 'summary', 'topic-name']);
+    });
+});
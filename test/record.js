@@ -0,0 +1,66 @@
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import articlesScraper from '../src/backend/modules/articles/articlesScrape.js';
+import {
+    FIXTURES_DIR, loadManifest, saveManifest, serveFixtures, parseFeedFixture, extractPageFixture, writeGolden
+} from './helpers/fixtures.js';
+
+// Fixture kinds: manifest list and file extension
+const KINDS = {
+    feed: { list: 'feeds', extension: 'xml' },
+    page: { list: 'pages', extension: 'html' }
+};
+
+const USAGE = 'Usage: npm run test:record -- feed|page <name> <url>';
+
+/**
+ * Download a feed or page with the headers the worker would send
+ * @param {string} url - Feed or page URL
+ * @returns {Promise<string>} Response body
+ */
+async function download(url) {
+    const scraper = articlesScraper.getScraperForUrl(url);
+    const response = await fetch(url, { headers: scraper?.headers, signal: AbortSignal.timeout(30000) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return response.text();
+}
+
+async function main() {
+    const [kindName, name, url] = process.argv.slice(2);
+    const kind = KINDS[kindName];
+    if (!kind || !/^[a-z0-9-]+$/.test(name || '') || !url) {
+        throw new Error(USAGE);
+    }
+
+    const file = `${kind.list}/${name}.${kind.extension}`;
+    writeFileSync(join(FIXTURES_DIR, file), await download(url));
+
+    const manifest = loadManifest();
+    const fixture = { name, file, url };
+    let golden;
+    if (kindName === 'feed') {
+        const server = await serveFixtures();
+        try {
+            golden = await parseFeedFixture(fixture, server.baseUrl);
+        } finally {
+            await server.close();
+        }
+    } else {
+        golden = extractPageFixture(fixture);
+        fixture.scraper = golden.scraper;
+    }
+
+    manifest[kind.list] = [...manifest[kind.list].filter(entry => entry.name !== name), fixture];
+    saveManifest(manifest);
+    writeGolden(`${kind.list}/${name}`, JSON.parse(JSON.stringify(golden)));
+    console.log(`Recorded ${file}; review test/golden/${kind.list}/${name}.json before committing`);
+}
+
+try {
+    await main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
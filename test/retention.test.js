@@ -0,0 +1,104 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+
+// Settings read when the modules load
+Object.assign(process.env, {
+    RETENTION_ARTICLES_DAYS: '30',
+    RETENTION_EVENTS_DAYS: '90',
+    RETENTION_MODE: 'archive'
+});
+const { pool } = await import('../src/backend/utils/dbCon.js');
+const { default: sourceRegistry } = await import('../src/backend/modules/sources/sourceRegistry.js');
+const { default: rssReader } = await import('../src/backend/modules/articles/rssReader.js');
+const { default: retentionJob } = await import('../src/backend/modules/maintenance/retention.js');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('retention', DATABASE_SUITE, () => {
+    let source;
+    before(async () => {
+        await resetDatabase();
+        source = await sourceRegistry.addSource({ url: 'https://example.com/retention', contentPolicy: 'feed' });
+    });
+    beforeEach(async () => {
+        await pool.query('TRUNCATE articles, news_topics, articles_archive, pruned_urls RESTART IDENTITY CASCADE');
+        retentionJob.mode = 'archive';
+    });
+    after(async () => {
+        await pool.end();
+    });
+
+    const article = (slug, days, columns = {}) => insertArticle(source.id, {
+        url: `https://example.com/${slug}`,
+        title: slug,
+        content: `${slug} content`,
+        date_added: daysAgo(days),
+        ...columns
+    });
+    const storedUrls = async () => (await pool.query('SELECT url FROM articles ORDER BY url')).rows.map(row => row.url);
+
+    it('counts expired articles on a dry run and keeps bookmarked articles and pinned topics', async () => {
+        const pinned = await pool.query("INSERT INTO news_topics (topic_name, pinned) VALUES ('Pinned', true) RETURNING id");
+        await article('old', 40);
+        await article('recent', 5);
+        await article('bookmarked', 40, { bookmarked: true });
+        await article('in-pinned-topic', 40, { topic_id: pinned.rows[0].id });
+
+        const report = await retentionJob.run({ dryRun: true });
+        assert.deepEqual([report.articles, report.sources.map(entry => entry.expired)], [1, [1]]);
+        assert.equal((await storedUrls()).length, 4);
+
+        await pool.query('UPDATE sources SET retention_days = 0 WHERE id = $1', [source.id]);
+        assert.equal((await retentionJob.run({ dryRun: true })).articles, 0, 'retention 0 keeps articles forever');
+        await pool.query('UPDATE sources SET retention_days = NULL WHERE id = $1', [source.id]);
+    });
+
+    it('archives expired articles and does not store them again when the feed still lists them', async () => {
+        const old = await article('old', 40);
+        await article('recent', 5);
+
+        assert.equal((await retentionJob.run()).articles, 1);
+        assert.equal((await retentionJob.getArchivedArticle(old.id)).url, 'https://example.com/old');
+
+        const body = `<p>${'Council met again this week. '.repeat(20)}</p>`;
+        await rssReader.storeFeedSource({
+            source,
+            articles: ['old', 'recent', 'new'].map(slug => ({
+                url: `https://example.com/${slug}`, title: slug, date_added: slug === 'old' ? daysAgo(40) : new Date(), contentEncoded: body
+            }))
+        });
+        assert.deepEqual(await storedUrls(), ['https://example.com/new', 'https://example.com/recent']);
+        assert.equal((await retentionJob.run()).articles, 0);
+    });
+
+    it('remembers deleted articles too', async () => {
+        retentionJob.mode = 'delete';
+        await article('deleted', 40);
+
+        assert.equal((await retentionJob.run()).articles, 1);
+        assert.equal(Number((await pool.query('SELECT count(*) AS total FROM articles_archive')).rows[0].total), 0);
+
+        await rssReader.storeFeedSource({
+            source,
+            articles: [{ url: 'https://example.com/deleted', title: 'deleted', date_added: daysAgo(40), contentEncoded: '<p>Again</p>' }]
+        });
+        assert.deepEqual(await storedUrls(), []);
+    });
+
+    it('forgets pruned URLs after RETENTION_EVENTS_DAYS', async () => {
+        await pool.query(`
+            INSERT INTO pruned_urls (url, source_id, pruned_at)
+            VALUES ('https://example.com/long-gone', $1, now() - interval '100 days'),
+                   ('https://example.com/recently-pruned', $1, now() - interval '10 days')`,
+            [source.id]
+        );
+
+        assert.equal((await retentionJob.run({ dryRun: true })).urls, 1);
+        assert.equal(Number((await pool.query('SELECT count(*) AS total FROM pruned_urls')).rows[0].total), 2);
+
+        assert.equal((await retentionJob.run()).urls, 1);
+        const kept = await pool.query('SELECT url FROM pruned_urls');
+        assert.deepEqual(kept.rows.map(row => row.url), ['https://example.com/recently-pruned']);
+    });
+});
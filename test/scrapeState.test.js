@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Settings read when the module loads
+Object.assign(process.env, {
+    SCRAPE_MAX_ATTEMPTS: '3',
+    SCRAPE_RETRY_BASE_MINUTES: '30',
+    SCRAPE_RETRY_MAX_MINUTES: '100'
+});
+const { default: scrapeState, httpScrapeError, unsupportedScrapeError, PROBLEM_STATUSES } = await import('../src/backend/modules/articles/scrapeState.js');
+
+describe('scrape state', () => {
+    it('doubles the retry delay up to the maximum', () => {
+        assert.deepEqual([1, 2, 3, 4].map(attempts => scrapeState.retryDelayMinutes(attempts)), [30, 60, 100, 100]);
+    });
+
+    it('retries until the last attempt, then gives up', () => {
+        const error = new Error('socket hang up');
+        assert.equal(scrapeState.statusForFailure(error, 1), 'retry');
+        assert.equal(scrapeState.statusForFailure(error, 3), 'failed');
+    });
+
+    it('stops at once for pages that are gone or unsupported', () => {
+        assert.equal(scrapeState.statusForFailure(httpScrapeError({ status: 410 }), 1), 'gone');
+        assert.equal(scrapeState.statusForFailure(httpScrapeError({ status: 503 }), 1), 'retry');
+        assert.equal(scrapeState.statusForFailure(unsupportedScrapeError('Video page'), 1), 'unsupported');
+    });
+
+    it('filters problem articles by status, id and source', () => {
+        assert.deepEqual(scrapeState.buildFilters({}).values, [PROBLEM_STATUSES]);
+        assert.deepEqual(scrapeState.buildFilters({ ids: [4, 5], sourceId: 2, status: 'gone' }), {
+            where: 'WHERE a.content IS NULL AND a.scrape_status = ANY($1) AND a.id = ANY($2) AND a.source_id = $3',
+            values: [['gone'], [4, 5], 2]
+        });
+        assert.throws(() => scrapeState.buildFilters({ status: 'done' }), /Invalid scrape status: done/);
+    });
+
+    it('requires ids or a status to requeue', async () => {
+        await assert.rejects(scrapeState.requeue({ sourceId: 2 }), /by id or by status/);
+    });
+});
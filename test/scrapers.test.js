@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { loadManifest, extractPageFixture, assertGolden } from './helpers/fixtures.js';
+import articlesScraper from '../src/backend/modules/articles/articlesScrape.js';
+import { normalizeDefinition, matchesHost } from '../src/backend/modules/articles/scrapers/scraperDefinitions.js';
+
+describe('site scrapers', () => {
+    for (const fixture of loadManifest().pages) {
+        it(`extracts ${fixture.name} with the ${fixture.scraper} scraper`, () => {
+            const { scraper, content } = extractPageFixture(fixture);
+
+            assert.equal(scraper, fixture.scraper);
+            assert.ok(content?.text, 'content was extracted');
+            assert.doesNotMatch(content.html, /<(script|style|nav|footer)\b/i);
+            assertGolden(`pages/${fixture.name}`, { scraper, content });
+        });
+    }
+
+    it('cleans tracking parameters and fragments from URLs', () => {
+        const trueNorth = articlesScraper.getScraperForUrl('https://tnc.news/');
+        assert.equal(trueNorth.cleanUrl('https://tnc.news/2024/12/17/story/?utm_source=rss&p=2#comments'), 'https://tnc.news/2024/12/17/story/?p=2');
+        const cbc = articlesScraper.getScraperForUrl('https://www.cbc.ca/');
+        assert.equal(cbc.cleanUrl('https://www.cbc.ca/news/story-1.7406418?cmp=rss'), 'https://www.cbc.ca/news/story-1.7406418');
+    });
+
+    it('refuses page types a definition marks unsupported', async () => {
+        const cbc = articlesScraper.getScraperForUrl('https://www.cbc.ca/');
+        await assert.rejects(
+            cbc.scrape('https://www.cbc.ca/player/play/video/9.6574412', { title: 'Video' }),
+            error => error.unsupported === true
+        );
+    });
+});
+
+describe('scraper definitions', () => {
+    it('fills in defaults for optional fields', () => {
+        const definition = normalizeDefinition({ hosts: ['Example.com'], content: ['article'], unsupported: ['^/video/'] }, 'example.json');
+
+        assert.equal(definition.name, 'Example.com');
+        assert.deepEqual(definition.hosts, ['example.com']);
+        assert.deepEqual(definition.url, { removeQuery: false, removeParams: [], removeHash: true });
+        assert.ok(definition.unsupported[0].test('/VIDEO/1'));
+    });
+
+    it('names the file and field of an invalid definition', () => {
+        assert.throws(() => normalizeDefinition({ content: ['article'] }, 'a.json'), /Invalid scraper definition a.json: "hosts" must list at least one host/);
+        assert.throws(() => normalizeDefinition({ hosts: ['a.test'], content: [] }, 'a.json'), /"content" must list at least one selector/);
+        assert.throws(() => normalizeDefinition({ hosts: ['a.test'], content: ['main'], headers: [] }, 'a.json'), /"headers" must be an object/);
+    });
+
+    it('matches a host and its subdomains only', () => {
+        const definition = normalizeDefinition({ hosts: ['cbc.ca'], content: ['main'] }, 'cbc.json');
+        assert.equal(matchesHost(definition, 'www.cbc.ca'), true);
+        assert.equal(matchesHost(definition, 'cbc.ca'), true);
+        assert.equal(matchesHost(definition, 'notcbc.ca'), false);
+    });
+});
+
+describe('article content source', () => {
+    // /missing answers 404 and /empty is a page without article text; the host has no definition
+    let server;
+    let baseUrl;
+    before(async () => {
+        server = createServer((request, response) => {
+            if (request.url === '/empty') {
+                response.writeHead(200, { 'Content-Type': 'text/html' }).end('<html><body><nav><a href="/">Home</a></nav></body></html>');
+                return;
+            }
+            response.writeHead(404).end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const feedContent = '<p>Council voted to suspend the councillor\'s pay for ninety days.</p>';
+    const article = (path, policy) => ({
+        url: `${baseUrl}${path}`, title: path, feed_content: feedContent, content_origin: 'scrape', content_policy: policy
+    });
+
+    it('uses the feed body when the scrape fails or finds no text', async () => {
+        for (const path of ['/missing', '/empty']) {
+            const content = await articlesScraper.getArticleHtml(article(path, 'both'));
+            assert.equal(content.origin, 'feed', path);
+            assert.match(content.text, /suspend the councillor's pay/);
+        }
+    });
+
+    it('keeps the scrape failure when the source only allows scraping', async () => {
+        await assert.rejects(articlesScraper.getArticleHtml(article('/missing', 'scrape')), error => error.status === 404);
+        await assert.rejects(articlesScraper.getArticleHtml({ ...article('/missing', 'both'), feed_content: null }), error => error.status === 404);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { DATABASE_SUITE, resetDatabase } from './helpers/database.js';
+import { pool } from '../src/backend/utils/dbCon.js';
+import sourceRegistry from '../src/backend/modules/sources/sourceRegistry.js';
+import { sourcesCommands } from '../src/backend/cli/sources.js';
+
+describe('source validation', () => {
+    it('matches sources by id or URL', () => {
+        assert.deepEqual(sourceRegistry.matchSource(' 12 '), { clause: 'id = $1', value: 12 });
+        assert.deepEqual(sourceRegistry.matchSource('https://tnc.news/feed/'), { clause: 'url = $1', value: 'https://tnc.news/feed/' });
+    });
+
+    it('accepts only whole positive poll intervals', () => {
+        assert.equal(sourceRegistry.parseInterval('15'), 15);
+        for (const interval of ['0', '-5', '1.5', 'hourly']) {
+            assert.throws(() => sourceRegistry.parseInterval(interval), /Invalid poll interval/);
+        }
+    });
+
+    it('accepts only known content policies and converters', () => {
+        assert.equal(sourceRegistry.parsePolicy('feed'), 'feed');
+        assert.throws(() => sourceRegistry.parsePolicy('rss'), /Invalid content policy: rss \(expected feed, scrape, both\)/);
+        assert.equal(sourceRegistry.parseConverter('rules'), 'rules');
+        assert.throws(() => sourceRegistry.parseConverter('pandoc'), /Invalid markdown converter/);
+    });
+
+    it('parses retention overrides', () => {
+        assert.equal(sourceRegistry.parseRetention('0'), 0);
+        assert.equal(sourceRegistry.parseRetention('default'), null);
+        assert.equal(sourceRegistry.parseRetention(null), null);
+        assert.throws(() => sourceRegistry.parseRetention('-1'), /Invalid retention/);
+    });
+
+    it('accepts only absolute http(s) feed URLs', () => {
+        assert.equal(sourceRegistry.parseFeedUrl('HTTPS://Example.com/feed'), 'https://example.com/feed');
+        assert.throws(() => sourceRegistry.parseFeedUrl('ftp://example.com/feed'), /Unsupported feed URL protocol/);
+        assert.throws(() => sourceRegistry.parseFeedUrl('example.com/feed'), /Invalid URL/);
+    });
+});
+
+describe('sources commands', () => {
+    // Options are checked before the database is touched, so these run offline
+    it('rejects missing arguments and invalid options', async () => {
+        await assert.rejects(sourcesCommands.add([], {}), /Missing feed URL/);
+        await assert.rejects(sourcesCommands.add(['https://example.com/feed'], { interval: 'hourly' }), /Invalid poll interval/);
+        await assert.rejects(sourcesCommands.add(['https://example.com/feed'], { policy: 'rss' }), /Invalid content policy/);
+        await assert.rejects(sourcesCommands.add(['https://example.com/feed'], { prompts: '../x' }), /Invalid prompt set/);
+        await assert.rejects(sourcesCommands.update([], {}), /Missing source id or URL/);
+        await assert.rejects(sourcesCommands.update(['3'], { url: 'ftp://example.com/feed' }), /Unsupported feed URL protocol/);
+    });
+
+    it('prints usage and fails for unknown commands', () => {
+        const result = spawnSync(process.execPath, [fileURLToPath(new URL('../src/cli.js', import.meta.url)), 'sources', 'rename'], { encoding: 'utf8', timeout: 30000 });
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /Usage: node src\/cli.js <command> \[options\]/);
+        assert.match(result.stdout, /sources add <url>/);
+    });
+});
+
+describe('source registry', DATABASE_SUITE, () => {
+    before(async () => {
+        await resetDatabase();
+    });
+    after(async () => {
+        await pool.end();
+    });
+
+    it('applies defaults to new sources and keeps omitted settings when a source is added again', async () => {
+        const url = 'https://example.com/readd';
+        const created = await sourceRegistry.addSource({ url });
+        assert.deepEqual(
+            [created.poll_interval_minutes, created.content_policy, created.markdown_converter, created.retention_days],
+            [60, 'both', 'llm', null]
+        );
+
+        await sourceRegistry.addSource({ url, pollIntervalMinutes: 15, contentPolicy: 'feed', markdownConverter: 'rules', retentionDays: 7, promptSet: 'tnc', notes: 'Local' });
+        await sourceRegistry.setEnabled(url, false);
+        const readded = await sourceRegistry.addSource({ url });
+        assert.equal(readded.id, created.id);
+        assert.equal(readded.enabled, true);
+        assert.deepEqual(
+            [readded.poll_interval_minutes, readded.content_policy, readded.markdown_converter, readded.retention_days, readded.prompt_set, readded.notes],
+            [15, 'feed', 'rules', 7, 'tnc', 'Local']
+        );
+
+        const changed = await sourceRegistry.addSource({ url, contentPolicy: 'scrape', retentionDays: 'default', promptSet: 'default' });
+        assert.deepEqual([changed.poll_interval_minutes, changed.content_policy, changed.retention_days, changed.prompt_set], [15, 'scrape', null, null]);
+        await sourceRegistry.removeSource(url);
+    });
+
+    it('reports when the next source is due', async () => {
+        assert.equal(await sourceRegistry.getNextPollTime(), null);
+
+        const hourly = await sourceRegistry.addSource({ url: 'https://example.com/hourly' });
+        const frequent = await sourceRegistry.addSource({ url: 'https://example.com/frequent', pollIntervalMinutes: 10 });
+        const started = Date.now();
+        assert.ok((await sourceRegistry.getNextPollTime()).getTime() <= started + 1000, 'never polled sources are due now');
+
+        await pool.query("UPDATE sources SET last_polled_at = now() WHERE id = ANY($1)", [[hourly.id, frequent.id]]);
+        const due = (await sourceRegistry.getNextPollTime()).getTime() - Date.now();
+        assert.ok(due > 9 * 60000 && due <= 10 * 60000, `next poll in ${due} ms`);
+        assert.deepEqual(await sourceRegistry.getDueSources(), []);
+
+        // Disabled sources do not wake the worker
+        await sourceRegistry.setEnabled(frequent.id, false);
+        assert.ok((await sourceRegistry.getNextPollTime()).getTime() - Date.now() > 59 * 60000);
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeOllama } from './helpers/fakeOllama.js';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+
+// Settings read when the modules load; OLLAMA_HOST is set once the fake server runs
+Object.assign(process.env, {
+    LLM_PROVIDER: 'ollama',
+    LLM_COMPARE_PROVIDER: '',
+    OLLAMA_COMPARE_MODEL: 'llama3.2:3b',
+    LLM_TASK_MAX_ATTEMPTS: '2',
+    LLM_TASK_RETRY_BASE_MINUTES: '30',
+    LLM_RETRIES: '0'
+});
+const { pool } = await import('../src/backend/utils/dbCon.js');
+const { default: sourceRegistry } = await import('../src/backend/modules/sources/sourceRegistry.js');
+const { default: storyComparer } = await import('../src/backend/modules/topics/storyCompare.js');
+
+const hour = 60 * 60 * 1000;
+
+describe('comparison prompt', () => {
+    it('lists each outlet\'s articles with the stored calendar day', () => {
+        // pg parses a date column as local midnight, which is the previous day in UTC east of Greenwich
+        const timezone = process.env.TZ;
+        process.env.TZ = 'Asia/Tokyo';
+        try {
+            const prompt = storyComparer.buildPrompt([{
+                source_id: 3,
+                source: 'News One',
+                articles: [{ title: 'Vote', date_added: new Date(2024, 11, 17), summary: 'Council voted.', content: 'The council voted.' }]
+            }]);
+            assert.equal(prompt, '## Outlet 3: News One\n\n### Vote (2024-12-17)\nSummary: Council voted.\nThe council voted.');
+        } finally {
+            if (timezone === undefined) delete process.env.TZ;
+            else process.env.TZ = timezone;
+        }
+    });
+
+    it('keeps outlets that share a name apart by source id', () => {
+        const coverage = [{ source_id: 1, source: 'City News' }, { source_id: 2, source: 'City News' }, { source_id: 3, source: 'Herald' }];
+        const report = storyComparer.normalizeReport({
+            overview: ' Both covered it. ',
+            framing: [
+                { source_id: 2, framing: 'Cost', emphasis: '' },
+                { source_id: '1', framing: 'Vote' },
+                { source_id: 9, framing: 'Unknown outlet' },
+                { source: 'City News', framing: 'Ambiguous name' },
+                { source: 'Herald', framing: 'Unique name' }
+            ],
+            unique_facts: [{ source_id: 1, facts: ['Only here', ''] }, { source_id: 2, facts: [] }]
+        }, coverage);
+
+        assert.deepEqual(report, {
+            overview: 'Both covered it.',
+            framing: [
+                { source_id: 2, source: 'City News', framing: 'Cost', emphasis: '' },
+                { source_id: 1, source: 'City News', framing: 'Vote', emphasis: '' },
+                { source_id: 3, source: 'Herald', framing: 'Unique name', emphasis: '' }
+            ],
+            unique_facts: [{ source_id: 1, source: 'City News', facts: ['Only here'] }],
+            shared_facts: []
+        });
+    });
+});
+
+describe('story comparison queue', DATABASE_SUITE, () => {
+    let fake;
+    let sources;
+    before(async () => {
+        // Topics about a "Broken" story get a reply without a comparison in it
+        fake = await startFakeOllama({
+            chat: request => JSON.stringify(/Broken/.test(request.messages.at(-1).content)
+                ? { note: 'nothing to compare' }
+                : { overview: 'Both outlets report the vote.', framing: [], unique_facts: [], shared_facts: ['The vote passed.'] })
+        });
+        process.env.OLLAMA_HOST = fake.url;
+        await resetDatabase();
+        sources = [
+            await sourceRegistry.addSource({ url: 'https://example.com/one' }),
+            await sourceRegistry.addSource({ url: 'https://example.com/two' })
+        ];
+    });
+    beforeEach(async () => {
+        await pool.query('DELETE FROM articles');
+        await pool.query('DELETE FROM news_topics');
+    });
+    after(async () => {
+        await fake.close();
+        await pool.end();
+    });
+
+    const topic = async (name, hoursAgo) => {
+        const result = await pool.query(
+            'INSERT INTO news_topics (topic_name, last_article_at) VALUES ($1, $2) RETURNING id',
+            [name, new Date(Date.now() - hoursAgo * hour)]
+        );
+        const topicId = result.rows[0].id;
+        for (const source of sources) {
+            await insertArticle(source.id, {
+                url: `https://example.com/${source.id}/${encodeURIComponent(name)}`,
+                title: `${name} story`,
+                content: `${name} story as told by source ${source.id}.`,
+                topic_id: topicId
+            });
+        }
+        return topicId;
+    };
+    const pendingNames = async options => (await storyComparer.getPendingTopics(options)).map(row => row.topic_name);
+
+    it('takes never compared topics first, then the oldest reports', async () => {
+        const compared = await topic('Compared', 1);
+        await topic('Recent', 0);
+        await topic('Quiet', 5);
+        await pool.query(`
+            INSERT INTO story_comparisons (topic_id, report, article_ids, source_count, model)
+            VALUES ($1, '{}', '{}', 2, 'old')`, [compared]);
+
+        assert.deepEqual(await pendingNames({ limit: 10 }), ['Quiet', 'Recent', 'Compared']);
+    });
+
+    it('backs off failed topics and gives up after the last attempt', async () => {
+        const broken = await topic('Broken', 0);
+        await topic('Working', 3);
+
+        assert.deepEqual(await storyComparer.processPending({ limit: 10 }), { processed: 1, failed: 1 });
+        const failed = async () => (await pool.query('SELECT * FROM news_topics WHERE id = $1', [broken])).rows[0];
+        assert.equal((await failed()).compare_attempts, 1);
+        assert.match((await failed()).compare_last_error, /Comparison missing/);
+        assert.deepEqual(await pendingNames({ limit: 10 }), []);
+        assert.deepEqual(await pendingNames({ limit: 10, force: true }), ['Broken', 'Working']);
+
+        await pool.query('UPDATE news_topics SET compare_next_attempt_at = now() WHERE id = $1', [broken]);
+        assert.deepEqual(await storyComparer.processPending({ limit: 10 }), { processed: 0, failed: 1 });
+        assert.equal((await failed()).compare_attempts, 2);
+        assert.equal((await failed()).compare_next_attempt_at, null);
+        assert.deepEqual(await pendingNames({ limit: 10 }), []);
+
+        // A new article changes the coverage and starts a fresh count
+        await insertArticle(sources[0].id, { url: 'https://example.com/broken-update', title: 'Update', content: 'More.', topic_id: broken });
+        const [pending] = await storyComparer.getPendingTopics({ limit: 10 });
+        assert.deepEqual([pending.topic_name, pending.compare_attempts], ['Broken', 0]);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeOllama } from './helpers/fakeOllama.js';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+
+// Settings read when the modules load; OLLAMA_HOST is set once the fake server runs
+Object.assign(process.env, {
+    LLM_PROVIDER: 'ollama',
+    LLM_SUMMARY_PROVIDER: '',
+    OLLAMA_SUMMARY_MODEL: 'llama3.2:3b',
+    LLM_TASK_MAX_ATTEMPTS: '2',
+    LLM_TASK_RETRY_BASE_MINUTES: '30',
+    LLM_RETRIES: '0'
+});
+const { pool } = await import('../src/backend/utils/dbCon.js');
+const { default: sourceRegistry } = await import('../src/backend/modules/sources/sourceRegistry.js');
+const { default: articlesSummarizer } = await import('../src/backend/modules/articles/articlesSummarize.js');
+
+const day = 24 * 60 * 60 * 1000;
+
+describe('summary queue', DATABASE_SUITE, () => {
+    let source;
+    let fake;
+    before(async () => {
+        // Articles titled "Broken ..." get a reply that is not JSON
+        fake = await startFakeOllama({
+            chat: request => (/Broken/.test(request.messages.at(-1).content)
+                ? 'Here is your summary!'
+                : JSON.stringify({ headline: 'Neutral headline', summary: 'A short summary.' }))
+        });
+        process.env.OLLAMA_HOST = fake.url;
+        await resetDatabase();
+        source = await sourceRegistry.addSource({ url: 'https://example.com/summaries' });
+    });
+    beforeEach(async () => {
+        await pool.query('DELETE FROM articles');
+    });
+    after(async () => {
+        await fake.close();
+        await pool.end();
+    });
+
+    const article = (title, daysAgo) => insertArticle(source.id, {
+        url: `https://example.com/${encodeURIComponent(title)}`,
+        title,
+        content: `# ${title}\n\nBody of ${title}.`,
+        date_added: new Date(Date.now() - daysAgo * day)
+    });
+    const pendingTitles = async options => (await articlesSummarizer.getPendingArticles(options)).map(row => row.title);
+
+    it('takes never summarized articles first, oldest first', async () => {
+        await article('Newest', 0);
+        await article('Oldest', 3);
+        const summarized = await article('Changed', 5);
+        await pool.query("UPDATE articles SET summarized_at = now(), summary_content_hash = 'stale' WHERE id = $1", [summarized.id]);
+
+        assert.deepEqual(await pendingTitles({ limit: 10 }), ['Oldest', 'Newest', 'Changed']);
+    });
+
+    it('backs off failed articles so they do not block the batch', async () => {
+        const broken = await article('Broken newest', 0);
+        await article('Older', 2);
+
+        assert.deepEqual(await articlesSummarizer.processPending({ limit: 10 }), { processed: 1, failed: 1 });
+        const [row] = (await pool.query('SELECT * FROM articles WHERE id = $1', [broken.id])).rows;
+        assert.equal(row.summary_attempts, 1);
+        assert.match(row.summary_last_error, /not valid JSON/);
+        const wait = row.summary_next_attempt_at.getTime() - Date.now();
+        assert.ok(wait > 29 * 60000 && wait <= 30 * 60000, `retry in ${wait} ms`);
+
+        assert.deepEqual(await pendingTitles({ limit: 10 }), []);
+        assert.deepEqual(await pendingTitles({ limit: 10, force: true }), ['Broken newest', 'Older']);
+
+        // Due again once the retry time has passed
+        await pool.query("UPDATE articles SET summary_next_attempt_at = now() - interval '1 minute' WHERE id = $1", [broken.id]);
+        assert.deepEqual(await pendingTitles({ limit: 10 }), ['Broken newest']);
+    });
+
+    it('gives up after the last attempt until the content changes', async () => {
+        const broken = await article('Broken always', 0);
+
+        await articlesSummarizer.processPending({ limit: 10 });
+        await pool.query("UPDATE articles SET summary_next_attempt_at = now() WHERE id = $1", [broken.id]);
+        await articlesSummarizer.processPending({ limit: 10 });
+
+        const [row] = (await pool.query('SELECT * FROM articles WHERE id = $1', [broken.id])).rows;
+        assert.equal(row.summary_attempts, 2);
+        assert.equal(row.summary_next_attempt_at, null);
+        assert.deepEqual(await pendingTitles({ limit: 10 }), []);
+
+        // New content starts a fresh count, and a success clears the failure
+        await pool.query("UPDATE articles SET title = 'Fixed', content = 'Fixed content' WHERE id = $1", [broken.id]);
+        const [pending] = await articlesSummarizer.getPendingArticles({ limit: 10 });
+        assert.equal(pending.summary_attempts, 0);
+        assert.deepEqual(await articlesSummarizer.processPending({ limit: 10 }), { processed: 1, failed: 0 });
+        const [fixed] = (await pool.query('SELECT * FROM articles WHERE id = $1', [broken.id])).rows;
+        assert.deepEqual([fixed.summary, fixed.summary_attempts, fixed.summary_failed_hash], ['A short summary.', 0, null]);
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeOllama } from './helpers/fakeOllama.js';
+import { DATABASE_SUITE, resetDatabase, insertArticle } from './helpers/database.js';
+import { cosineSimilarity, addToCentroid } from '../src/backend/utils/vectors.js';
+
+// Settings read when the modules load; OLLAMA_HOST is set once the fake server runs
+Object.assign(process.env, {
+    LLM_PROVIDER: 'ollama',
+    LLM_TOPICS_PROVIDER: '',
+    OLLAMA_TOPIC_MODEL: 'llama3.2:3b',
+    TOPIC_SIMILARITY_THRESHOLD: '0.9',
+    TOPIC_WINDOW_DAYS: '7',
+    TOPIC_NAMING_MAX_PER_RUN: '20',
+    LLM_RETRIES: '0'
+});
+const { pool } = await import('../src/backend/utils/dbCon.js');
+const { default: sourceRegistry } = await import('../src/backend/modules/sources/sourceRegistry.js');
+const { default: topicClusterer } = await import('../src/backend/modules/topics/topicsCluster.js');
+
+describe('vectors', () => {
+    it('measures cosine similarity and treats empty or mismatched vectors as unrelated', () => {
+        assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+        assert.equal(cosineSimilarity([1, 0], [0, 3]), 0);
+        assert.equal(cosineSimilarity([1, 0], [-1, 0]), -1);
+        assert.equal(cosineSimilarity([], []), 0);
+        assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+        assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+    });
+
+    it('keeps a running mean of the vectors in a topic', () => {
+        assert.deepEqual(addToCentroid(null, 0, [1, 2]), [1, 2]);
+        assert.deepEqual(addToCentroid([1, 2], 1, [3, 4]), [2, 3]);
+        assert.deepEqual(addToCentroid([2, 3], 2, [5, 6]), [3, 4]);
+    });
+
+    it('finds the closest topic for a vector', () => {
+        const topics = [{ id: 1, centroid: [1, 0] }, { id: 2, centroid: [0.6, 0.8] }];
+        const { topic, similarity } = topicClusterer.findClosestTopic(topics, [0, 1]);
+        assert.equal(topic.id, 2);
+        assert.equal(Math.round(similarity * 100), 80);
+        assert.deepEqual(topicClusterer.findClosestTopic([], [0, 1]), { topic: null, similarity: -1 });
+    });
+});
+
+describe('topic clustering', DATABASE_SUITE, () => {
+    // Naming reply of the fake model; a test may swap in an unusable one
+    const NAMED = JSON.stringify({ name: 'Council budget vote', description: 'The council votes on next year\'s budget.' });
+    let namingReply;
+    let fake;
+    let source;
+    before(async () => {
+        fake = await startFakeOllama({ chat: () => namingReply });
+        process.env.OLLAMA_HOST = fake.url;
+        await resetDatabase();
+        source = await sourceRegistry.addSource({ url: 'https://example.com/topics' });
+    });
+    beforeEach(async () => {
+        await pool.query('DELETE FROM articles');
+        await pool.query('DELETE FROM news_topics');
+        namingReply = NAMED;
+    });
+    after(async () => {
+        await fake.close();
+        await pool.end();
+    });
+
+    const embeddedArticle = async (title, embedding) => {
+        const article = await insertArticle(source.id, { url: `https://example.com/${encodeURIComponent(title)}`, title, content: title });
+        await pool.query(
+            "INSERT INTO article_embeddings (article_id, model, embedding, input_hash) VALUES ($1, 'test', $2, 'x')",
+            [article.id, embedding]
+        );
+        return article;
+    };
+    const topicOf = async article => (await pool.query('SELECT topic_id FROM articles WHERE id = $1', [article.id])).rows[0].topic_id;
+
+    it('groups similar articles, opens topics for the others and names them', async () => {
+        const first = await embeddedArticle('Budget vote', [1, 0, 0]);
+        const similar = await embeddedArticle('Budget vote tonight', [0.95, 0.1, 0]);
+        const other = await embeddedArticle('Hockey final', [0, 0, 1]);
+
+        assert.deepEqual(await topicClusterer.assignArticles(), { assigned: 1, created: 2 });
+        assert.equal(await topicOf(similar), await topicOf(first));
+        assert.notEqual(await topicOf(other), await topicOf(first));
+
+        const topic = (await pool.query('SELECT * FROM news_topics WHERE id = $1', [await topicOf(first)])).rows[0];
+        assert.equal(topic.article_count, 2);
+        assert.equal(topic.topic_name, 'Budget vote');
+        assert.deepEqual(topic.centroid, [0.975, 0.05, 0]);
+
+        assert.equal(await topicClusterer.nameTopics(), 2);
+        const named = await pool.query('SELECT topic_name, name_prompt_version, needs_naming FROM news_topics ORDER BY id');
+        assert.deepEqual(named.rows.map(row => [row.topic_name, row.name_prompt_version, row.needs_naming]), [
+            ['Council budget vote', 'topic-name@1', false],
+            ['Council budget vote', 'topic-name@1', false]
+        ]);
+    });
+
+    it('does not add articles to topics outside the window', async () => {
+        const old = await embeddedArticle('Budget vote', [1, 0, 0]);
+        await topicClusterer.assignArticles();
+        await pool.query("UPDATE news_topics SET last_article_at = now() - interval '8 days'");
+
+        const late = await embeddedArticle('Budget vote again', [1, 0, 0]);
+        assert.deepEqual(await topicClusterer.assignArticles(), { assigned: 0, created: 1 });
+        assert.notEqual(await topicOf(late), await topicOf(old));
+    });
+
+    it('names a topic again only once it has grown by half', async () => {
+        for (const title of ['Budget one', 'Budget two', 'Budget three']) await embeddedArticle(title, [1, 0, 0]);
+        await topicClusterer.assignArticles();
+        assert.equal(await topicClusterer.nameTopics(), 1);
+
+        await embeddedArticle('Budget four', [1, 0, 0]);
+        await topicClusterer.assignArticles();
+        assert.equal(await topicClusterer.nameTopics(), 0, '4 articles after naming at 3');
+
+        await embeddedArticle('Budget five', [1, 0, 0]);
+        await topicClusterer.assignArticles();
+        assert.equal(await topicClusterer.nameTopics(), 1, '5 articles after naming at 3');
+        const topic = (await pool.query('SELECT named_article_count, needs_naming FROM news_topics')).rows[0];
+        assert.deepEqual(topic, { named_article_count: 5, needs_naming: false });
+    });
+
+    it('names a limited number of topics per run and backs off after a failure', async () => {
+        for (const [title, embedding] of [['Budget vote', [1, 0, 0]], ['Hockey final', [0, 1, 0]], ['Fire downtown', [0, 0, 1]]]) {
+            await embeddedArticle(title, embedding);
+        }
+        await topicClusterer.assignArticles();
+        assert.equal(await topicClusterer.nameTopics({ limit: 1 }), 1);
+
+        namingReply = '{}';
+        assert.equal(await topicClusterer.nameTopics(), 0);
+        const failed = await pool.query(`
+            SELECT naming_attempts, naming_last_error, naming_next_attempt_at > now() AS waiting
+            FROM news_topics WHERE needs_naming`);
+        assert.deepEqual(failed.rows.map(row => [row.naming_attempts, row.naming_last_error, row.waiting]), [
+            [1, 'Topic name missing from model reply', true],
+            [1, 'Topic name missing from model reply', true]
+        ]);
+
+        namingReply = NAMED;
+        assert.equal(await topicClusterer.nameTopics(), 0, 'waiting for the retry time');
+        await pool.query("UPDATE news_topics SET naming_next_attempt_at = now() - interval '1 minute' WHERE needs_naming");
+        assert.equal(await topicClusterer.nameTopics(), 2);
+        const named = await pool.query('SELECT naming_attempts, naming_next_attempt_at FROM news_topics');
+        assert.ok(named.rows.every(row => row.naming_attempts === 0 && row.naming_next_attempt_at === null));
+    });
+});
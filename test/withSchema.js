@@ -0,0 +1,46 @@
+import { spawnSync } from 'node:child_process';
+import { readdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import pkg from 'pg';
+import dotenv from 'dotenv';
+
+const { Client } = pkg;
+
+// Load environment variables
+dotenv.config();
+
+// TEST_DB_URL points at a scratch database; DB_URL is used when it is unset
+const connectionString = process.env.TEST_DB_URL || process.env.DB_URL;
+if (!connectionString) {
+    console.error('Set TEST_DB_URL or DB_URL to run the tests against a throwaway schema');
+    process.exit(1);
+}
+
+const schema = `snf_test_${Date.now()}_${process.pid}`;
+const client = new Client({ connectionString, ssl: { rejectUnauthorized: false } });
+await client.connect();
+await client.query(`CREATE SCHEMA ${schema}`);
+console.log(`Created schema ${schema}`);
+
+let status = 1;
+try {
+    // Every connection the tests open starts in the new schema; the files share it, so they run one at a time
+    const testDir = dirname(fileURLToPath(import.meta.url));
+    const testFiles = readdirSync(testDir).filter(file => file.endsWith('.test.js')).map(file => join(testDir, file));
+    const result = spawnSync(process.execPath, ['--test', '--test-concurrency=1', ...process.argv.slice(2), ...testFiles], {
+        stdio: 'inherit',
+        env: {
+            ...process.env,
+            DB_URL: connectionString,
+            PGOPTIONS: `-c search_path=${schema}`,
+            TEST_SCHEMA: schema
+        }
+    });
+    status = result.status ?? 1;
+} finally {
+    await client.query(`DROP SCHEMA ${schema} CASCADE`);
+    await client.end();
+    console.log(`Dropped schema ${schema}`);
+}
+process.exit(status);